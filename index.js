@@ -1,33 +1,295 @@
-const { Client, Collection, GatewayIntentBits, REST, Routes, EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle, ChannelType, PermissionFlagsBits } = require('discord.js');
-const { Pool } = require('pg');
+const { Client, Collection, GatewayIntentBits, REST, Routes, EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle, StringSelectMenuBuilder, UserSelectMenuBuilder, ModalBuilder, TextInputBuilder, TextInputStyle, ChannelType, PermissionFlagsBits, OverwriteType, AttachmentBuilder, ThreadAutoArchiveDuration, Status } = require('discord.js');
 const http = require('http');
+const crypto = require('crypto');
 const cron = require('node-cron');
-const { drizzle } = require('drizzle-orm/node-postgres');
-const { eq, and, lt } = require('drizzle-orm');
 const WebSocket = require('ws');
+const { storageOperation, StorageError, StorageUnavailableError, MemoryStorage, createStorage } = require('./storage');
 
 // WebSocket polyfill for Neon database
 global.WebSocket = WebSocket;
 
-// Database configuration for Neon PostgreSQL
-const pool = new Pool({
-    connectionString: process.env.DATABASE_URL,
-    max: 3, // Conservative for hosting limits
-    idleTimeoutMillis: 30000,
-    connectionTimeoutMillis: 15000
-});
+// Storage backend: 'postgres' (DATABASE_URL, e.g. Neon), 'pglite' (embedded Postgres kept on disk,
+// no server needed) or 'memory' (nothing survives a restart). Defaults to postgres when DATABASE_URL
+// is set and to memory otherwise, so the bot runs locally without a database account.
+const STORAGE_BACKEND = process.env.STORAGE_BACKEND || (process.env.DATABASE_URL ? 'postgres' : 'memory');
+const PGLITE_DATA_DIR = process.env.PGLITE_DATA_DIR || './data/pglite';
+
+// Prometheus metrics, rendered in the text exposition format on /metrics
+function formatMetricLabels(labels) {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) return '';
+    const pairs = entries.map(([name, value]) =>
+        `${name}="${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`
+    );
+    return `{${pairs.join(',')}}`;
+}
+
+class Counter {
+    constructor(name, help) {
+        this.name = name;
+        this.help = help;
+        this.type = 'counter';
+        this.values = new Map();
+    }
+
+    inc(labels = {}, value = 1) {
+        const key = formatMetricLabels(labels);
+        this.values.set(key, (this.values.get(key) || 0) + value);
+    }
+
+    collect() {
+        return Array.from(this.values, ([labels, value]) => `${this.name}${labels} ${value}`);
+    }
+}
+
+// Gauges are read at scrape time from the callback: () => [{ labels, value }]
+class Gauge {
+    constructor(name, help, read) {
+        this.name = name;
+        this.help = help;
+        this.type = 'gauge';
+        this.read = read;
+    }
+
+    collect() {
+        return this.read().map(({ labels = {}, value }) => `${this.name}${formatMetricLabels(labels)} ${value}`);
+    }
+}
+
+class Histogram {
+    constructor(name, help, buckets) {
+        this.name = name;
+        this.help = help;
+        this.type = 'histogram';
+        this.buckets = buckets;
+        this.values = new Map();
+    }
+
+    observe(labels, seconds) {
+        const key = formatMetricLabels(labels);
+        if (!this.values.has(key)) {
+            this.values.set(key, { labels, counts: this.buckets.map(() => 0), sum: 0, count: 0 });
+        }
+        const entry = this.values.get(key);
+        this.buckets.forEach((bound, index) => {
+            if (seconds <= bound) entry.counts[index]++;
+        });
+        entry.sum += seconds;
+        entry.count++;
+    }
+
+    // Returns a function that records the time elapsed since the timer started
+    startTimer(labels = {}) {
+        const start = process.hrtime.bigint();
+        return () => this.observe(labels, Number(process.hrtime.bigint() - start) / 1e9);
+    }
+
+    collect() {
+        const lines = [];
+        for (const { labels, counts, sum, count } of this.values.values()) {
+            this.buckets.forEach((bound, index) => {
+                lines.push(`${this.name}_bucket${formatMetricLabels({ ...labels, le: bound })} ${counts[index]}`);
+            });
+            lines.push(`${this.name}_bucket${formatMetricLabels({ ...labels, le: '+Inf' })} ${count}`);
+            lines.push(`${this.name}_sum${formatMetricLabels(labels)} ${sum}`);
+            lines.push(`${this.name}_count${formatMetricLabels(labels)} ${count}`);
+        }
+        return lines;
+    }
+}
+
+const metrics = {
+    sessionsCreated: new Counter('lfg_sessions_created_total', 'LFG sessions posted'),
+    sessionsFilled: new Counter('lfg_sessions_filled_total', 'Sessions whose squad reached the needed player count'),
+    sessionsExpired: new Counter('lfg_sessions_expired_total', 'Sessions that expired before being ended'),
+    sessionFillSeconds: new Histogram('lfg_session_fill_seconds', 'Time from posting a session to its squad filling',
+        [30, 60, 120, 300, 600, 900, 1800, 3600, 7200, 21600]),
+    commandInvocations: new Counter('lfg_command_invocations_total', 'Slash commands, buttons, menus and modals handled'),
+    commandErrors: new Counter('lfg_command_errors_total', 'Interactions whose handler failed'),
+    dbQueryDuration: new Histogram('lfg_db_query_duration_seconds', 'Database query latency by storage operation',
+        [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]),
+    dbQueryFailures: new Counter('lfg_db_query_failures_total', 'Database queries that failed, by storage operation'),
+    storageFailures: new Counter('lfg_storage_failures_total', 'Storage operations that failed, by operation and backend'),
+    voiceChannelsCreated: new Counter('lfg_voice_channels_created_total', 'Squad voice channels created'),
+    voiceChannelsCleanedUp: new Counter('lfg_voice_channels_cleaned_up_total', 'Squad voice channels deleted, by reason'),
+    discordRateLimits: new Counter('lfg_discord_rate_limits_total', 'Discord REST requests that hit a rate limit'),
+    activeSessions: new Gauge('lfg_active_sessions', 'Sessions currently tracked, by game and status', () => {
+        const counts = new Map();
+        for (const session of activeSessions.values()) {
+            const key = `${session.game}\u0000${session.status}`;
+            counts.set(key, (counts.get(key) || 0) + 1);
+        }
+        return Array.from(counts, ([key, value]) => {
+            const [game, status] = key.split('\u0000');
+            return { labels: { game, status }, value };
+        });
+    }),
+    queuedPlayers: new Gauge('lfg_queued_players', 'Players waiting in matchmaking queues', () => [{ value: userQueueKeys.size }]),
+    discordPing: new Gauge('lfg_discord_gateway_ping_seconds', 'Discord gateway heartbeat latency', () =>
+        client.ws.ping >= 0 ? [{ value: client.ws.ping / 1000 }] : []),
+    discordGuilds: new Gauge('lfg_discord_guilds', 'Guilds the bot is in', () => [{ value: client.guilds.cache.size }]),
+    uptime: new Gauge('lfg_process_uptime_seconds', 'Seconds since the process started', () => [{ value: process.uptime() }]),
+    memory: new Gauge('lfg_process_resident_memory_bytes', 'Resident memory of the process', () => [{ value: process.memoryUsage().rss }])
+};
+
+function renderMetrics() {
+    return Object.values(metrics)
+        .map(metric => [`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`, ...metric.collect()].join('\n'))
+        .join('\n') + '\n';
+}
+
+// Label for interaction metrics: the command name, or the customId action of a component
+function getInteractionMetricLabels(interaction) {
+    if (interaction.isChatInputCommand()) {
+        return { type: 'command', name: interaction.commandName };
+    }
+    if (interaction.isAutocomplete()) {
+        return { type: 'autocomplete', name: interaction.commandName };
+    }
+    const type = interaction.isButton() ? 'button'
+        : interaction.isModalSubmit() ? 'modal'
+        : 'select';
+    return { type, name: interaction.customId?.split('_')[0] || 'unknown' };
+}
+
+function recordInteractionError(interaction) {
+    metrics.commandErrors.inc(getInteractionMetricLabels(interaction));
+}
+
+// Queries run inside a storage method are labelled with that method's name
+function instrumentQueries(client) {
+    const query = client.query.bind(client);
+    client.query = (...args) => {
+        if (typeof args[args.length - 1] === 'function') return query(...args);
+
+        const operation = storageOperation.getStore() || 'other';
+        const endTimer = metrics.dbQueryDuration.startTimer({ operation });
+        return query(...args).then(result => {
+            endTimer();
+            return result;
+        }, error => {
+            endTimer();
+            metrics.dbQueryFailures.inc({ operation });
+            throw error;
+        });
+    };
+}
+
+// Startup milestones reported by the readiness probe
+const healthState = {
+    databaseReady: false,
+    databaseError: null,
+    commandsRegistered: false,
+    commandsError: null,
+    restoreError: null
+};
+const HEALTH_DB_TIMEOUT = 3000; // 3 seconds
+const HEALTH_MAX_GATEWAY_PING = 2000; // 2 seconds
+
+// Ping the storage backend with a short timeout so a hung connection can't stall the probe
+async function pingDatabase() {
+    let timer;
+    const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error(`timed out after ${HEALTH_DB_TIMEOUT}ms`)), HEALTH_DB_TIMEOUT);
+    });
+    const started = Date.now();
+    try {
+        await Promise.race([storageOperation.run('healthCheck', () => storage.ping()), timeout]);
+        return { ok: true, latencyMs: Date.now() - started };
+    } catch (error) {
+        return { ok: false, error: error.message };
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+// Check every dependency the bot needs to serve commands; any failure puts it in degraded mode
+async function checkReadiness() {
+    const reasons = [];
+
+    const database = await pingDatabase();
+    if (!database.ok) {
+        reasons.push(`database unreachable: ${database.error}`);
+    } else if (!healthState.databaseReady) {
+        reasons.push(healthState.databaseError
+            ? `database setup failed: ${healthState.databaseError}`
+            : 'database setup pending');
+    }
+    if (healthState.restoreError) {
+        reasons.push(`persistent data not restored: ${healthState.restoreError}`);
+    }
+
+    const gatewayStatus = client.ws.status;
+    const gatewayPing = client.ws.ping;
+    if (gatewayStatus !== Status.Ready) {
+        reasons.push(`discord gateway not ready (status: ${Status[gatewayStatus] ?? gatewayStatus})`);
+    } else if (gatewayPing > HEALTH_MAX_GATEWAY_PING) {
+        reasons.push(`discord gateway latency high (${gatewayPing}ms)`);
+    }
+
+    if (!healthState.commandsRegistered) {
+        reasons.push(healthState.commandsError
+            ? `slash command registration failed: ${healthState.commandsError}`
+            : 'slash commands not registered yet');
+    }
+
+    return {
+        status: reasons.length === 0 ? 'ready' : 'degraded',
+        reasons,
+        timestamp: new Date().toISOString(),
+        uptime: process.uptime(),
+        database: database.ok
+            ? { status: 'connected', backend: storage.backend, latencyMs: database.latencyMs, tablesReady: healthState.databaseReady, restoreError: healthState.restoreError }
+            : { status: 'unreachable', backend: storage.backend, error: database.error, tablesReady: healthState.databaseReady, restoreError: healthState.restoreError },
+        discord: {
+            status: Status[gatewayStatus] ?? gatewayStatus,
+            ping: gatewayPing >= 0 ? gatewayPing : null,
+            guilds: client.guilds.cache.size
+        },
+        commands: {
+            registered: healthState.commandsRegistered,
+            error: healthState.commandsError
+        }
+    };
+}
+
+function sendReadiness(res) {
+    checkReadiness().then(report => {
+        sendJson(res, report.status === 'ready' ? 200 : 503, report);
+    }).catch(error => {
+        console.error('Error in checkReadiness:', error);
+        sendJson(res, 503, { status: 'degraded', reasons: [`readiness check failed: ${error.message}`] });
+    });
+}
 
 // Health check server for Render
 const server = http.createServer((req, res) => {
-    if (req.url === '/health') {
-        res.writeHead(200, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({
-            status: 'healthy',
+    // Probes and monitors may append a query string, so route on the path alone
+    const { pathname } = new URL(req.url, 'http://localhost');
+
+    if (pathname === '/health/live') {
+        // Liveness only proves the process and event loop respond; dependencies belong to /health/ready
+        sendJson(res, 200, {
+            status: 'alive',
             timestamp: new Date().toISOString(),
             uptime: process.uptime(),
-            memory: process.memoryUsage(),
-            database: 'connected'
-        }));
+            memory: process.memoryUsage()
+        });
+    } else if (pathname === '/health/ready' || pathname === '/health') {
+        // /health is kept as an alias of the readiness probe for existing monitors
+        sendReadiness(res);
+    } else if (pathname === '/metrics') {
+        res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+        res.end(renderMetrics());
+    } else if (pathname.startsWith('/api/')) {
+        handleApiRequest(req, res).catch(error => {
+            console.error('Error in handleApiRequest:', error);
+            if (error instanceof StorageUnavailableError) {
+                sendJson(res, 503, { error: 'Storage unavailable' });
+            } else {
+                sendJson(res, 500, { error: 'Internal server error' });
+            }
+        });
     } else {
         res.writeHead(404);
         res.end('Not Found');
@@ -38,6 +300,9 @@ const PORT = process.env.PORT || 3000;
 server.listen(PORT, '0.0.0.0', () => {
     console.log(`🌐 Health check server running on port ${PORT}`);
     console.log(`📊 Health endpoint: http://localhost:${PORT}/health`);
+    console.log(`💓 Liveness/readiness probes: http://localhost:${PORT}/health/live, /health/ready`);
+    console.log(`🔌 Sessions API: http://localhost:${PORT}/api/guilds/<guildId>/sessions`);
+    console.log(`📈 Metrics endpoint: http://localhost:${PORT}/metrics`);
 });
 
 // Initialize Discord client with production-optimized settings
@@ -63,61 +328,28 @@ const activeSessions = new Map();
 const userActiveSessions = new Map();
 const emptyChannelTimeouts = new Map();
 
-// Drizzle schema definitions
-const { pgTable, text, integer, timestamp, boolean, json } = require('drizzle-orm/pg-core');
-
-const lfgSessions = pgTable('lfg_sessions', {
-    id: text('id').primaryKey(),
-    creatorId: text('creator_id').notNull(),
-    guildId: text('guild_id').notNull(),
-    channelId: text('channel_id').notNull(),
-    messageId: text('message_id'),
-    game: text('game').notNull(),
-    gamemode: text('gamemode').notNull(),
-    playersNeeded: integer('players_needed').notNull(),
-    info: text('info'),
-    status: text('status').notNull().default('waiting'),
-    currentPlayers: json('current_players').notNull().default([]),
-    confirmedPlayers: json('confirmed_players').notNull().default([]),
-    voiceChannelId: text('voice_channel_id'),
-    confirmationStartTime: timestamp('confirmation_start_time'),
-    createdAt: timestamp('created_at').notNull().defaultNow(),
-    updatedAt: timestamp('updated_at').notNull().defaultNow(),
-    expiresAt: timestamp('expires_at').notNull(),
-    isActive: boolean('is_active').notNull().default(true)
-});
-
-const guildSettings = pgTable('guild_settings', {
-    guildId: text('guild_id').primaryKey(),
-    lfgChannelId: text('lfg_channel_id'),
-    createdAt: timestamp('created_at').notNull().defaultNow(),
-    updatedAt: timestamp('updated_at').notNull().defaultNow()
-});
-
-const userSessions = pgTable('user_sessions', {
-    userId: text('user_id').primaryKey(),
-    sessionId: text('session_id').notNull(),
-    createdAt: timestamp('created_at').notNull().defaultNow(),
-    updatedAt: timestamp('updated_at').notNull().defaultNow()
-});
-
-const db = drizzle(pool, {
-    schema: { lfgSessions, guildSettings, userSessions },
-    logger: process.env.NODE_ENV === 'development'
-});
+// Solo matchmaking queues (guildId:game:gamemode -> queued players), memory only
+const matchmakingQueues = new Map();
+const userQueueKeys = new Map();
+const queueWaitHistory = new Map();
 
 // Auto-create tables on startup for deployment environments
 async function ensureDatabaseTables(retryCount = 0) {
+    if (storage instanceof MemoryStorage) {
+        healthState.databaseReady = true;
+        console.log('🧠 Using in-memory storage - sessions, settings and profiles are lost on restart');
+        return;
+    }
+
     try {
-        console.log('🔧 Checking database connection and tables...');
+        console.log(`🔧 Checking database connection and tables (${storage.backend})...`);
         
         // Test database connection first with retry logic
-        const client = await pool.connect();
-        await client.query('SELECT 1');
+        await storage.ping();
         console.log('✅ Database connection verified');
         
         // Create tables if they don't exist (safe for deployment)
-        await client.query(`
+        await storage.execute(`
             CREATE TABLE IF NOT EXISTS lfg_sessions (
                 id TEXT PRIMARY KEY,
                 creator_id TEXT NOT NULL,
@@ -128,7 +360,7 @@ async function ensureDatabaseTables(retryCount = 0) {
                 gamemode TEXT NOT NULL,
                 players_needed INTEGER NOT NULL,
                 info TEXT,
-                status TEXT NOT NULL DEFAULT 'waiting',
+                status TEXT NOT NULL DEFAULT 'open',
                 current_players JSON NOT NULL DEFAULT '[]',
                 confirmed_players JSON NOT NULL DEFAULT '[]',
                 voice_channel_id TEXT,
@@ -140,7 +372,27 @@ async function ensureDatabaseTables(retryCount = 0) {
             );
         `);
         
-        await client.query(`
+        // Session columns added after the initial release
+        await storage.execute(`
+            ALTER TABLE lfg_sessions
+                ADD COLUMN IF NOT EXISTS start_time TIMESTAMP,
+                ADD COLUMN IF NOT EXISTS timezone TEXT,
+                ADD COLUMN IF NOT EXISTS reminder_sent BOOLEAN NOT NULL DEFAULT false,
+                ADD COLUMN IF NOT EXISTS waitlist JSON NOT NULL DEFAULT '[]',
+                ADD COLUMN IF NOT EXISTS requirements JSON NOT NULL DEFAULT '{}',
+                ADD COLUMN IF NOT EXISTS participants JSON NOT NULL DEFAULT '[]',
+                ADD COLUMN IF NOT EXISTS filled_at TIMESTAMP,
+                ADD COLUMN IF NOT EXISTS locked BOOLEAN NOT NULL DEFAULT false,
+                ADD COLUMN IF NOT EXISTS visibility TEXT NOT NULL DEFAULT 'public',
+                ADD COLUMN IF NOT EXISTS pending_players JSON NOT NULL DEFAULT '[]',
+                ADD COLUMN IF NOT EXISTS invited_users JSON NOT NULL DEFAULT '[]',
+                ADD COLUMN IF NOT EXISTS companion_channel_id TEXT,
+                ADD COLUMN IF NOT EXISTS voice_channel_number INTEGER,
+                ADD COLUMN IF NOT EXISTS extensions INTEGER NOT NULL DEFAULT 0,
+                ADD COLUMN IF NOT EXISTS expiry_warning_sent BOOLEAN NOT NULL DEFAULT false;
+        `);
+        
+        await storage.execute(`
             CREATE TABLE IF NOT EXISTS guild_settings (
                 guild_id TEXT PRIMARY KEY,
                 lfg_channel_id TEXT,
@@ -149,7 +401,27 @@ async function ensureDatabaseTables(retryCount = 0) {
             );
         `);
         
-        await client.query(`
+        // Settings columns added after the initial release
+        await storage.execute(`
+            ALTER TABLE guild_settings
+                ADD COLUMN IF NOT EXISTS lfg_channel_mode TEXT NOT NULL DEFAULT 'redirect',
+                ADD COLUMN IF NOT EXISTS voice_category_id TEXT,
+                ADD COLUMN IF NOT EXISTS default_players INTEGER,
+                ADD COLUMN IF NOT EXISTS min_reputation_enabled BOOLEAN NOT NULL DEFAULT false,
+                ADD COLUMN IF NOT EXISTS mod_role_id TEXT,
+                ADD COLUMN IF NOT EXISTS companion_mode TEXT NOT NULL DEFAULT 'thread',
+                ADD COLUMN IF NOT EXISTS log_channel_id TEXT,
+                ADD COLUMN IF NOT EXISTS voice_name_template TEXT,
+                ADD COLUMN IF NOT EXISTS voice_bitrate INTEGER,
+                ADD COLUMN IF NOT EXISTS voice_region TEXT,
+                ADD COLUMN IF NOT EXISTS voice_private BOOLEAN NOT NULL DEFAULT true,
+                ADD COLUMN IF NOT EXISTS session_lifetime INTEGER,
+                ADD COLUMN IF NOT EXISTS empty_channel_cleanup INTEGER,
+                ADD COLUMN IF NOT EXISTS max_extensions INTEGER,
+                ADD COLUMN IF NOT EXISTS locale TEXT;
+        `);
+        
+        await storage.execute(`
             CREATE TABLE IF NOT EXISTS user_sessions (
                 user_id TEXT PRIMARY KEY,
                 session_id TEXT NOT NULL,
@@ -158,11 +430,150 @@ async function ensureDatabaseTables(retryCount = 0) {
             );
         `);
         
-        client.release();
+        await storage.execute(`
+            CREATE TABLE IF NOT EXISTS guild_games (
+                guild_id TEXT NOT NULL,
+                game_key TEXT NOT NULL,
+                display TEXT NOT NULL,
+                modes JSON NOT NULL DEFAULT '[]',
+                is_active BOOLEAN NOT NULL DEFAULT true,
+                created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+                updated_at TIMESTAMP NOT NULL DEFAULT NOW(),
+                PRIMARY KEY (guild_id, game_key)
+            );
+        `);
+        
+        await storage.execute(`
+            CREATE TABLE IF NOT EXISTS user_profiles (
+                user_id TEXT PRIMARY KEY,
+                platform TEXT,
+                region TEXT,
+                language TEXT,
+                ranks JSON NOT NULL DEFAULT '{}',
+                created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+                updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+            );
+        `);
+        
+        // Profile columns added after the initial release
+        await storage.execute(`
+            ALTER TABLE user_profiles
+                ADD COLUMN IF NOT EXISTS mic BOOLEAN,
+                ADD COLUMN IF NOT EXISTS locale TEXT;
+        `);
+        
+        await storage.execute(`
+            CREATE TABLE IF NOT EXISTS session_history (
+                session_id TEXT PRIMARY KEY,
+                guild_id TEXT NOT NULL,
+                creator_id TEXT NOT NULL,
+                game TEXT NOT NULL,
+                gamemode TEXT NOT NULL,
+                players_needed INTEGER NOT NULL,
+                player_count INTEGER NOT NULL,
+                outcome TEXT NOT NULL,
+                filled BOOLEAN NOT NULL,
+                created_at TIMESTAMP NOT NULL,
+                filled_at TIMESTAMP,
+                ended_at TIMESTAMP NOT NULL DEFAULT NOW()
+            );
+        `);
+        
+        await storage.execute(`
+            CREATE TABLE IF NOT EXISTS session_participants (
+                session_id TEXT NOT NULL,
+                user_id TEXT NOT NULL,
+                guild_id TEXT NOT NULL,
+                game TEXT NOT NULL,
+                gamemode TEXT NOT NULL,
+                played_at TIMESTAMP NOT NULL DEFAULT NOW(),
+                PRIMARY KEY (session_id, user_id)
+            );
+        `);
+        
+        await storage.execute(`
+            CREATE INDEX IF NOT EXISTS session_participants_guild_idx
+                ON session_participants (guild_id, played_at);
+        `);
+        
+        await storage.execute(`
+            CREATE TABLE IF NOT EXISTS player_feedback (
+                session_id TEXT NOT NULL,
+                from_user_id TEXT NOT NULL,
+                to_user_id TEXT NOT NULL,
+                guild_id TEXT NOT NULL,
+                kind TEXT NOT NULL,
+                created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+                updated_at TIMESTAMP NOT NULL DEFAULT NOW(),
+                PRIMARY KEY (session_id, from_user_id, to_user_id)
+            );
+        `);
+        
+        await storage.execute(`
+            CREATE TABLE IF NOT EXISTS player_reputation (
+                guild_id TEXT NOT NULL,
+                user_id TEXT NOT NULL,
+                endorsements INTEGER NOT NULL DEFAULT 0,
+                no_shows INTEGER NOT NULL DEFAULT 0,
+                score INTEGER NOT NULL DEFAULT 0,
+                updated_at TIMESTAMP NOT NULL DEFAULT NOW(),
+                PRIMARY KEY (guild_id, user_id)
+            );
+        `);
+        
+        await storage.execute(`
+            CREATE TABLE IF NOT EXISTS lfg_bans (
+                guild_id TEXT NOT NULL,
+                user_id TEXT NOT NULL,
+                reason TEXT,
+                banned_by TEXT NOT NULL,
+                expires_at TIMESTAMP,
+                created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+                PRIMARY KEY (guild_id, user_id)
+            );
+        `);
+        
+        await storage.execute(`
+            CREATE TABLE IF NOT EXISTS game_roles (
+                guild_id TEXT NOT NULL,
+                game_key TEXT NOT NULL,
+                gamemode TEXT NOT NULL DEFAULT '',
+                role_id TEXT NOT NULL,
+                created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+                PRIMARY KEY (guild_id, game_key, gamemode)
+            );
+        `);
+        
+        await storage.execute(`
+            CREATE TABLE IF NOT EXISTS notify_subscriptions (
+                guild_id TEXT NOT NULL,
+                user_id TEXT NOT NULL,
+                game_key TEXT NOT NULL,
+                gamemode TEXT NOT NULL DEFAULT '',
+                created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+                PRIMARY KEY (guild_id, user_id, game_key, gamemode)
+            );
+        `);
+        
+        await storage.execute(`
+            CREATE TABLE IF NOT EXISTS api_tokens (
+                token_hash TEXT PRIMARY KEY,
+                guild_id TEXT NOT NULL,
+                name TEXT NOT NULL,
+                created_by TEXT NOT NULL,
+                created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+                UNIQUE (guild_id, name)
+            );
+        `);
+        
+        healthState.databaseReady = true;
+        healthState.databaseError = null;
         console.log('✅ Database tables verified/created successfully');
     } catch (error) {
         console.error('❌ Database setup failed:', error);
-        console.error('🔍 Check your DATABASE_URL environment variable');
+        console.error(storage.backend === 'pglite'
+            ? `🔍 Check that ${PGLITE_DATA_DIR} is writable (PGLITE_DATA_DIR)`
+            : '🔍 Check your DATABASE_URL environment variable');
         
         // Retry logic for production hosting
         if (retryCount < 3) {
@@ -173,97 +584,22 @@ async function ensureDatabaseTables(retryCount = 0) {
         
         // If all retries fail, log the error but don't crash the bot
         console.error('❌ Database setup failed after all retries. Bot will continue without database.');
+        healthState.databaseError = error.message;
         return;
     }
 }
 
-// Database storage class
-class DatabaseStorage {
-    async createSession(session) {
-        try {
-            await db.insert(lfgSessions).values({
-                id: session.id,
-                creatorId: session.creatorId,
-                guildId: session.guildId,
-                channelId: session.channelId,
-                messageId: session.messageId,
-                game: session.game,
-                gamemode: session.gamemode,
-                playersNeeded: session.playersNeeded,
-                info: session.info,
-                status: session.status,
-                currentPlayers: session.currentPlayers,
-                confirmedPlayers: session.confirmedPlayers,
-                voiceChannelId: session.voiceChannelId,
-                expiresAt: session.expiresAt,
-                isActive: true
-            });
-        } catch (error) {
-            console.error('Error creating session in database:', error);
-        }
-    }
-
-    async updateSession(sessionId, updates) {
-        try {
-            await db.update(lfgSessions)
-                .set({ ...updates, updatedAt: new Date() })
-                .where(eq(lfgSessions.id, sessionId));
-        } catch (error) {
-            console.error('Error updating session in database:', error);
-        }
-    }
-
-    async deleteSession(sessionId) {
-        try {
-            await db.update(lfgSessions)
-                .set({ isActive: false, updatedAt: new Date() })
-                .where(eq(lfgSessions.id, sessionId));
-        } catch (error) {
-            console.error('Error deleting session from database:', error);
-        }
-    }
-
-    async getActiveSessions() {
-        try {
-            const sessions = await db.select()
-                .from(lfgSessions)
-                .where(and(
-                    eq(lfgSessions.isActive, true),
-                    lt(lfgSessions.expiresAt, new Date())
-                ));
-            return sessions;
-        } catch (error) {
-            console.error('Error getting active sessions from database:', error);
-            return [];
-        }
-    }
-
-    async setUserSession(userId, sessionId) {
-        try {
-            await db.insert(userSessions)
-                .values({ userId, sessionId })
-                .onConflictDoUpdate({
-                    target: userSessions.userId,
-                    set: { sessionId, updatedAt: new Date() }
-                });
-        } catch (error) {
-            console.error('Error setting user session in database:', error);
-        }
-    }
-
-    async removeUserSession(userId) {
-        try {
-            await db.delete(userSessions)
-                .where(eq(userSessions.userId, userId));
-        } catch (error) {
-            console.error('Error removing user session from database:', error);
-        }
-    }
-}
 
-const storage = new DatabaseStorage();
+// Every storage failure is logged where it happens and counted here
+const storage = createStorage(STORAGE_BACKEND, {
+    databaseUrl: process.env.DATABASE_URL,
+    dataDir: PGLITE_DATA_DIR,
+    instrumentQueries,
+    onFailure: (operation, backend) => metrics.storageFailures.inc({ operation, backend })
+});
+console.log(`💾 Storage backend: ${storage.backend}`);
 
-// Game configurations with modes
+// Default game catalog - seeded into each guild's catalog on first use
 const GAMES = {
     valorant: {
         display: "Valorant",
@@ -311,824 +647,6461 @@ const GAMES = {
     }
 };
 
-// Slash commands registration
-const commands = [
-    {
-        name: 'lfg',
-        description: 'Create a Looking for Group session',
-        options: [
-            {
-                type: 3,
-                name: 'game',
-                description: 'Which game you want to play',
-                required: true,
-                choices: Object.entries(GAMES).map(([key, game]) => ({
-                    name: game.display,
-                    value: key
-                }))
-            },
-            {
-                type: 3,
-                name: 'gamemode',
-                description: 'Game mode you want to play',
-                required: true,
-                autocomplete: true
-            },
-            {
-                type: 4,
-                name: 'players',
-                description: 'How many players needed (including you)',
-                required: true,
-                min_value: 2,
-                max_value: 10
-            },
-            {
-                type: 3,
-                name: 'info',
-                description: 'Additional info about your session',
-                required: false
-            }
-        ]
-    },
-    {
-        name: 'quickjoin',
-        description: 'Instantly join an available LFG session',
-        options: [
-            {
-                type: 3,
-                name: 'game',
-                description: 'Which game you want to join',
-                required: true,
-                choices: Object.entries(GAMES).map(([key, game]) => ({
-                    name: game.display,
-                    value: key
-                }))
-            },
-            {
-                type: 3,
-                name: 'gamemode',
-                description: 'Preferred game mode',
-                required: false,
-                autocomplete: true
-            }
-        ]
-    },
-    {
-        name: 'endlfg',
-        description: 'End your active LFG session'
-    },
-    {
-        name: 'help',
-        description: 'Show bot commands and features'
-    }
-];
+// Rank tiers (lowest first) for default games - other games take free-form ranks
+const GAME_RANKS = {
+    valorant: ["Iron", "Bronze", "Silver", "Gold", "Platinum", "Diamond", "Ascendant", "Immortal", "Radiant"],
+    fortnite: ["Bronze", "Silver", "Gold", "Platinum", "Diamond", "Elite", "Champion", "Unreal"],
+    brawlhalla: ["Tin", "Bronze", "Silver", "Gold", "Platinum", "Diamond", "Valhallan"],
+    thefinals: ["Bronze", "Silver", "Gold", "Platinum", "Diamond", "Ruby"],
+    marvelrivals: ["Bronze", "Silver", "Gold", "Platinum", "Diamond", "Grandmaster", "Celestial", "Eternity", "One Above All"],
+    rocketleague: ["Bronze", "Silver", "Gold", "Platinum", "Diamond", "Champion", "Grand Champion", "Supersonic Legend"],
+    apexlegends: ["Rookie", "Bronze", "Silver", "Gold", "Platinum", "Diamond", "Master", "Apex Predator"],
+    callofduty: ["Bronze", "Silver", "Gold", "Platinum", "Diamond", "Crimson", "Iridescent", "Top 250"],
+    overwatch: ["Bronze", "Silver", "Gold", "Platinum", "Diamond", "Master", "Grandmaster", "Champion", "Top 500"]
+};
 
-// Utility functions
-function generateSessionId() {
-    return Math.random().toString(36).substring(2, 15) + Math.random().toString(36).substring(2, 15);
-}
+const PLATFORMS = {
+    pc: 'PC',
+    playstation: 'PlayStation',
+    xbox: 'Xbox',
+    switch: 'Switch',
+    mobile: 'Mobile'
+};
 
-function getExpirationTime() {
-    return new Date(Date.now() + 30 * 60 * 1000); // 30 minutes from now
-}
+const REGIONS = {
+    na: 'North America',
+    sa: 'South America',
+    eu: 'Europe',
+    me: 'Middle East',
+    af: 'Africa',
+    asia: 'Asia',
+    oce: 'Oceania'
+};
 
-// Helper function to create LFG embed
-function createLFGEmbed(session, gameDisplayName) {
-    const embed = new EmbedBuilder()
-        .setTitle(`🎮 ${gameDisplayName} - ${session.gamemode}`)
-        .setColor(0x00ff88)
-        .addFields(
-            { 
-                name: '👥 Players', 
-                value: `${session.currentPlayers.length}/${session.playersNeeded}`, 
-                inline: true 
+const LANGUAGES = {
+    en: 'English',
+    es: 'Español',
+    pt: 'Português',
+    de: 'Deutsch',
+    fr: 'Français',
+    it: 'Italiano',
+    pl: 'Polski',
+    tr: 'Türkçe',
+    ru: 'Русский',
+    ar: 'العربية',
+    ja: '日本語',
+    ko: '한국어',
+    zh: '中文'
+};
+
+// Per-guild settings cache (guildId -> guild_settings row)
+const guildSettingsCache = new Map();
+
+const DEFAULT_PLAYERS_NEEDED = 4;
+
+function getGuildSettings(guildId) {
+    return guildSettingsCache.get(guildId) || { guildId, lfgChannelMode: 'redirect', companionMode: 'thread', voicePrivate: true };
+}
+
+// Message catalogs, one file per locale under ./locales; English is the fallback for missing keys
+const SUPPORTED_LOCALES = {
+    en: 'English',
+    es: 'Español',
+    'pt-BR': 'Português (Brasil)',
+    de: 'Deutsch'
+};
+
+const DEFAULT_LOCALE = 'en';
+
+// Discord client locales that map onto each catalog, used for command localizations
+const DISCORD_LOCALES = {
+    es: ['es-ES', 'es-419'],
+    'pt-BR': ['pt-BR'],
+    de: ['de']
+};
+
+const messageCatalogs = Object.fromEntries(
+    Object.keys(SUPPORTED_LOCALES).map(locale => [locale, require(`./locales/${locale}.json`)])
+);
+
+function lookupMessage(catalog, key) {
+    return key.split('.').reduce((node, part) => (node == null ? undefined : node[part]), catalog);
+}
+
+// Translate a dotted catalog key, filling {placeholders} from vars
+function t(locale, key, vars = {}) {
+    let message = lookupMessage(messageCatalogs[locale], key);
+    if (typeof message !== 'string') message = lookupMessage(messageCatalogs[DEFAULT_LOCALE], key);
+    if (typeof message !== 'string') return key;
+    return message.replace(/\{(\w+)\}/g, (match, name) => (vars[name] !== undefined ? String(vars[name]) : match));
+}
+
+// Map a Discord locale such as 'es-ES' or 'pt-BR' onto a supported catalog, or null
+function normalizeLocale(locale) {
+    if (!locale) return null;
+    if (SUPPORTED_LOCALES[locale]) return locale;
+    const base = locale.split('-')[0];
+    if (base === 'pt') return 'pt-BR';
+    return SUPPORTED_LOCALES[base] ? base : null;
+}
+
+// Public messages (session embeds, buttons, channel posts) use the guild language
+function getGuildLocale(guildId) {
+    return normalizeLocale(getGuildSettings(guildId).locale) || DEFAULT_LOCALE;
+}
+
+// Replies use the user's override, then their Discord client language, then the guild language
+async function getUserLocale(interaction) {
+    const profile = await getUserProfile(interaction.user.id);
+    return normalizeLocale(profile?.locale)
+        || normalizeLocale(interaction.locale)
+        || (interaction.guild ? getGuildLocale(interaction.guild.id) : DEFAULT_LOCALE);
+}
+
+// DMs and pings to someone other than the interacting user: their cached override, then the guild language
+function getRecipientLocale(userId, guildId) {
+    return normalizeLocale(userProfileCache.get(userId)?.locale) || getGuildLocale(guildId);
+}
+
+// Same order as getUserLocale, but only from caches - for error paths where storage may be what failed
+function getCachedUserLocale(interaction) {
+    return normalizeLocale(userProfileCache.get(interaction.user.id)?.locale)
+        || normalizeLocale(interaction.locale)
+        || (interaction.guild ? getGuildLocale(interaction.guild.id) : DEFAULT_LOCALE);
+}
+
+// Reply text when a handler failed because storage couldn't be read or written, null for other failures
+function getStorageFailureMessage(error, interaction) {
+    if (!(error instanceof StorageError)) return null;
+    const locale = getCachedUserLocale(interaction);
+
+    if (error instanceof StorageUnavailableError) return t(locale, 'common.storageUnavailable');
+    return t(locale, error.operation?.startsWith('get') ? 'common.notLoaded' : 'common.notSaved');
+}
+
+// Copy merged option localizations onto the matching (sub)command options and their choices
+function localizeCommandOptions(options, localizations) {
+    for (const option of options || []) {
+        const entry = localizations[option.name];
+        if (!entry) continue;
+        if (Object.keys(entry.description).length > 0) option.description_localizations = entry.description;
+        for (const choice of option.choices || []) {
+            if (entry.choices[choice.value]) choice.name_localizations = entry.choices[choice.value];
+        }
+        localizeCommandOptions(option.options, entry.options);
+    }
+}
+
+// Merge one catalog's option descriptions and choice labels into
+// { option: { description: { discordLocale: text }, choices: { value: { discordLocale: label } }, options } }
+function collectOptionLocalizations(entries, discordLocales, target) {
+    for (const [name, entry] of Object.entries(entries)) {
+        const description = typeof entry === 'string' ? entry : entry.description;
+        target[name] = target[name] || { description: {}, choices: {}, options: {} };
+        if (description) {
+            for (const discordLocale of discordLocales) {
+                target[name].description[discordLocale] = description;
+            }
+        }
+        if (typeof entry === 'object' && entry.choices) {
+            for (const [value, label] of Object.entries(entry.choices)) {
+                target[name].choices[value] = target[name].choices[value] || {};
+                for (const discordLocale of discordLocales) {
+                    target[name].choices[value][discordLocale] = label;
+                }
+            }
+        }
+        if (typeof entry === 'object' && entry.options) {
+            collectOptionLocalizations(entry.options, discordLocales, target[name].options);
+        }
+    }
+}
+
+// Fill Discord's name/description localization fields on command definitions from the catalogs
+function localizeCommands(definitions) {
+    for (const command of definitions) {
+        const nameLocalizations = {};
+        const descriptionLocalizations = {};
+        const optionLocalizations = {};
+
+        for (const [locale, discordLocales] of Object.entries(DISCORD_LOCALES)) {
+            const entry = messageCatalogs[locale].commands?.[command.name];
+            if (!entry) continue;
+            for (const discordLocale of discordLocales) {
+                if (entry.name) nameLocalizations[discordLocale] = entry.name;
+                if (entry.description) descriptionLocalizations[discordLocale] = entry.description;
+            }
+            collectOptionLocalizations(entry.options || {}, discordLocales, optionLocalizations);
+        }
+
+        if (Object.keys(nameLocalizations).length > 0) command.name_localizations = nameLocalizations;
+        if (Object.keys(descriptionLocalizations).length > 0) command.description_localizations = descriptionLocalizations;
+        localizeCommandOptions(command.options, optionLocalizations);
+    }
+    return definitions;
+}
+
+// Timing policies; guilds can override lifetime, cleanup delay and extension count with /lfgsetup timing
+const DEFAULT_SESSION_LIFETIME = 30; // minutes
+const DEFAULT_EMPTY_CHANNEL_CLEANUP = 60; // seconds
+const DEFAULT_MAX_EXTENSIONS = 2;
+const SESSION_EXTENSION = 15 * 60 * 1000; // 15 minutes
+const EXPIRY_WARNING_LEAD = 5 * 60 * 1000; // 5 minutes
+
+function getSessionLifetime(guildId) {
+    return (getGuildSettings(guildId).sessionLifetime ?? DEFAULT_SESSION_LIFETIME) * 60 * 1000;
+}
+
+function getEmptyChannelCleanupDelay(guildId) {
+    return (getGuildSettings(guildId).emptyChannelCleanup ?? DEFAULT_EMPTY_CHANNEL_CLEANUP) * 1000;
+}
+
+function getMaxExtensions(guildId) {
+    return getGuildSettings(guildId).maxExtensions ?? DEFAULT_MAX_EXTENSIONS;
+}
+
+function formatDelay(ms, locale = DEFAULT_LOCALE) {
+    return ms < 60 * 1000
+        ? t(locale, 'common.seconds', { count: Math.round(ms / 1000) })
+        : t(locale, 'common.minutes', { count: Math.round(ms / 60000) });
+}
+
+// Squad voice channel naming: {game}, {mode}, {creator}, {number} and {id} are filled in per session
+const DEFAULT_VOICE_NAME_TEMPLATE = '🎮 {mode} #{id}';
+
+const VOICE_REGIONS = {
+    'us-east': 'US East',
+    'us-central': 'US Central',
+    'us-south': 'US South',
+    'us-west': 'US West',
+    brazil: 'Brazil',
+    rotterdam: 'Rotterdam',
+    india: 'India',
+    japan: 'Japan',
+    singapore: 'Singapore',
+    hongkong: 'Hong Kong',
+    sydney: 'Sydney',
+    southafrica: 'South Africa'
+};
+
+async function updateGuildSettings(guildId, updates) {
+    const settings = { ...getGuildSettings(guildId), ...updates };
+    await storage.upsertGuildSettings(guildId, updates);
+    guildSettingsCache.set(guildId, settings);
+    return settings;
+}
+
+// Admins are members with the Manage Server permission
+function isLFGAdmin(interaction) {
+    return Boolean(interaction.memberPermissions?.has(PermissionFlagsBits.ManageGuild));
+}
+
+// Moderators are admins or members with the configured mod role
+function isLFGModerator(interaction) {
+    const { modRoleId } = getGuildSettings(interaction.guild.id);
+    return isLFGAdmin(interaction) || Boolean(modRoleId && interaction.member?.roles?.cache?.has(modRoleId));
+}
+
+// LFG bans (guildId -> Map of userId -> lfg_bans row)
+const guildBans = new Map();
+
+const BAN_DURATIONS = {
+    '1h': 60 * 60 * 1000,
+    '1d': 24 * 60 * 60 * 1000,
+    '7d': 7 * 24 * 60 * 60 * 1000,
+    '30d': 30 * 24 * 60 * 60 * 1000,
+    permanent: null
+};
+
+// The user's ban in this guild, or null; expired bans are dropped on the way
+function getActiveBan(guildId, userId) {
+    const ban = guildBans.get(guildId)?.get(userId);
+    if (!ban) return null;
+
+    if (ban.expiresAt && new Date(ban.expiresAt).getTime() <= Date.now()) {
+        guildBans.get(guildId).delete(userId);
+        storage.deleteBan(guildId, userId).catch(console.error);
+        return null;
+    }
+    return ban;
+}
+
+async function banUser(ban) {
+    await storage.upsertBan(ban);
+    if (!guildBans.has(ban.guildId)) {
+        guildBans.set(ban.guildId, new Map());
+    }
+    guildBans.get(ban.guildId).set(ban.userId, ban);
+}
+
+async function unbanUser(guildId, userId) {
+    await storage.deleteBan(guildId, userId);
+    return guildBans.get(guildId)?.delete(userId) || false;
+}
+
+function formatBanExpiry(ban, locale = DEFAULT_LOCALE) {
+    return ban.expiresAt ? `<t:${Math.floor(new Date(ban.expiresAt).getTime() / 1000)}:R>` : t(locale, 'common.never');
+}
+
+// Game role mappings (guildId -> game_roles rows)
+const guildGameRoles = new Map();
+
+// New-session alerts: one role ping per role and one DM per user within the cooldown
+const NOTIFY_COOLDOWN = 10 * 60 * 1000; // 10 minutes
+const MAX_DM_ALERTS = 25;
+const rolePingCooldowns = new Map();
+const dmAlertCooldowns = new Map();
+
+// The role for a game's mode, falling back to the game-wide role
+function getGameRole(guildId, gameKey, gamemode) {
+    const roles = guildGameRoles.get(guildId) || [];
+    return roles.find(role => role.gameKey === gameKey && role.gamemode === gamemode)
+        || roles.find(role => role.gameKey === gameKey && role.gamemode === '')
+        || null;
+}
+
+async function setGameRole(guildId, gameKey, gamemode, roleId) {
+    const roles = (guildGameRoles.get(guildId) || []).filter(role => !(role.gameKey === gameKey && role.gamemode === gamemode));
+    if (roleId) {
+        roles.push({ guildId, gameKey, gamemode, roleId });
+        await storage.upsertGameRole(guildId, gameKey, gamemode, roleId);
+    } else {
+        await storage.deleteGameRole(guildId, gameKey, gamemode);
+    }
+    guildGameRoles.set(guildId, roles);
+}
+
+// Resolve a session from its full ID or the 6-character "#abc123" shown on embeds
+function findGuildSession(guildId, sessionRef) {
+    const ref = sessionRef.trim().replace(/^#/, '');
+    return Array.from(activeSessions.values()).find(session =>
+        session.guildId === guildId && (session.id === ref || (ref.length >= 6 && session.id.endsWith(ref)))
+    ) || null;
+}
+
+// Per-guild game catalogs (guildId -> { gameKey: { display, modes } })
+const guildGameCatalogs = new Map();
+
+// Load a guild's game catalog, seeding it from the defaults the first time
+async function getGuildGames(guildId) {
+    if (guildGameCatalogs.has(guildId)) {
+        return guildGameCatalogs.get(guildId);
+    }
+
+    const rows = await storage.getGuildGames(guildId);
+    const catalog = {};
+
+    if (rows.length === 0) {
+        for (const [key, game] of Object.entries(GAMES)) {
+            catalog[key] = { display: game.display, modes: [...game.modes] };
+        }
+        try {
+            await storage.seedGuildGames(guildId, catalog);
+        } catch (error) {
+            if (!(error instanceof StorageError)) throw error;
+            // Serve the defaults without caching them so the stored catalog is read again next time
+            return catalog;
+        }
+    } else {
+        for (const row of rows) {
+            if (!row.isActive) continue;
+            catalog[row.gameKey] = {
+                display: row.display,
+                modes: Array.isArray(row.modes) ? row.modes : []
+            };
+        }
+    }
+
+    guildGameCatalogs.set(guildId, catalog);
+    return catalog;
+}
+
+// Resolve a game's display name, falling back for games removed from the catalog
+function getGameDisplayName(guildId, gameKey) {
+    const catalog = guildGameCatalogs.get(guildId);
+    return catalog?.[gameKey]?.display || GAMES[gameKey]?.display || gameKey;
+}
+
+function toGameKey(name) {
+    return name.toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+function parseModeList(value) {
+    return [...new Set(value.split(',').map(mode => mode.trim()).filter(Boolean))];
+}
+
+// Player profile cache (userId -> user_profiles row, or null when the user has none)
+const userProfileCache = new Map();
+
+async function getUserProfile(userId) {
+    if (!userProfileCache.has(userId)) {
+        userProfileCache.set(userId, await storage.getUserProfile(userId));
+    }
+    return userProfileCache.get(userId);
+}
+
+// Warm the cache so embeds can show squad profiles synchronously
+async function loadUserProfiles(userIds) {
+    await Promise.all(userIds.map(userId => getUserProfile(userId)));
+}
+
+// Reputation cache (guildId:userId -> player_reputation totals)
+const reputationCache = new Map();
+
+// Squadmates can vote for this long after a session ends
+const FEEDBACK_WINDOW = 48 * 60 * 60 * 1000; // 48 hours
+
+async function getReputation(guildId, userId) {
+    const key = `${guildId}:${userId}`;
+    if (!reputationCache.has(key)) {
+        const reputation = await storage.getReputation(guildId, userId);
+        reputationCache.set(key, reputation || { endorsements: 0, noShows: 0, score: 0 });
+    }
+    return reputationCache.get(key);
+}
+
+// Profiles and reputation of everyone in the squad, for rendering the session embed
+async function loadSquadDetails(session) {
+    const userIds = session.currentPlayers.map(player => player.id);
+    await loadUserProfiles(userIds);
+    await Promise.all(userIds.map(userId => getReputation(session.guildId, userId)));
+}
+
+async function updateUserProfile(userId, updates) {
+    const current = await getUserProfile(userId);
+    const profile = { userId, platform: null, region: null, language: null, mic: null, locale: null, ranks: {}, ...current, ...updates };
+    await storage.upsertUserProfile(userId, updates);
+    userProfileCache.set(userId, profile);
+    return profile;
+}
+
+// Tier a rank belongs to, e.g. "gold 2" -> "Gold" (longest name wins for "Grand Champion")
+function matchRankTier(gameKey, rank) {
+    const value = rank.toLowerCase();
+    return [...(GAME_RANKS[gameKey] || [])]
+        .sort((a, b) => b.length - a.length)
+        .find(tier => value.startsWith(tier.toLowerCase())) || null;
+}
+
+// Match a rank against the game's known tiers, keeping the canonical spelling
+function normalizeRank(gameKey, rank) {
+    if (!GAME_RANKS[gameKey]) return rank;
+    const tier = matchRankTier(gameKey, rank);
+    return tier ? tier + rank.slice(tier.length) : null;
+}
+
+// Position of a rank in the game's tier list (-1 when unknown or unranked)
+function getRankTier(gameKey, rank) {
+    const tier = rank ? matchRankTier(gameKey, rank) : null;
+    return tier ? GAME_RANKS[gameKey].indexOf(tier) : -1;
+}
+
+// Short profile summary shown next to a player, e.g. "Gold 2 • PC • EU • EN • 🎙️"
+function formatProfileSummary(profile, gameKey) {
+    if (!profile) return '';
+    return [
+        profile.ranks?.[gameKey],
+        PLATFORMS[profile.platform],
+        profile.region?.toUpperCase(),
+        profile.language?.toUpperCase(),
+        profile.mic ? '🎙️' : null
+    ].filter(Boolean).join(' • ');
+}
+
+function formatReputation(reputation) {
+    if (!reputation || (reputation.endorsements === 0 && reputation.noShows === 0)) return '';
+    return `⭐ ${reputation.score}`;
+}
+
+// Reasons a player doesn't meet a session's requirements (empty when they qualify)
+function getRequirementMismatches(session, profile, reputation, locale = DEFAULT_LOCALE) {
+    const requirements = session.requirements || {};
+    const reasons = [];
+
+    if (requirements.minReputation !== undefined && (reputation?.score ?? 0) < requirements.minReputation) {
+        reasons.push(t(locale, 'mismatch.reputation', { min: requirements.minReputation, score: reputation?.score ?? 0 }));
+    }
+
+    if (requirements.minRank || requirements.maxRank) {
+        const tiers = GAME_RANKS[session.game];
+        const rank = profile?.ranks?.[session.game];
+        const tier = getRankTier(session.game, rank);
+        const rangeLabel = formatRankRange(requirements, locale);
+
+        if (tier === -1) {
+            reasons.push(t(locale, 'mismatch.rankUnset', { range: rangeLabel }));
+        } else if ((requirements.minRank && tier < tiers.indexOf(requirements.minRank)) ||
+            (requirements.maxRank && tier > tiers.indexOf(requirements.maxRank))) {
+            reasons.push(t(locale, 'mismatch.rank', { range: rangeLabel, rank }));
+        }
+    }
+
+    if (requirements.region && profile?.region !== requirements.region) {
+        reasons.push(profile?.region
+            ? t(locale, 'mismatch.regionYours', { region: REGIONS[requirements.region], yours: REGIONS[profile.region] })
+            : t(locale, 'mismatch.region', { region: REGIONS[requirements.region] }));
+    }
+
+    if (requirements.platform && profile?.platform !== requirements.platform) {
+        reasons.push(profile?.platform
+            ? t(locale, 'mismatch.platformYours', { platform: PLATFORMS[requirements.platform], yours: PLATFORMS[profile.platform] })
+            : t(locale, 'mismatch.platform', { platform: PLATFORMS[requirements.platform] }));
+    }
+
+    if (requirements.language && profile?.language !== requirements.language) {
+        reasons.push(t(locale, 'mismatch.language', { language: LANGUAGES[requirements.language] }));
+    }
+
+    if (requirements.micRequired && !profile?.mic) {
+        reasons.push(t(locale, 'mismatch.mic'));
+    }
+
+    return reasons;
+}
+
+// How well a player fits a session they qualify for - higher is better
+function scoreSessionFit(session, profile, preferredGamemode) {
+    const requirements = session.requirements || {};
+    let score = 0;
+
+    if (preferredGamemode && session.gamemode === preferredGamemode) score += 100;
+
+    // Sessions that asked for exactly this player's setup beat open-to-all ones
+    for (const field of ['region', 'platform', 'language']) {
+        if (requirements[field]) score += 10;
+        else if (profile?.[field]) {
+            const creatorProfile = userProfileCache.get(session.creatorId);
+            if (creatorProfile?.[field] === profile[field]) score += 5;
+        }
+    }
+    if (requirements.micRequired) score += 5;
+
+    // Prefer squads close to the player's own rank
+    const playerTier = getRankTier(session.game, profile?.ranks?.[session.game]);
+    if (playerTier !== -1) {
+        const squadTiers = session.currentPlayers
+            .map(player => getRankTier(session.game, userProfileCache.get(player.id)?.ranks?.[session.game]))
+            .filter(tier => tier !== -1);
+        if (squadTiers.length > 0) {
+            const averageTier = squadTiers.reduce((sum, tier) => sum + tier, 0) / squadTiers.length;
+            score -= Math.abs(averageTier - playerTier) * 4;
+        }
+    }
+
+    // Nearly full squads get going sooner
+    score += (session.currentPlayers.length / session.playersNeeded) * 3;
+
+    return score;
+}
+
+function formatRankRange(requirements, locale = DEFAULT_LOCALE) {
+    const vars = { min: requirements.minRank, max: requirements.maxRank };
+    if (requirements.minRank && requirements.maxRank) {
+        return requirements.minRank === requirements.maxRank ? requirements.minRank : t(locale, 'requirements.rankRange', vars);
+    }
+    return t(locale, requirements.minRank ? 'requirements.rankMin' : 'requirements.rankMax', vars);
+}
+
+function formatRequirements(requirements, locale = DEFAULT_LOCALE) {
+    return [
+        requirements.minRank || requirements.maxRank ? `🏅 ${formatRankRange(requirements, locale)}` : null,
+        requirements.region ? `🌍 ${REGIONS[requirements.region]}` : null,
+        requirements.platform ? `🕹️ ${PLATFORMS[requirements.platform]}` : null,
+        requirements.language ? `🗣️ ${LANGUAGES[requirements.language]}` : null,
+        requirements.micRequired ? `🎙️ ${t(locale, 'requirements.mic')}` : null,
+        requirements.minReputation !== undefined ? `⭐ ${t(locale, 'requirements.reputation', { min: requirements.minReputation })}` : null
+    ].filter(Boolean).join(' • ');
+}
+
+// Slash commands registration
+const commands = [
+    {
+        name: 'lfg',
+        description: 'Create a Looking for Group session',
+        options: [
+            {
+                type: 3,
+                name: 'game',
+                description: 'Which game you want to play',
+                required: true,
+                autocomplete: true
             },
-            { 
-                name: '🎯 Status', 
-                value: session.status === 'waiting' ? '🟢 Open' : '🔴 Full', 
-                inline: true 
+            {
+                type: 3,
+                name: 'gamemode',
+                description: 'Game mode you want to play',
+                required: true,
+                autocomplete: true
             },
-            { 
-                name: '⏱️ Session ID', 
-                value: `#${session.id.slice(-6)}`, 
-                inline: true 
+            {
+                type: 4,
+                name: 'players',
+                description: 'How many players needed (including you)',
+                required: false,
+                min_value: 2,
+                max_value: 10
+            },
+            {
+                type: 3,
+                name: 'info',
+                description: 'Additional info about your session',
+                required: false
+            },
+            {
+                type: 3,
+                name: 'start_time',
+                description: 'Schedule for later: HH:MM, tomorrow HH:MM or YYYY-MM-DD HH:MM',
+                required: false
+            },
+            {
+                type: 3,
+                name: 'timezone',
+                description: 'Time zone for start_time (default UTC)',
+                required: false,
+                autocomplete: true
+            },
+            {
+                type: 3,
+                name: 'min_rank',
+                description: 'Lowest rank allowed to join',
+                required: false,
+                autocomplete: true
+            },
+            {
+                type: 3,
+                name: 'max_rank',
+                description: 'Highest rank allowed to join',
+                required: false,
+                autocomplete: true
+            },
+            {
+                type: 3,
+                name: 'region',
+                description: 'Only players from this region can join',
+                required: false,
+                choices: Object.entries(REGIONS).map(([value, name]) => ({ name, value }))
+            },
+            {
+                type: 3,
+                name: 'platform',
+                description: 'Only players on this platform can join',
+                required: false,
+                choices: Object.entries(PLATFORMS).map(([value, name]) => ({ name, value }))
+            },
+            {
+                type: 5,
+                name: 'mic_required',
+                description: 'Only players with a microphone can join',
+                required: false
+            },
+            {
+                type: 3,
+                name: 'language',
+                description: 'Only players who speak this language can join',
+                required: false,
+                choices: Object.entries(LANGUAGES).map(([value, name]) => ({ name, value }))
+            },
+            {
+                type: 4,
+                name: 'min_reputation',
+                description: 'Lowest reputation score allowed to join (if enabled on this server)',
+                required: false,
+                min_value: -100,
+                max_value: 1000
+            },
+            {
+                type: 3,
+                name: 'visibility',
+                description: 'Who can join (default: public)',
+                required: false,
+                choices: [
+                    { name: 'Public - anyone can join', value: 'public' },
+                    { name: 'Approval required - you accept each player', value: 'approval' },
+                    { name: 'Invite only - pick players from the Manage panel', value: 'invite' }
+                ]
             }
-        )
-        .setTimestamp()
-        .setFooter({ text: 'LFG Bot - Find your gaming squad!' });
+        ]
+    },
+    {
+        name: 'quickjoin',
+        description: 'Instantly join an available LFG session',
+        options: [
+            {
+                type: 3,
+                name: 'game',
+                description: 'Which game you want to join',
+                required: true,
+                autocomplete: true
+            },
+            {
+                type: 3,
+                name: 'gamemode',
+                description: 'Preferred game mode',
+                required: false,
+                autocomplete: true
+            }
+        ]
+    },
+    {
+        name: 'endlfg',
+        description: 'End your active LFG session'
+    },
+    {
+        name: 'help',
+        description: 'Show bot commands and features'
+    },
+    {
+        name: 'queue',
+        description: 'Solo matchmaking - get matched into a squad automatically',
+        dm_permission: false,
+        options: [
+            {
+                type: 1,
+                name: 'join',
+                description: 'Join the matchmaking queue for a game and mode',
+                options: [
+                    {
+                        type: 3,
+                        name: 'game',
+                        description: 'Which game you want to play',
+                        required: true,
+                        autocomplete: true
+                    },
+                    {
+                        type: 3,
+                        name: 'gamemode',
+                        description: 'Game mode you want to play',
+                        required: true,
+                        autocomplete: true
+                    },
+                    {
+                        type: 4,
+                        name: 'size',
+                        description: 'Squad size (including you)',
+                        required: true,
+                        min_value: 2,
+                        max_value: 10
+                    }
+                ]
+            },
+            {
+                type: 1,
+                name: 'leave',
+                description: 'Leave the matchmaking queue'
+            },
+            {
+                type: 1,
+                name: 'status',
+                description: 'Show queue status and estimated wait'
+            }
+        ]
+    },
+    {
+        name: 'profile',
+        description: 'Your player profile shown to squads you join',
+        options: [
+            {
+                type: 1,
+                name: 'set',
+                description: 'Update your rank, platform, region or language',
+                options: [
+                    {
+                        type: 3,
+                        name: 'game',
+                        description: 'Game to set your rank for',
+                        required: false,
+                        autocomplete: true
+                    },
+                    {
+                        type: 3,
+                        name: 'rank',
+                        description: 'Your rank in that game (use "none" to remove it)',
+                        required: false,
+                        autocomplete: true,
+                        max_length: 30
+                    },
+                    {
+                        type: 3,
+                        name: 'platform',
+                        description: 'Platform you play on',
+                        required: false,
+                        choices: Object.entries(PLATFORMS).map(([value, name]) => ({ name, value }))
+                    },
+                    {
+                        type: 3,
+                        name: 'region',
+                        description: 'Region you play in',
+                        required: false,
+                        choices: Object.entries(REGIONS).map(([value, name]) => ({ name, value }))
+                    },
+                    {
+                        type: 3,
+                        name: 'language',
+                        description: 'Preferred voice chat language',
+                        required: false,
+                        choices: Object.entries(LANGUAGES).map(([value, name]) => ({ name, value }))
+                    },
+                    {
+                        type: 5,
+                        name: 'mic',
+                        description: 'Whether you use a microphone',
+                        required: false
+                    },
+                    {
+                        type: 3,
+                        name: 'bot_language',
+                        description: 'Language the bot replies to you in',
+                        required: false,
+                        choices: [
+                            { name: 'Automatic (Discord language)', value: 'auto' },
+                            ...Object.entries(SUPPORTED_LOCALES).map(([value, name]) => ({ name, value }))
+                        ]
+                    }
+                ]
+            },
+            {
+                type: 1,
+                name: 'view',
+                description: 'Show a player profile',
+                options: [
+                    {
+                        type: 6,
+                        name: 'user',
+                        description: 'Player to look up (default: you)',
+                        required: false
+                    }
+                ]
+            }
+        ]
+    },
+    {
+        name: 'lfglist',
+        description: 'Browse open LFG sessions on this server',
+        dm_permission: false,
+        options: [
+            {
+                type: 3,
+                name: 'game',
+                description: 'Only show sessions for this game',
+                required: false,
+                autocomplete: true
+            }
+        ]
+    },
+    {
+        name: 'notify',
+        description: 'Get notified when new sessions are posted for a game',
+        dm_permission: false,
+        options: [
+            {
+                type: 1,
+                name: 'subscribe',
+                description: 'Get the game\'s ping role or DM alerts for new sessions',
+                options: [
+                    {
+                        type: 3,
+                        name: 'game',
+                        description: 'Game to follow',
+                        required: true,
+                        autocomplete: true
+                    },
+                    {
+                        type: 3,
+                        name: 'gamemode',
+                        description: 'Only this mode (default: every mode)',
+                        required: false,
+                        autocomplete: true
+                    },
+                    {
+                        type: 3,
+                        name: 'method',
+                        description: 'How to be notified (default: role ping)',
+                        required: false,
+                        choices: [
+                            { name: 'Role ping in the LFG channel', value: 'role' },
+                            { name: 'Direct message', value: 'dm' }
+                        ]
+                    }
+                ]
+            },
+            {
+                type: 1,
+                name: 'unsubscribe',
+                description: 'Stop role pings and DM alerts for a game',
+                options: [
+                    {
+                        type: 3,
+                        name: 'game',
+                        description: 'Game to stop following',
+                        required: true,
+                        autocomplete: true
+                    }
+                ]
+            },
+            {
+                type: 1,
+                name: 'list',
+                description: 'Show your notifications and the available game roles'
+            }
+        ]
+    },
+    {
+        name: 'stats',
+        description: 'Show LFG stats for yourself or another player',
+        dm_permission: false,
+        options: [
+            {
+                type: 6,
+                name: 'user',
+                description: 'Player to look up (default: you)',
+                required: false
+            }
+        ]
+    },
+    {
+        name: 'leaderboard',
+        description: 'Most active squad members on this server',
+        dm_permission: false,
+        options: [
+            {
+                type: 3,
+                name: 'game',
+                description: 'Only count sessions of this game',
+                required: false,
+                autocomplete: true
+            },
+            {
+                type: 3,
+                name: 'period',
+                description: 'Time range to count (default: this month)',
+                required: false,
+                choices: [
+                    { name: 'This week (last 7 days)', value: 'week' },
+                    { name: 'This month', value: 'month' },
+                    { name: 'All time', value: 'all' }
+                ]
+            }
+        ]
+    },
+    {
+        name: 'lfgsetup',
+        description: 'Configure where and how LFG sessions are posted',
+        default_member_permissions: String(PermissionFlagsBits.ManageGuild),
+        dm_permission: false,
+        options: [
+            {
+                type: 1,
+                name: 'view',
+                description: 'Show the current LFG settings for this server'
+            },
+            {
+                type: 1,
+                name: 'channel',
+                description: 'Set the channel LFG sessions are posted in',
+                options: [
+                    {
+                        type: 7,
+                        name: 'channel',
+                        description: 'Channel for LFG posts',
+                        required: true,
+                        channel_types: [ChannelType.GuildText, ChannelType.GuildAnnouncement]
+                    },
+                    {
+                        type: 3,
+                        name: 'mode',
+                        description: 'What happens when /lfg is used in another channel',
+                        required: false,
+                        choices: [
+                            { name: 'Redirect - post the session in the LFG channel', value: 'redirect' },
+                            { name: 'Restrict - refuse and point to the LFG channel', value: 'restrict' }
+                        ]
+                    }
+                ]
+            },
+            {
+                type: 1,
+                name: 'voice',
+                description: 'Set the category squad voice channels are created in',
+                options: [
+                    {
+                        type: 7,
+                        name: 'category',
+                        description: 'Category for voice channels (omit to use per-game categories)',
+                        required: false,
+                        channel_types: [ChannelType.GuildCategory]
+                    }
+                ]
+            },
+            {
+                type: 1,
+                name: 'voicelayout',
+                description: 'Set how squad voice channels are named and configured',
+                options: [
+                    {
+                        type: 3,
+                        name: 'name_template',
+                        description: 'Channel name, e.g. "{game} | {mode} #{number}" (also {creator}, {id}; "default" to reset)',
+                        required: false,
+                        max_length: 90
+                    },
+                    {
+                        type: 4,
+                        name: 'bitrate',
+                        description: 'Audio bitrate in kbps (capped by the server boost level)',
+                        required: false,
+                        min_value: 8,
+                        max_value: 384
+                    },
+                    {
+                        type: 3,
+                        name: 'region',
+                        description: 'Voice region for squad channels',
+                        required: false,
+                        choices: [
+                            { name: 'Automatic', value: 'auto' },
+                            ...Object.entries(VOICE_REGIONS).map(([value, name]) => ({ name, value }))
+                        ]
+                    },
+                    {
+                        type: 5,
+                        name: 'private',
+                        description: 'Only squad members can see and join the channel',
+                        required: false
+                    }
+                ]
+            },
+            {
+                type: 1,
+                name: 'timing',
+                description: 'Set session lifetime, empty voice cleanup and extension limits',
+                options: [
+                    {
+                        type: 4,
+                        name: 'lifetime',
+                        description: `Minutes a session stays open before it expires (default ${DEFAULT_SESSION_LIFETIME})`,
+                        required: false,
+                        min_value: 10,
+                        max_value: 720
+                    },
+                    {
+                        type: 4,
+                        name: 'cleanup',
+                        description: `Seconds an empty squad voice channel is kept (default ${DEFAULT_EMPTY_CHANNEL_CLEANUP})`,
+                        required: false,
+                        min_value: 10,
+                        max_value: 3600
+                    },
+                    {
+                        type: 4,
+                        name: 'max_extensions',
+                        description: `How often a creator can extend a session (default ${DEFAULT_MAX_EXTENSIONS})`,
+                        required: false,
+                        min_value: 0,
+                        max_value: 10
+                    }
+                ]
+            },
+            {
+                type: 1,
+                name: 'defaults',
+                description: 'Set default options for new sessions',
+                options: [
+                    {
+                        type: 4,
+                        name: 'players',
+                        description: 'Default player count when /lfg is used without one',
+                        required: true,
+                        min_value: 2,
+                        max_value: 10
+                    }
+                ]
+            },
+            {
+                type: 1,
+                name: 'language',
+                description: 'Set the default bot language for this server',
+                options: [
+                    {
+                        type: 3,
+                        name: 'locale',
+                        description: 'Language for session posts and replies',
+                        required: true,
+                        choices: Object.entries(SUPPORTED_LOCALES).map(([value, name]) => ({ name, value }))
+                    }
+                ]
+            },
+            {
+                type: 1,
+                name: 'modrole',
+                description: 'Set the role allowed to use the /lfgadmin moderation tools',
+                options: [
+                    {
+                        type: 8,
+                        name: 'role',
+                        description: 'Moderator role (omit to allow only Manage Server)',
+                        required: false
+                    }
+                ]
+            },
+            {
+                type: 1,
+                name: 'companion',
+                description: 'Choose the private text chat each assembled squad gets',
+                options: [
+                    {
+                        type: 3,
+                        name: 'mode',
+                        description: 'Where the squad chat is opened',
+                        required: true,
+                        choices: [
+                            { name: 'Private thread in the LFG channel', value: 'thread' },
+                            { name: 'Text channel next to the voice channel', value: 'channel' },
+                            { name: 'Off', value: 'off' }
+                        ]
+                    }
+                ]
+            },
+            {
+                type: 1,
+                name: 'logchannel',
+                description: 'Set the channel squad chat transcripts are posted to',
+                options: [
+                    {
+                        type: 7,
+                        name: 'channel',
+                        description: 'Channel for transcripts (omit to stop posting them)',
+                        required: false,
+                        channel_types: [ChannelType.GuildText]
+                    }
+                ]
+            },
+            {
+                type: 1,
+                name: 'reputation',
+                description: 'Allow session creators to require a minimum reputation',
+                options: [
+                    {
+                        type: 5,
+                        name: 'enabled',
+                        description: 'Whether /lfg accepts the min_reputation option',
+                        required: true
+                    }
+                ]
+            },
+            {
+                type: 1,
+                name: 'reset',
+                description: 'Reset all LFG settings for this server'
+            }
+        ]
+    },
+    {
+        name: 'lfgapi',
+        description: 'Manage tokens for the read-only sessions API',
+        default_member_permissions: String(PermissionFlagsBits.ManageGuild),
+        dm_permission: false,
+        options: [
+            {
+                type: 1,
+                name: 'create',
+                description: 'Create an API token for a website, bot or stream overlay',
+                options: [
+                    {
+                        type: 3,
+                        name: 'name',
+                        description: 'Label to recognise the token by, e.g. "website"',
+                        required: true,
+                        max_length: 32
+                    }
+                ]
+            },
+            {
+                type: 1,
+                name: 'list',
+                description: 'List this server\'s API tokens'
+            },
+            {
+                type: 1,
+                name: 'revoke',
+                description: 'Revoke an API token',
+                options: [
+                    {
+                        type: 3,
+                        name: 'name',
+                        description: 'Label of the token to revoke',
+                        required: true,
+                        max_length: 32
+                    }
+                ]
+            }
+        ]
+    },
+    {
+        name: 'lfgadmin',
+        description: 'Moderate LFG sessions and manage the game catalog',
+        dm_permission: false,
+        options: [
+            {
+                type: 1,
+                name: 'list',
+                description: 'List active LFG sessions on this server'
+            },
+            {
+                type: 1,
+                name: 'end',
+                description: 'Force-end a session and clean up its channels',
+                options: [
+                    {
+                        type: 3,
+                        name: 'session',
+                        description: 'Session to end',
+                        required: true,
+                        autocomplete: true
+                    },
+                    {
+                        type: 3,
+                        name: 'reason',
+                        description: 'Reason shown to the squad',
+                        required: false,
+                        max_length: 200
+                    }
+                ]
+            },
+            {
+                type: 1,
+                name: 'kick',
+                description: 'Remove a player from their session',
+                options: [
+                    {
+                        type: 6,
+                        name: 'user',
+                        description: 'Player to remove',
+                        required: true
+                    }
+                ]
+            },
+            {
+                type: 1,
+                name: 'ban',
+                description: 'Ban a user from using the LFG bot on this server',
+                options: [
+                    {
+                        type: 6,
+                        name: 'user',
+                        description: 'User to ban',
+                        required: true
+                    },
+                    {
+                        type: 3,
+                        name: 'duration',
+                        description: 'How long the ban lasts',
+                        required: true,
+                        choices: [
+                            { name: '1 hour', value: '1h' },
+                            { name: '1 day', value: '1d' },
+                            { name: '7 days', value: '7d' },
+                            { name: '30 days', value: '30d' },
+                            { name: 'Permanent', value: 'permanent' }
+                        ]
+                    },
+                    {
+                        type: 3,
+                        name: 'reason',
+                        description: 'Reason for the ban',
+                        required: false,
+                        max_length: 200
+                    }
+                ]
+            },
+            {
+                type: 1,
+                name: 'unban',
+                description: 'Lift a user\'s LFG ban',
+                options: [
+                    {
+                        type: 6,
+                        name: 'user',
+                        description: 'User to unban',
+                        required: true
+                    }
+                ]
+            },
+            {
+                type: 1,
+                name: 'bans',
+                description: 'List users banned from the LFG bot'
+            },
+            {
+                type: 2,
+                name: 'game',
+                description: 'Manage the game catalog',
+                options: [
+                    {
+                        type: 1,
+                        name: 'add',
+                        description: 'Add a game (or replace an existing one)',
+                        options: [
+                            {
+                                type: 3,
+                                name: 'name',
+                                description: 'Display name of the game',
+                                required: true,
+                                max_length: 50
+                            },
+                            {
+                                type: 3,
+                                name: 'modes',
+                                description: 'Comma-separated list of game modes',
+                                required: true
+                            }
+                        ]
+                    },
+                    {
+                        type: 1,
+                        name: 'remove',
+                        description: 'Remove a game from the catalog',
+                        options: [
+                            {
+                                type: 3,
+                                name: 'game',
+                                description: 'Game to remove',
+                                required: true,
+                                autocomplete: true
+                            }
+                        ]
+                    },
+                    {
+                        type: 1,
+                        name: 'role',
+                        description: 'Set the role pinged for new sessions of a game',
+                        options: [
+                            {
+                                type: 3,
+                                name: 'game',
+                                description: 'Game to map',
+                                required: true,
+                                autocomplete: true
+                            },
+                            {
+                                type: 8,
+                                name: 'role',
+                                description: 'Role to ping (omit to remove the mapping)',
+                                required: false
+                            },
+                            {
+                                type: 3,
+                                name: 'gamemode',
+                                description: 'Only for this mode (default: every mode)',
+                                required: false,
+                                autocomplete: true
+                            }
+                        ]
+                    },
+                    {
+                        type: 1,
+                        name: 'modes',
+                        description: 'View or replace the modes of a game',
+                        options: [
+                            {
+                                type: 3,
+                                name: 'game',
+                                description: 'Game to edit',
+                                required: true,
+                                autocomplete: true
+                            },
+                            {
+                                type: 3,
+                                name: 'modes',
+                                description: 'Comma-separated list of game modes (omit to view current modes)',
+                                required: false
+                            }
+                        ]
+                    }
+                ]
+            }
+        ]
+    }
+];
+
+localizeCommands(commands);
+
+// How long a full squad has to confirm before unconfirmed players are dropped
+const READY_CHECK_TIMEOUT = 2 * 60 * 1000; // 2 minutes
+
+// Utility functions
+function generateSessionId() {
+    return Math.random().toString(36).substring(2, 15) + Math.random().toString(36).substring(2, 15);
+}
+
+function getExpirationTime(startTime = new Date(), guildId = null) {
+    return new Date(startTime.getTime() + (guildId ? getSessionLifetime(guildId) : DEFAULT_SESSION_LIFETIME * 60 * 1000));
+}
+
+// Scheduled sessions: RSVP reminders go out shortly before the start time
+const SCHEDULE_REMINDER_LEAD = 15 * 60 * 1000; // 15 minutes
+const MAX_SCHEDULE_AHEAD = 14 * 24 * 60 * 60 * 1000; // 14 days
+const MAX_SCHEDULED_PER_USER = 3;
+
+// Players who can queue for a full squad's next free slot
+const MAX_WAITLIST_SIZE = 10;
+
+function isValidTimeZone(timeZone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+// Wall-clock date parts of an instant in the given time zone
+function getZonedParts(timeZone, date) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit'
+    }).formatToParts(date);
+    const values = Object.fromEntries(parts.map(part => [part.type, Number(part.value)]));
+    return { year: values.year, month: values.month, day: values.day, hour: values.hour, minute: values.minute, second: values.second };
+}
+
+// Convert a wall-clock time in a time zone to the matching UTC instant
+function zonedTimeToDate(timeZone, year, month, day, hour, minute) {
+    const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+    const offsetAt = (instant) => {
+        const parts = getZonedParts(timeZone, new Date(instant));
+        return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) - instant;
+    };
+
+    // Second pass corrects the offset when the guess lands across a DST change
+    const guess = wallClock - offsetAt(wallClock);
+    return new Date(wallClock - offsetAt(guess));
+}
+
+// Parse "HH:MM", "today HH:MM", "tomorrow HH:MM" or "YYYY-MM-DD HH:MM" in a time zone
+function parseStartTime(input, timeZone) {
+    const value = input.trim().toLowerCase();
+
+    const absolute = value.match(/^(\d{4})-(\d{1,2})-(\d{1,2})[ t](\d{1,2}):(\d{2})$/);
+    if (absolute) {
+        const [year, month, day, hour, minute] = absolute.slice(1).map(Number);
+        if (month < 1 || month > 12 || day < 1 || day > 31 || hour > 23 || minute > 59) return null;
+        return zonedTimeToDate(timeZone, year, month, day, hour, minute);
+    }
+
+    const relative = value.match(/^(?:(today|tomorrow)\s+)?(\d{1,2}):(\d{2})$/);
+    if (relative) {
+        const hour = Number(relative[2]);
+        const minute = Number(relative[3]);
+        if (hour > 23 || minute > 59) return null;
+
+        const today = getZonedParts(timeZone, new Date());
+        const dayOffset = relative[1] === 'tomorrow' ? 1 : 0;
+        let start = zonedTimeToDate(timeZone, today.year, today.month, today.day + dayOffset, hour, minute);
+
+        // A bare time that already passed today means tomorrow
+        if (!relative[1] && start.getTime() <= Date.now()) {
+            start = zonedTimeToDate(timeZone, today.year, today.month, today.day + 1, hour, minute);
+        }
+        return start;
+    }
+
+    return null;
+}
+
+// Who may join a session: anyone, anyone the creator approves, or invited users only
+const SessionVisibility = Object.freeze({
+    PUBLIC: 'public',
+    APPROVAL: 'approval',
+    INVITE: 'invite'
+});
+
+// Label for approval/invite sessions; public sessions have none
+function formatSessionVisibility(visibility, locale = DEFAULT_LOCALE) {
+    return visibility === SessionVisibility.APPROVAL || visibility === SessionVisibility.INVITE
+        ? t(locale, `visibility.${visibility}`)
+        : null;
+}
+
+// Pending join requests held per session on approval-required sessions
+const MAX_PENDING_REQUESTS = 10;
+
+function isInvited(session, userId) {
+    return (session.invitedUsers || []).includes(userId);
+}
+
+// Label for a live session status; ended and expired sessions have none
+function formatSessionStatus(status, locale = DEFAULT_LOCALE) {
+    return messageCatalogs[DEFAULT_LOCALE].status[status] ? t(locale, `status.${status}`) : null;
+}
+
+// Helper function to create LFG embed
+function createLFGEmbed(session, gameDisplayName) {
+    const locale = getGuildLocale(session.guildId);
+    const embed = new EmbedBuilder()
+        .setTitle(`🎮 ${gameDisplayName} - ${session.gamemode}`)
+        .setColor(0x00ff88)
+        .addFields(
+            { 
+                name: t(locale, 'embed.players'), 
+                value: `${session.currentPlayers.length}/${session.playersNeeded}`, 
+                inline: true 
+            },
+            { 
+                name: t(locale, 'embed.status'), 
+                value: `${formatSessionStatus(session.status, locale) || t(locale, 'status.full')}${session.locked ? ' 🔒' : ''}`, 
+                inline: true 
+            },
+            { 
+                name: t(locale, 'embed.sessionId'), 
+                value: `#${session.id.slice(-6)}`, 
+                inline: true 
+            }
+        )
+        .setTimestamp()
+        .setFooter({ text: t(locale, 'embed.footer') });
+
+    if (session.status === SessionStatus.SCHEDULED && session.startTime) {
+        const start = Math.floor(new Date(session.startTime).getTime() / 1000);
+        embed.addFields({ name: t(locale, 'embed.starts'), value: `<t:${start}:F> (<t:${start}:R>)` });
+    } else if (session.status !== SessionStatus.IN_PROGRESS && session.expiresAt) {
+        const expires = Math.floor(new Date(session.expiresAt).getTime() / 1000);
+        embed.addFields({ name: t(locale, 'embed.expires'), value: `<t:${expires}:R>`, inline: true });
+    }
+
+    if (session.info) {
+        embed.addFields({ name: t(locale, 'embed.info'), value: session.info });
+    }
+
+    const requirements = formatRequirements(session.requirements || {}, locale);
+    if (requirements) {
+        embed.addFields({ name: t(locale, 'embed.requirements'), value: requirements });
+    }
+
+    const access = formatSessionVisibility(session.visibility, locale);
+    if (access) {
+        embed.addFields({ name: t(locale, 'embed.access'), value: access, inline: true });
+    }
+
+    // Add current players list
+    if (session.currentPlayers.length > 0) {
+        const playersList = session.currentPlayers.map(player => {
+            const readyMark = session.status === SessionStatus.CONFIRMING
+                ? (session.confirmedPlayers.includes(player.id) ? ' ✅' : ' ⏳')
+                : '';
+            const profileSummary = [
+                formatProfileSummary(userProfileCache.get(player.id), session.game),
+                formatReputation(reputationCache.get(`${session.guildId}:${player.id}`))
+            ].filter(Boolean).join(' • ');
+            return `${player.id === session.creatorId ? '👑' : '🎮'} <@${player.id}>${readyMark}${profileSummary ? ` - ${profileSummary}` : ''}`;
+        }).join('\n');
+        embed.addFields({ name: t(locale, 'embed.squad'), value: playersList });
+    }
+
+    if (session.pendingPlayers?.length > 0) {
+        const pending = session.pendingPlayers.map(player => `⏳ <@${player.id}>`).join('\n');
+        embed.addFields({ name: t(locale, 'embed.pending', { count: session.pendingPlayers.length }), value: pending });
+    }
+
+    if (session.waitlist?.length > 0) {
+        const waitlist = session.waitlist.map((player, index) => `${index + 1}. <@${player.id}>`).join('\n');
+        embed.addFields({ name: t(locale, 'embed.waitlist', { count: session.waitlist.length }), value: waitlist });
+    }
+
+    if (session.status === SessionStatus.CONFIRMING && session.confirmationStartTime) {
+        const deadline = Math.floor((new Date(session.confirmationStartTime).getTime() + READY_CHECK_TIMEOUT) / 1000);
+        embed.addFields({
+            name: t(locale, 'embed.readyCheck'),
+            value: t(locale, 'embed.readyCheckProgress', {
+                ready: session.confirmedPlayers.length,
+                total: session.currentPlayers.length,
+                deadline
+            })
+        });
+    }
+
+    if (session.voiceChannelId) {
+        embed.addFields({ 
+            name: t(locale, 'embed.voice'), 
+            value: `<#${session.voiceChannelId}>`, 
+            inline: true 
+        });
+    }
+
+    if (session.companionChannelId) {
+        embed.addFields({
+            name: t(locale, 'embed.chat'),
+            value: `<#${session.companionChannelId}>`,
+            inline: true
+        });
+    }
+
+    return embed;
+}
+
+// Buttons shown on the LFG message for the session's current status
+function createSessionButtons(session) {
+    const locale = getGuildLocale(session.guildId);
+
+    // Open squads (and started squads with free slots) take new players
+    if (session.status === SessionStatus.OPEN || (session.status === SessionStatus.IN_PROGRESS && !isSessionFull(session))) {
+        return [
+            new ActionRowBuilder()
+                .addComponents(
+                    new ButtonBuilder()
+                        .setCustomId(`join_${session.id}`)
+                        .setLabel(t(locale, session.locked ? 'buttons.locked' : 'buttons.join'))
+                        .setStyle(ButtonStyle.Success)
+                        .setEmoji(session.locked ? '🔒' : '🎮')
+                        .setDisabled(Boolean(session.locked)),
+                    new ButtonBuilder()
+                        .setCustomId(`leave_${session.id}`)
+                        .setLabel(t(locale, 'buttons.leave'))
+                        .setStyle(ButtonStyle.Secondary)
+                        .setEmoji('🚪'),
+                    createManageButton(session)
+                )
+        ];
+    }
+
+    if (session.status === SessionStatus.SCHEDULED) {
+        return [
+            new ActionRowBuilder()
+                .addComponents(
+                    new ButtonBuilder()
+                        .setCustomId(`join_${session.id}`)
+                        .setLabel(t(locale, session.locked ? 'buttons.locked' : 'buttons.rsvp'))
+                        .setStyle(ButtonStyle.Success)
+                        .setEmoji(session.locked ? '🔒' : '📅')
+                        .setDisabled(Boolean(session.locked)),
+                    new ButtonBuilder()
+                        .setCustomId(`leave_${session.id}`)
+                        .setLabel(t(locale, 'buttons.cancelRsvp'))
+                        .setStyle(ButtonStyle.Secondary)
+                        .setEmoji('🚪'),
+                    createManageButton(session)
+                )
+        ];
+    }
+
+    if (session.status === SessionStatus.CONFIRMING) {
+        return [
+            new ActionRowBuilder()
+                .addComponents(
+                    new ButtonBuilder()
+                        .setCustomId(`ready_${session.id}`)
+                        .setLabel(t(locale, 'buttons.ready'))
+                        .setStyle(ButtonStyle.Success)
+                        .setEmoji('✅'),
+                    new ButtonBuilder()
+                        .setCustomId(`notready_${session.id}`)
+                        .setLabel(t(locale, 'buttons.notReady'))
+                        .setStyle(ButtonStyle.Danger)
+                        .setEmoji('❌'),
+                    createManageButton(session)
+                ),
+            createWaitlistRow(session)
+        ];
+    }
+
+    // Full squads keep a way out, and a waitlist for anyone who wants in
+    return [
+        new ActionRowBuilder()
+            .addComponents(
+                new ButtonBuilder()
+                    .setCustomId(`leave_${session.id}`)
+                    .setLabel(t(locale, 'buttons.leave'))
+                    .setStyle(ButtonStyle.Secondary)
+                    .setEmoji('🚪'),
+                createManageButton(session)
+            ),
+        createWaitlistRow(session)
+    ];
+}
+
+// The panel copy updates the panel; the one on the expiry warning updates the warning
+function createExtendButton(session, source = 'warning', locale = getGuildLocale(session.guildId)) {
+    return new ButtonBuilder()
+        .setCustomId(`extend_${session.id}_${source}`)
+        .setLabel(t(locale, 'buttons.extend', { minutes: SESSION_EXTENSION / 60000 }))
+        .setStyle(ButtonStyle.Primary)
+        .setEmoji('⏳');
+}
+
+function createManageButton(session) {
+    return new ButtonBuilder()
+        .setCustomId(`manage_${session.id}`)
+        .setLabel(t(getGuildLocale(session.guildId), 'buttons.manage'))
+        .setStyle(ButtonStyle.Secondary)
+        .setEmoji('⚙️');
+}
+
+// Creator-only controls, shown as an ephemeral reply to the Manage button
+function createManagePanel(session, locale = DEFAULT_LOCALE) {
+    const squadmates = session.currentPlayers.filter(player => player.id !== session.creatorId);
+    const rows = [
+        new ActionRowBuilder()
+            .addComponents(
+                new ButtonBuilder()
+                    .setCustomId(`lock_${session.id}`)
+                    .setLabel(t(locale, session.locked ? 'buttons.unlock' : 'buttons.lock'))
+                    .setStyle(session.locked ? ButtonStyle.Success : ButtonStyle.Secondary)
+                    .setEmoji(session.locked ? '🔓' : '🔒'),
+                new ButtonBuilder()
+                    .setCustomId(`edit_${session.id}`)
+                    .setLabel(t(locale, 'buttons.edit'))
+                    .setStyle(ButtonStyle.Primary)
+                    .setEmoji('✏️'),
+                createExtendButton(session, 'panel', locale)
+                    .setDisabled(session.status === SessionStatus.SCHEDULED || (session.extensions || 0) >= getMaxExtensions(session.guildId))
+            )
+    ];
+
+    if (session.visibility !== SessionVisibility.PUBLIC) {
+        rows.push(
+            new ActionRowBuilder().addComponents(
+                new UserSelectMenuBuilder()
+                    .setCustomId(`invite_${session.id}`)
+                    .setPlaceholder(t(locale, 'manage.invitePlaceholder'))
+                    .setMinValues(1)
+                    .setMaxValues(10)
+            )
+        );
+    }
+
+    if (squadmates.length > 0) {
+        const options = squadmates.map(player => ({ label: player.username.slice(0, 100), value: player.id }));
+        rows.push(
+            new ActionRowBuilder().addComponents(
+                new StringSelectMenuBuilder()
+                    .setCustomId(`kick_${session.id}`)
+                    .setPlaceholder(t(locale, 'manage.kickPlaceholder'))
+                    .addOptions(options)
+            ),
+            new ActionRowBuilder().addComponents(
+                new StringSelectMenuBuilder()
+                    .setCustomId(`transfer_${session.id}`)
+                    .setPlaceholder(t(locale, 'manage.transferPlaceholder'))
+                    .addOptions(options)
+            )
+        );
+    }
+
+    return rows;
+}
+
+function createEditSessionModal(session, locale = DEFAULT_LOCALE) {
+    const infoInput = new TextInputBuilder()
+        .setCustomId('info')
+        .setLabel(t(locale, 'manage.editInfo'))
+        .setStyle(TextInputStyle.Paragraph)
+        .setMaxLength(1000)
+        .setRequired(false);
+    if (session.info) {
+        infoInput.setValue(session.info);
+    }
+
+    return new ModalBuilder()
+        .setCustomId(`editmodal_${session.id}`)
+        .setTitle(t(locale, 'manage.editTitle', { session: session.id.slice(-6) }))
+        .addComponents(
+            new ActionRowBuilder().addComponents(
+                new TextInputBuilder()
+                    .setCustomId('gamemode')
+                    .setLabel(t(locale, 'manage.editMode'))
+                    .setStyle(TextInputStyle.Short)
+                    .setValue(session.gamemode)
+                    .setMaxLength(100)
+                    .setRequired(true)
+            ),
+            new ActionRowBuilder().addComponents(
+                new TextInputBuilder()
+                    .setCustomId('players')
+                    .setLabel(t(locale, 'manage.editPlayers'))
+                    .setStyle(TextInputStyle.Short)
+                    .setValue(String(session.playersNeeded))
+                    .setMaxLength(2)
+                    .setRequired(true)
+            ),
+            new ActionRowBuilder().addComponents(infoInput)
+        );
+}
+
+function createWaitlistRow(session) {
+    const locale = getGuildLocale(session.guildId);
+    return new ActionRowBuilder()
+        .addComponents(
+            new ButtonBuilder()
+                .setCustomId(`waitlist_${session.id}`)
+                .setLabel(t(locale, 'buttons.joinWaitlist'))
+                .setStyle(ButtonStyle.Primary)
+                .setEmoji('📋'),
+            new ButtonBuilder()
+                .setCustomId(`unwaitlist_${session.id}`)
+                .setLabel(t(locale, 'buttons.leaveWaitlist'))
+                .setStyle(ButtonStyle.Secondary)
+                .setEmoji('↩️')
+        );
+}
+
+// Re-render the original LFG message from the session state
+async function refreshSessionMessage(session) {
+    try {
+        const guild = client.guilds.cache.get(session.guildId);
+        const channel = guild?.channels.cache.get(session.channelId);
+        if (!channel || !session.messageId) return;
+
+        await loadSquadDetails(session);
+        const message = await channel.messages.fetch(session.messageId);
+        await message.edit({
+            embeds: [createLFGEmbed(session, getGameDisplayName(session.guildId, session.game))],
+            components: createSessionButtons(session)
+        });
+    } catch (error) {
+        console.error('Error updating original LFG message:', error);
+    }
+}
+
+// Permission checking utility
+async function checkBotPermissions(guild, channel) {
+    const botMember = guild.members.me;
+    
+    if (!botMember.permissions.has(PermissionFlagsBits.ManageChannels)) {
+        return { hasPermission: false, message: 'Bot needs "Manage Channels" permission to create voice channels.' };
+    }
+    
+    if (!botMember.permissions.has(PermissionFlagsBits.Connect)) {
+        return { hasPermission: false, message: 'Bot needs "Connect" permission for voice channel access.' };
+    }
+    
+    return { hasPermission: true };
+}
+
+// Lowest channel number not taken by another squad in the guild
+function getNextVoiceChannelNumber(guildId) {
+    const taken = new Set(Array.from(activeSessions.values())
+        .filter(session => session.guildId === guildId && session.voiceChannelId && session.voiceChannelNumber)
+        .map(session => session.voiceChannelNumber));
+
+    let number = 1;
+    while (taken.has(number)) number++;
+    return number;
+}
+
+function formatVoiceChannelName(session, template) {
+    const creator = session.currentPlayers.find(player => player.id === session.creatorId);
+    const values = {
+        game: getGameDisplayName(session.guildId, session.game),
+        mode: session.gamemode,
+        creator: creator?.username || 'squad',
+        number: String(session.voiceChannelNumber || 1),
+        id: session.id.slice(-6)
+    };
+
+    const name = (template || DEFAULT_VOICE_NAME_TEMPLATE)
+        .replace(/\{(game|mode|creator|number|id)\}/g, (match, key) => values[key])
+        .trim();
+    return (name || `🎮 ${values.mode} #${values.id}`).slice(0, 100);
+}
+
+// Voice channel creation with improved error handling
+async function createVoiceChannel(session, guild) {
+    try {
+        const permissionCheck = await checkBotPermissions(guild);
+        if (!permissionCheck.hasPermission) {
+            console.error(`Permission error: ${permissionCheck.message}`);
+            return null;
+        }
+
+        // Use the configured voice category, otherwise find or create a game category
+        const gameDisplayName = getGameDisplayName(session.guildId, session.game);
+        const settings = getGuildSettings(guild.id);
+        let gameCategory = settings.voiceCategoryId
+            ? guild.channels.cache.get(settings.voiceCategoryId)
+            : null;
+
+        if (!gameCategory) {
+            gameCategory = guild.channels.cache.find(
+                c => c.type === ChannelType.GuildCategory && 
+                c.name.toLowerCase() === `${gameDisplayName.toLowerCase()}-lfg`
+            );
+        }
+
+        if (!gameCategory) {
+            gameCategory = await guild.channels.create({
+                name: `${gameDisplayName}-LFG`,
+                type: ChannelType.GuildCategory,
+                reason: 'LFG Bot - Game category for organized sessions'
+            });
+        }
+
+        // Public channels skip the @everyone deny; squad members still get their overwrites
+        const permissionOverwrites = session.currentPlayers.map(player => ({
+            id: player.id,
+            allow: SQUAD_VOICE_PERMISSIONS
+        }));
+        if (settings.voicePrivate !== false) {
+            permissionOverwrites.unshift({
+                id: guild.roles.everyone.id,
+                deny: [PermissionFlagsBits.Connect, PermissionFlagsBits.ViewChannel]
+            });
+        }
+
+        session.voiceChannelNumber = getNextVoiceChannelNumber(guild.id);
+
+        const voiceChannel = await guild.channels.create({
+            name: formatVoiceChannelName(session, settings.voiceNameTemplate),
+            type: ChannelType.GuildVoice,
+            parent: gameCategory.id,
+            userLimit: session.playersNeeded,
+            bitrate: settings.voiceBitrate ? Math.min(settings.voiceBitrate * 1000, guild.maximumBitrate) : undefined,
+            rtcRegion: settings.voiceRegion || null,
+            permissionOverwrites,
+            reason: `LFG Bot - Voice channel for ${session.gamemode} session`
+        });
+
+        metrics.voiceChannelsCreated.inc();
+        console.log(`✅ Created voice channel: ${voiceChannel.name} (${voiceChannel.id})`);
+        return voiceChannel;
+    } catch (error) {
+        console.error('Error creating voice channel:', error);
+        return null;
+    }
+}
+
+// Channel cleanup system
+async function cleanupEmptyChannel(channelId, guildId) {
+    try {
+        const guild = client.guilds.cache.get(guildId);
+        if (!guild) return;
+
+        const channel = guild.channels.cache.get(channelId);
+        if (!channel || channel.members.size > 0) {
+            emptyChannelTimeouts.delete(channelId);
+            return;
+        }
+
+        console.log(`🧹 Deleting empty voice channel: ${channel.name}`);
+        await channel.delete(`LFG Bot - Channel empty for ${formatDelay(getEmptyChannelCleanupDelay(guildId))}`);
+        metrics.voiceChannelsCleanedUp.inc({ reason: 'empty' });
+        emptyChannelTimeouts.delete(channelId);
+        await sessionService.handleVoiceChannelRemoved(channelId);
+
+        // Check if category is now empty and delete it (never the configured voice category)
+        const settings = getGuildSettings(guildId);
+        if (channel.parent && channel.parent.id !== settings.voiceCategoryId && channel.parent.children.cache.size === 0) {
+            console.log(`🧹 Deleting empty category: ${channel.parent.name}`);
+            await channel.parent.delete('LFG Bot - Category empty after channel cleanup');
+        }
+    } catch (error) {
+        console.error('Error during channel cleanup:', error);
+        emptyChannelTimeouts.delete(channelId);
+    }
+}
+
+// Session lifecycle states
+const SessionStatus = Object.freeze({
+    SCHEDULED: 'scheduled',
+    OPEN: 'open',
+    FULL: 'full',
+    CONFIRMING: 'confirming',
+    IN_PROGRESS: 'in_progress',
+    ENDED: 'ended',
+    EXPIRED: 'expired'
+});
+
+// Allowed transitions between lifecycle states
+const SESSION_TRANSITIONS = Object.freeze({
+    [SessionStatus.SCHEDULED]: [SessionStatus.IN_PROGRESS, SessionStatus.ENDED, SessionStatus.EXPIRED],
+    [SessionStatus.OPEN]: [SessionStatus.FULL, SessionStatus.ENDED, SessionStatus.EXPIRED],
+    [SessionStatus.FULL]: [SessionStatus.CONFIRMING, SessionStatus.IN_PROGRESS, SessionStatus.OPEN, SessionStatus.ENDED, SessionStatus.EXPIRED],
+    [SessionStatus.CONFIRMING]: [SessionStatus.IN_PROGRESS, SessionStatus.OPEN, SessionStatus.ENDED, SessionStatus.EXPIRED],
+    [SessionStatus.IN_PROGRESS]: [SessionStatus.OPEN, SessionStatus.ENDED, SessionStatus.EXPIRED],
+    [SessionStatus.ENDED]: [],
+    [SessionStatus.EXPIRED]: []
+});
+
+// Statuses written by earlier versions of the bot
+const LEGACY_SESSION_STATUSES = {
+    waiting: SessionStatus.OPEN,
+    completed: SessionStatus.IN_PROGRESS
+};
+
+function normalizeSessionStatus(status) {
+    return LEGACY_SESSION_STATUSES[status] || status;
+}
+
+function isSessionFull(session) {
+    return session.currentPlayers.length >= session.playersNeeded;
+}
+
+// Session service - every command, button and timer changes sessions through here
+class SessionService {
+    constructor() {
+        this.hooks = new Map();
+    }
+
+    // Register a handler that runs when a session enters `status` ('*' for every state)
+    onTransition(status, handler) {
+        if (!this.hooks.has(status)) {
+            this.hooks.set(status, []);
+        }
+        this.hooks.get(status).push(handler);
+    }
+
+    // Every hook runs even if one fails; a failed storage write is rethrown afterwards so the user hears about it
+    async runHooks(session, from, to, context) {
+        const handlers = [...(this.hooks.get(to) || []), ...(this.hooks.get('*') || [])];
+        let storageError = null;
+        for (const handler of handlers) {
+            try {
+                await handler(session, from, to, context);
+            } catch (error) {
+                console.error(`Error in session ${to} hook:`, error);
+                if (error instanceof StorageError) storageError = storageError || error;
+            }
+        }
+        if (storageError) throw storageError;
+    }
+
+    async transition(session, to, context = {}) {
+        const from = session.status;
+        if (!SESSION_TRANSITIONS[from]?.includes(to)) {
+            console.error(`Invalid session transition ${from} -> ${to} for session ${session.id.slice(-6)}`);
+            return false;
+        }
+
+        // Sessions change in storage first, so a failed write leaves the live session as it was
+        if (to === SessionStatus.ENDED || to === SessionStatus.EXPIRED) {
+            for (const player of session.currentPlayers) {
+                if (userActiveSessions.get(player.id) === session.id) {
+                    await storage.removeUserSession(player.id);
+                }
+            }
+            await storage.updateSession(session.id, { status: to, isActive: false });
+        } else {
+            await storage.updateSession(session.id, { status: to });
+        }
+        session.status = to;
+
+        let next = null;
+        switch (to) {
+            case SessionStatus.OPEN:
+                await this.enterOpen(session);
+                break;
+            case SessionStatus.FULL:
+                next = context.skipReadyCheck ? SessionStatus.IN_PROGRESS : SessionStatus.CONFIRMING;
+                break;
+            case SessionStatus.CONFIRMING:
+                await this.enterConfirming(session);
+                break;
+            case SessionStatus.IN_PROGRESS:
+                await this.enterInProgress(session);
+                break;
+            case SessionStatus.ENDED:
+            case SessionStatus.EXPIRED:
+                await this.teardown(session, context);
+                break;
+        }
+
+        await this.runHooks(session, from, to, context);
+
+        if (next) {
+            await this.transition(session, next, context);
+        }
+        return true;
+    }
+
+    // Track a newly posted session; squads formed complete skip straight to full
+    async register(session, context = {}) {
+        // Scheduled sessions only claim their players once they start
+        const claimedPlayers = session.status === SessionStatus.SCHEDULED ? [] : session.currentPlayers;
+
+        await storage.createSession(session);
+        try {
+            for (const player of claimedPlayers) {
+                await storage.setUserSession(player.id, session.id);
+            }
+        } catch (error) {
+            // Close the half-registered row so a restart doesn't restore it (a failure here is already logged)
+            await storage.deleteSession(session.id).catch(() => {});
+            throw error;
+        }
+
+        activeSessions.set(session.id, session);
+        for (const player of claimedPlayers) {
+            userActiveSessions.set(player.id, session.id);
+        }
+
+        this.scheduleExpiry(session);
+        await this.runHooks(session, null, session.status, context);
+
+        if (session.status === SessionStatus.OPEN && isSessionFull(session)) {
+            await this.transition(session, SessionStatus.FULL, context);
+        }
+    }
+
+    async addPlayer(session, user) {
+        const currentPlayers = [...session.currentPlayers, { id: user.id, username: user.username }];
+        const claimsPlayer = session.status !== SessionStatus.SCHEDULED;
+
+        if (claimsPlayer) {
+            await storage.setUserSession(user.id, session.id);
+        }
+        await storage.updateSession(session.id, { currentPlayers });
+
+        session.currentPlayers = currentPlayers;
+        if (claimsPlayer) {
+            userActiveSessions.set(user.id, session.id);
+        }
+
+        await syncSquadChannels(session);
+
+        if (session.status === SessionStatus.OPEN && isSessionFull(session)) {
+            await this.transition(session, SessionStatus.FULL);
+            return;
+        }
+
+        await refreshSessionMessage(session);
+    }
+
+    // Leave, drop and kick all end up here
+    async removePlayers(session, userIds, { reason = 'squad.left', announce = false } = {}) {
+        const removedPlayers = session.currentPlayers.filter(player => userIds.includes(player.id));
+        const releasedPlayers = removedPlayers.filter(player => userActiveSessions.get(player.id) === session.id);
+        const currentPlayers = session.currentPlayers.filter(player => !userIds.includes(player.id));
+        const confirmedPlayers = session.confirmedPlayers.filter(id => !userIds.includes(id));
+
+        for (const player of releasedPlayers) {
+            await storage.removeUserSession(player.id);
+        }
+
+        // Nobody left - remove the session entirely
+        if (currentPlayers.length === 0) {
+            await this.end(session, { reason: 'session empty' });
+            return { removedPlayers, promoted: [], ended: true };
+        }
+
+        const creatorId = userIds.includes(session.creatorId) ? currentPlayers[0].id : session.creatorId;
+        await storage.updateSession(session.id, { currentPlayers, confirmedPlayers, creatorId });
+
+        Object.assign(session, { currentPlayers, confirmedPlayers });
+        for (const player of releasedPlayers) {
+            userActiveSessions.delete(player.id);
+        }
+        if (creatorId !== session.creatorId) {
+            session.creatorId = creatorId;
+            console.log(`👑 Session ownership transferred to ${currentPlayers[0].username}`);
+        }
+
+        await syncSquadChannels(session);
+
+        const promoted = await this.rebalance(session, { squadChanged: true });
+
+        if (announce || promoted.length > 0) {
+            await this.announceSquadChange(session, removedPlayers, reason, promoted);
+        }
+
+        return { removedPlayers, promoted, ended: false };
+    }
+
+    // Bring the status back in line after the squad or its size changed; returns promoted players
+    async rebalance(session, { squadChanged = false } = {}) {
+        let promoted = [];
+        const wasConfirming = session.status === SessionStatus.CONFIRMING;
+
+        if (wasConfirming && (squadChanged || !isSessionFull(session))) {
+            // Confirmations are void once the squad changes
+            await this.transition(session, SessionStatus.OPEN);
+        }
+
+        // Waitlisted players take the free slots of a full squad first
+        if (wasConfirming || [SessionStatus.FULL, SessionStatus.IN_PROGRESS].includes(session.status)) {
+            promoted = await this.promoteFromWaitlist(session);
+        }
+
+        if (session.status === SessionStatus.OPEN && isSessionFull(session)) {
+            await this.transition(session, SessionStatus.FULL);
+        } else if ([SessionStatus.FULL, SessionStatus.IN_PROGRESS].includes(session.status) && !isSessionFull(session)) {
+            await this.transition(session, SessionStatus.OPEN);
+        } else {
+            await refreshSessionMessage(session);
+        }
+
+        return promoted;
+    }
+
+    // Creator edits from the Manage panel (gamemode, playersNeeded, info)
+    async updateDetails(session, updates) {
+        const sizeChanged = updates.playersNeeded !== undefined && updates.playersNeeded !== session.playersNeeded;
+        await storage.updateSession(session.id, updates);
+        Object.assign(session, updates);
+
+        if (sizeChanged) {
+            await syncVoiceChannel(session);
+            const promoted = await this.rebalance(session);
+            if (promoted.length > 0) {
+                await this.announceSquadChange(session, [], 'squad.sizeChanged', promoted);
+            }
+        } else {
+            await refreshSessionMessage(session);
+        }
+    }
+
+    async setLocked(session, locked) {
+        await storage.updateSession(session.id, { locked });
+        session.locked = locked;
+        await refreshSessionMessage(session);
+    }
+
+    // Approval-required sessions park join requests until the creator decides
+    async requestJoin(session, user) {
+        const pendingPlayers = [...session.pendingPlayers, { id: user.id, username: user.username, requestedAt: new Date() }];
+        await storage.updateSession(session.id, { pendingPlayers });
+        session.pendingPlayers = pendingPlayers;
+        await refreshSessionMessage(session);
+    }
+
+    async resolveJoinRequest(session, userId) {
+        const request = session.pendingPlayers.find(player => player.id === userId) || null;
+        const pendingPlayers = session.pendingPlayers.filter(player => player.id !== userId);
+        await storage.updateSession(session.id, { pendingPlayers });
+        session.pendingPlayers = pendingPlayers;
+        return request;
+    }
+
+    async invite(session, userIds) {
+        const invitedUsers = [...new Set([...(session.invitedUsers || []), ...userIds])];
+        await storage.updateSession(session.id, { invitedUsers });
+        session.invitedUsers = invitedUsers;
+    }
+
+    async transferOwnership(session, userId) {
+        await storage.updateSession(session.id, { creatorId: userId });
+        session.creatorId = userId;
+        await syncVoiceChannel(session);
+        await refreshSessionMessage(session);
+    }
+
+    async confirm(session, userId) {
+        const confirmedPlayers = [...session.confirmedPlayers, userId];
+        await storage.updateSession(session.id, { confirmedPlayers });
+        session.confirmedPlayers = confirmedPlayers;
+
+        const allConfirmed = session.currentPlayers.every(player => session.confirmedPlayers.includes(player.id));
+        if (allConfirmed) {
+            await this.transition(session, SessionStatus.IN_PROGRESS);
+        } else {
+            await refreshSessionMessage(session);
+        }
+        return allConfirmed;
+    }
+
+    async addToWaitlist(session, user) {
+        const waitlist = [...session.waitlist, { id: user.id, username: user.username }];
+        await storage.updateSession(session.id, { waitlist });
+        session.waitlist = waitlist;
+        await refreshSessionMessage(session);
+        return session.waitlist.length;
+    }
+
+    async removeFromWaitlist(session, userId) {
+        const waitlist = session.waitlist.filter(player => player.id !== userId);
+        await storage.updateSession(session.id, { waitlist });
+        session.waitlist = waitlist;
+        await refreshSessionMessage(session);
+    }
+
+    // Move waitlisted players into free squad slots, in order
+    async promoteFromWaitlist(session) {
+        const promoted = [];
+        const currentPlayers = [...session.currentPlayers];
+        const waitlist = [...session.waitlist];
+
+        while (currentPlayers.length < session.playersNeeded && waitlist.length > 0) {
+            const nextPlayer = waitlist.shift();
+
+            // Players who found another session in the meantime lose their place
+            if (userActiveSessions.has(nextPlayer.id)) continue;
+
+            await storage.setUserSession(nextPlayer.id, session.id);
+            currentPlayers.push(nextPlayer);
+            promoted.push(nextPlayer);
+        }
+
+        await storage.updateSession(session.id, { currentPlayers, waitlist });
+
+        Object.assign(session, { currentPlayers, waitlist });
+        for (const player of promoted) {
+            userActiveSessions.set(player.id, session.id);
+        }
+
+        const hasVoiceAccess = promoted.length > 0 && await syncSquadChannels(session);
+        const guild = client.guilds.cache.get(session.guildId);
+        const gameDisplayName = getGameDisplayName(session.guildId, session.game);
+
+        for (const player of promoted) {
+            const locale = getRecipientLocale(player.id, session.guildId);
+            try {
+                const user = await client.users.fetch(player.id);
+                await user.send(t(locale, 'squad.promotedDm', {
+                    game: gameDisplayName,
+                    mode: session.gamemode,
+                    guild: guild?.name || t(locale, 'common.yourServer'),
+                    session: session.id.slice(-6),
+                    voice: hasVoiceAccess ? t(locale, 'squad.promotedVoice', { channel: session.voiceChannelId }) : ''
+                }));
+            } catch (error) {
+                console.error(`Could not DM promoted player ${player.username}:`, error.message);
+            }
+
+            console.log(`📋 Waitlist: ${player.username} promoted into session #${session.id.slice(-6)}`);
+        }
+
+        return promoted;
+    }
+
+    // `reason` is a squad.* message key, posted in the guild language
+    async announceSquadChange(session, removedPlayers, reason, promoted) {
+        const guild = client.guilds.cache.get(session.guildId);
+        const channel = guild?.channels.cache.get(session.channelId);
+        if (!channel) return;
+
+        const locale = getGuildLocale(session.guildId);
+        const removedMentions = removedPlayers.map(player => `<@${player.id}>`).join(' ');
+        const promotedNote = promoted.length > 0
+            ? t(locale, 'squad.promotedNote', { players: promoted.map(player => `<@${player.id}>`).join(' ') })
+            : '';
+        const openSlots = session.playersNeeded - session.currentPlayers.length;
+        const slotsNote = openSlots > 0
+            ? t(locale, 'squad.slotsNote', { slots: formatOpenSlots(openSlots, locale), join: t(locale, 'buttons.join') })
+            : '';
+
+        await channel.send(t(locale, 'squad.update', {
+            session: session.id.slice(-6),
+            change: [removedMentions, t(locale, reason)].filter(Boolean).join(' '),
+            promoted: promotedNote,
+            slots: slotsNote
+        })).catch(console.error);
+    }
+
+    // Start time reached: claim the RSVPs and open the voice channel
+    async startScheduled(session) {
+        // RSVPs who are busy in another session by now can't be claimed
+        const currentPlayers = session.currentPlayers.filter(player =>
+            !userActiveSessions.has(player.id) || userActiveSessions.get(player.id) === session.id
+        );
+
+        if (currentPlayers.length < 2) {
+            console.log(`📅 Scheduled session ${session.id.slice(-6)} cancelled: not enough RSVPs`);
+            await this.end(session, {
+                reason: 'not enough RSVPs',
+                notice: t(getGuildLocale(session.guildId), 'rsvp.cancelled', {
+                    session: session.id.slice(-6),
+                    creator: `<@${session.creatorId}>`,
+                    game: getGameDisplayName(session.guildId, session.game),
+                    mode: session.gamemode
+                })
+            });
+            return;
+        }
+
+        const creatorId = currentPlayers.some(player => player.id === session.creatorId)
+            ? session.creatorId
+            : currentPlayers[0].id;
+
+        for (const player of currentPlayers) {
+            await storage.setUserSession(player.id, session.id);
+        }
+
+        // Everyone RSVP'd, so the ready check is skipped
+        const confirmedPlayers = currentPlayers.map(player => player.id);
+        await storage.updateSession(session.id, { currentPlayers, confirmedPlayers, creatorId });
+
+        Object.assign(session, { currentPlayers, confirmedPlayers, creatorId });
+        for (const player of currentPlayers) {
+            userActiveSessions.set(player.id, session.id);
+        }
+
+        console.log(`📅 Scheduled session ${session.id.slice(-6)} starting with ${session.currentPlayers.length} players`);
+        await this.transition(session, SessionStatus.IN_PROGRESS);
+    }
+
+    async end(session, context = {}) {
+        return this.transition(session, SessionStatus.ENDED, context);
+    }
+
+    // Expire a session past its time; squads still in their voice channel are left alone
+    async expireIfDue(session) {
+        if (!activeSessions.has(session.id)) return false;
+        if (Date.now() < new Date(session.expiresAt).getTime()) return false;
+
+        // Never pull the voice channel out from under players, even if a started squad
+        // dropped back to OPEN after someone left
+        if (session.voiceChannelId) {
+            const guild = client.guilds.cache.get(session.guildId);
+            const voiceChannel = guild?.channels.cache.get(session.voiceChannelId);
+            if (voiceChannel && voiceChannel.members.size > 0) return false;
+        }
+
+        console.log(`⏰ Session ${session.id.slice(-6)} expired, cleaning up...`);
+        return this.transition(session, SessionStatus.EXPIRED, { reason: 'session expired' });
+    }
+
+    // The squad's voice channel was cleaned up after sitting empty
+    async handleVoiceChannelRemoved(channelId) {
+        const session = Array.from(activeSessions.values()).find(active => active.voiceChannelId === channelId);
+        if (!session) return;
+
+        await storage.updateSession(session.id, { voiceChannelId: null });
+        session.voiceChannelId = null;
+
+        if (session.status === SessionStatus.IN_PROGRESS) {
+            await this.end(session, { reason: 'voice channel empty' });
+        } else {
+            await refreshSessionMessage(session);
+        }
+    }
+
+    scheduleExpiry(session) {
+        if (session.timeoutId) {
+            clearTimeout(session.timeoutId);
+        }
+
+        session.timeoutId = setTimeout(async () => {
+            try {
+                session.timeoutId = null;
+                await this.expireIfDue(session);
+            } catch (error) {
+                console.error('Error in session timeout:', error);
+            }
+        }, Math.max(new Date(session.expiresAt).getTime() - Date.now(), 0));
+
+        if (session.expiryWarningTimeoutId) {
+            clearTimeout(session.expiryWarningTimeoutId);
+            session.expiryWarningTimeoutId = null;
+        }
+
+        if (!session.expiryWarningSent) {
+            session.expiryWarningTimeoutId = setTimeout(async () => {
+                try {
+                    session.expiryWarningTimeoutId = null;
+                    await this.warnExpiry(session);
+                } catch (error) {
+                    console.error('Error in session expiry warning:', error);
+                }
+            }, Math.max(new Date(session.expiresAt).getTime() - EXPIRY_WARNING_LEAD - Date.now(), 0));
+        }
+    }
+
+    // Remind the creator shortly before an unfinished session expires
+    async warnExpiry(session) {
+        if (!activeSessions.has(session.id) || session.expiryWarningSent) return;
+        if (![SessionStatus.OPEN, SessionStatus.FULL, SessionStatus.CONFIRMING].includes(session.status)) return;
+
+        await storage.updateSession(session.id, { expiryWarningSent: true });
+        session.expiryWarningSent = true;
+
+        const guild = client.guilds.cache.get(session.guildId);
+        const channel = guild?.channels.cache.get(session.channelId);
+        if (!channel) return;
+
+        const locale = getGuildLocale(session.guildId);
+        const expires = Math.floor(new Date(session.expiresAt).getTime() / 1000);
+        const extensionsLeft = getMaxExtensions(session.guildId) - (session.extensions || 0);
+
+        await channel.send({
+            content: t(locale, 'squad.expiryWarning', {
+                user: session.creatorId,
+                game: getGameDisplayName(session.guildId, session.game),
+                mode: session.gamemode,
+                session: session.id.slice(-6),
+                expires,
+                extend: extensionsLeft > 0 ? t(locale, 'squad.expiryExtend', { minutes: SESSION_EXTENSION / 60000, left: extensionsLeft }) : ''
+            }),
+            components: extensionsLeft > 0 ? [
+                new ActionRowBuilder().addComponents(createExtendButton(session, 'warning', locale))
+            ] : [],
+            allowedMentions: { users: [session.creatorId] }
+        }).catch(console.error);
+
+        console.log(`⏳ Expiry warning sent for session ${session.id.slice(-6)}`);
+    }
+
+    async extend(session) {
+        const base = Math.max(new Date(session.expiresAt).getTime(), Date.now());
+        const updates = {
+            expiresAt: new Date(base + SESSION_EXTENSION),
+            extensions: (session.extensions || 0) + 1,
+            expiryWarningSent: false
+        };
+
+        await storage.updateSession(session.id, updates);
+        Object.assign(session, updates);
+
+        this.scheduleExpiry(session);
+        await refreshSessionMessage(session);
+    }
+
+    scheduleReadyCheckTimeout(session, delay) {
+        if (session.readyCheckTimeoutId) {
+            clearTimeout(session.readyCheckTimeoutId);
+        }
+
+        session.readyCheckTimeoutId = setTimeout(async () => {
+            try {
+                session.readyCheckTimeoutId = null;
+                if (!activeSessions.has(session.id) || session.status !== SessionStatus.CONFIRMING) return;
+
+                const unconfirmedIds = session.currentPlayers
+                    .filter(player => !session.confirmedPlayers.includes(player.id))
+                    .map(player => player.id);
+
+                console.log(`⏰ Ready check for session ${session.id.slice(-6)} timed out, dropping ${unconfirmedIds.length} players`);
+                await this.removePlayers(session, unconfirmedIds, { reason: 'squad.didNotConfirm', announce: true });
+            } catch (error) {
+                console.error('Error in ready check timeout:', error);
+            }
+        }, delay);
+    }
+
+    async enterOpen(session) {
+        if (session.readyCheckTimeoutId) {
+            clearTimeout(session.readyCheckTimeoutId);
+            session.readyCheckTimeoutId = null;
+        }
+
+        await storage.updateSession(session.id, {
+            confirmedPlayers: [],
+            confirmationStartTime: null
+        });
+        session.confirmedPlayers = [];
+        session.confirmationStartTime = null;
+
+        await refreshSessionMessage(session);
+    }
+
+    // Ready check: a full squad must confirm before the voice channel is created
+    async enterConfirming(session) {
+        const confirmationStartTime = new Date();
+        await storage.updateSession(session.id, {
+            confirmedPlayers: [],
+            confirmationStartTime
+        });
+        session.confirmedPlayers = [];
+        session.confirmationStartTime = confirmationStartTime;
+
+        this.scheduleReadyCheckTimeout(session, READY_CHECK_TIMEOUT);
+        await refreshSessionMessage(session);
+
+        try {
+            const guild = client.guilds.cache.get(session.guildId);
+            const channel = guild?.channels.cache.get(session.channelId);
+            if (channel) {
+                const playerMentions = session.currentPlayers.map(player => `<@${player.id}>`).join(' ');
+                await channel.send(t(getGuildLocale(session.guildId), 'channel.readyCheck', {
+                    mentions: playerMentions,
+                    minutes: READY_CHECK_TIMEOUT / 60000
+                }));
+            }
+        } catch (error) {
+            console.error('Error sending ready check notification:', error);
+        }
+
+        console.log(`⏰ Ready check started for session ${session.id.slice(-6)}`);
+    }
+
+    // Squad locked in: create (or reuse) the voice channel and ping everyone
+    async enterInProgress(session) {
+        console.log(`🎯 Session ${session.id.slice(-6)} is in progress! Setting up voice channel...`);
+
+        if (session.readyCheckTimeoutId) {
+            clearTimeout(session.readyCheckTimeoutId);
+            session.readyCheckTimeoutId = null;
+        }
+
+        const guild = client.guilds.cache.get(session.guildId);
+        if (!guild) return;
+
+        // A refilled squad keeps its voice channel; its overwrites just catch up with the squad
+        let voiceChannel = session.voiceChannelId ? guild.channels.cache.get(session.voiceChannelId) : null;
+        if (voiceChannel) {
+            await syncVoiceChannel(session);
+        } else {
+            voiceChannel = await createVoiceChannel(session, guild);
+            if (voiceChannel) {
+                // The channel exists either way, so it stays tracked for cleanup even if saving it fails
+                session.voiceChannelId = voiceChannel.id;
+                await storage.updateSession(session.id, {
+                    voiceChannelId: voiceChannel.id,
+                    voiceChannelNumber: session.voiceChannelNumber
+                });
+            }
+        }
+
+        if (session.companionChannelId) {
+            await syncCompanionChannel(session);
+        } else {
+            const companion = await createCompanionChannel(session, guild, voiceChannel);
+            if (companion) {
+                session.companionChannelId = companion.id;
+                await storage.updateSession(session.id, {
+                    companionChannelId: companion.id
+                });
+            }
+        }
+
+        await refreshSessionMessage(session);
+
+        // Notify all players in the channel
+        const channel = guild.channels.cache.get(session.channelId);
+        if (channel && voiceChannel) {
+            const playerMentions = session.currentPlayers.map(player => `<@${player.id}>`).join(' ');
+            const locale = getGuildLocale(session.guildId);
+            const companionLine = session.companionChannelId ? t(locale, 'channel.assembledChat', { chat: session.companionChannelId }) : '';
+            await channel.send(t(locale, 'channel.assembled', {
+                mentions: playerMentions,
+                voice: voiceChannel.id,
+                chat: companionLine
+            })).catch(console.error);
+        }
+    }
+
+    // Ended and expired sessions release everything they hold; transition() already closed them in storage
+    async teardown(session, context) {
+        clearSessionTimers(session);
+        activeSessions.delete(session.id);
+
+        for (const player of session.currentPlayers) {
+            if (userActiveSessions.get(player.id) === session.id) {
+                userActiveSessions.delete(player.id);
+            }
+        }
+
+        await deleteSessionMessage(session);
+
+        const guild = client.guilds.cache.get(session.guildId);
+        if (session.voiceChannelId) {
+            try {
+                const voiceChannel = guild?.channels.cache.get(session.voiceChannelId);
+                if (voiceChannel) {
+                    await voiceChannel.delete(`LFG Bot - Session ${context.reason || 'ended'}`);
+                    metrics.voiceChannelsCleanedUp.inc({ reason: session.status });
+                }
+            } catch (error) {
+                console.error('Error deleting voice channel:', error);
+            }
+        }
+
+        await closeCompanionChannel(session, context.reason || 'ended');
+
+        if (context.notice) {
+            const channel = guild?.channels.cache.get(session.channelId);
+            if (channel) {
+                await channel.send(context.notice).catch(console.error);
+            }
+        }
+
+        console.log(`🗑️ Session ${session.id.slice(-6)} ${session.status}: ${context.reason || 'no reason given'}`);
+    }
+}
+
+const sessionService = new SessionService();
+
+sessionService.onTransition('*', (session, from, to) => {
+    if (from) {
+        console.log(`🔀 Session ${session.id.slice(-6)}: ${from} -> ${to}`);
+    } else {
+        metrics.sessionsCreated.inc({ game: session.game });
+    }
+});
+
+// A squad counts as filled once, when it first reaches the needed player count; refills after
+// a failed ready check don't count again. Scheduled sessions fill when they start.
+async function recordFirstFill(session) {
+    if (session.filledAt) return;
+
+    const filledAt = new Date();
+    await storage.updateSession(session.id, { filledAt });
+    session.filledAt = filledAt;
+    metrics.sessionsFilled.inc({ game: session.game });
+    metrics.sessionFillSeconds.observe({ game: session.game }, (filledAt.getTime() - new Date(session.createdAt).getTime()) / 1000);
+}
+
+sessionService.onTransition(SessionStatus.FULL, recordFirstFill);
+sessionService.onTransition(SessionStatus.IN_PROGRESS, recordFirstFill);
+
+sessionService.onTransition(SessionStatus.EXPIRED, (session) => metrics.sessionsExpired.inc({ game: session.game }));
+
+// Everyone in the squad when it assembles counts as having played
+sessionService.onTransition(SessionStatus.IN_PROGRESS, async (session) => {
+    const participants = [...(session.participants || [])];
+    for (const player of session.currentPlayers) {
+        if (!participants.some(participant => participant.id === player.id)) {
+            participants.push({ id: player.id, username: player.username });
+        }
+    }
+
+    await storage.updateSession(session.id, { participants });
+    session.participants = participants;
+});
+
+// Finished sessions are kept for /stats and /leaderboard
+sessionService.onTransition(SessionStatus.ENDED, (session, from, to) => storage.recordSessionHistory(session, to));
+sessionService.onTransition(SessionStatus.EXPIRED, (session, from, to) => storage.recordSessionHistory(session, to));
+
+// Squads that assembled get asked about each other once they're done
+sessionService.onTransition(SessionStatus.ENDED, sendFeedbackRequests);
+sessionService.onTransition(SessionStatus.EXPIRED, sendFeedbackRequests);
+
+// DM every participant an endorse / no-show row per squadmate
+async function sendFeedbackRequests(session) {
+    const participants = session.participants || [];
+    if (participants.length < 2) return;
+
+    const guild = client.guilds.cache.get(session.guildId);
+    const gameDisplayName = getGameDisplayName(session.guildId, session.game);
+    const deadline = Math.floor((Date.now() + FEEDBACK_WINDOW) / 1000);
+
+    for (const participant of participants) {
+        const squadmates = participants.filter(player => player.id !== participant.id);
+        const locale = getRecipientLocale(participant.id, session.guildId);
+
+        // A message holds at most five rows, one per squadmate
+        const messages = [];
+        for (let i = 0; i < squadmates.length; i += 5) {
+            messages.push(squadmates.slice(i, i + 5).map(player =>
+                new ActionRowBuilder()
+                    .addComponents(
+                        new ButtonBuilder()
+                            .setCustomId(`endorse_${session.id}_${player.id}`)
+                            .setLabel(t(locale, 'buttons.endorse', { name: player.username }).slice(0, 80))
+                            .setStyle(ButtonStyle.Success)
+                            .setEmoji('👍'),
+                        new ButtonBuilder()
+                            .setCustomId(`noshow_${session.id}_${player.id}`)
+                            .setLabel(t(locale, 'buttons.noShow'))
+                            .setStyle(ButtonStyle.Danger)
+                            .setEmoji('🚫')
+                    )
+            ));
+        }
+
+        try {
+            const user = await client.users.fetch(participant.id);
+            for (const [index, components] of messages.entries()) {
+                await user.send({
+                    content: index === 0
+                        ? t(locale, 'feedback.request', {
+                            game: gameDisplayName,
+                            mode: session.gamemode,
+                            guild: guild?.name || t(locale, 'common.yourServer'),
+                            session: session.id.slice(-6),
+                            deadline
+                        })
+                        : undefined,
+                    components
+                });
+            }
+        } catch (error) {
+            console.error(`Could not DM feedback request to ${participant.username}:`, error.message);
+        }
+    }
+
+    console.log(`⭐ Feedback requested from ${participants.length} players for session #${session.id.slice(-6)}`);
+}
+
+function clearSessionTimers(session) {
+    if (session.timeoutId) {
+        clearTimeout(session.timeoutId);
+        session.timeoutId = null;
+    }
+    if (session.readyCheckTimeoutId) {
+        clearTimeout(session.readyCheckTimeoutId);
+        session.readyCheckTimeoutId = null;
+    }
+    if (session.expiryWarningTimeoutId) {
+        clearTimeout(session.expiryWarningTimeoutId);
+        session.expiryWarningTimeoutId = null;
+    }
+}
+
+// Voice permissions every squad member gets
+const SQUAD_VOICE_PERMISSIONS = [PermissionFlagsBits.Connect, PermissionFlagsBits.ViewChannel, PermissionFlagsBits.Speak];
+
+// Bring the voice channel's member overwrites and user limit in line with the current squad.
+// Removed players lose their overwrite and are disconnected when the bot may move members;
+// returns false without a channel.
+async function syncVoiceChannel(session) {
+    if (!session.voiceChannelId) return false;
+
+    try {
+        const guild = client.guilds.cache.get(session.guildId);
+        const voiceChannel = guild?.channels.cache.get(session.voiceChannelId);
+        if (!voiceChannel) return false;
+
+        const squadIds = new Set(session.currentPlayers.map(player => player.id));
+
+        for (const overwrite of [...voiceChannel.permissionOverwrites.cache.values()]) {
+            if (overwrite.type !== OverwriteType.Member || squadIds.has(overwrite.id) || overwrite.id === client.user.id) continue;
+
+            await voiceChannel.permissionOverwrites.delete(overwrite.id, 'LFG Bot - Player removed from squad');
+
+            // Best effort: servers that never granted Move Members keep the player connected
+            const member = voiceChannel.members.get(overwrite.id);
+            if (member) {
+                try {
+                    await member.voice.disconnect('LFG Bot - Player removed from squad');
+                    console.log(`🔇 Disconnected ${member.user.username} from ${voiceChannel.name}`);
+                } catch (error) {
+                    console.error(`Could not disconnect ${member.user.username} from ${voiceChannel.name}:`, error.message);
+                }
+            }
+        }
+
+        for (const player of session.currentPlayers) {
+            const overwrite = voiceChannel.permissionOverwrites.cache.get(player.id);
+            if (overwrite?.allow.has(SQUAD_VOICE_PERMISSIONS)) continue;
+
+            await voiceChannel.permissionOverwrites.edit(player.id, {
+                Connect: true,
+                ViewChannel: true,
+                Speak: true
+            }, { reason: 'LFG Bot - Squad membership changed' });
+        }
+
+        if (voiceChannel.userLimit !== session.playersNeeded) {
+            await voiceChannel.setUserLimit(session.playersNeeded, 'LFG Bot - Squad size changed');
+        }
+
+        return true;
+    } catch (error) {
+        console.error('Error syncing voice channel permissions:', error);
+        return false;
+    }
+}
+
+// Voice and text membership both follow the squad; returns whether the voice channel was synced
+async function syncSquadChannels(session) {
+    const voiceSynced = await syncVoiceChannel(session);
+    await syncCompanionChannel(session);
+    return voiceSynced;
+}
+
+const COMPANION_PERMISSIONS = [PermissionFlagsBits.ViewChannel, PermissionFlagsBits.SendMessages, PermissionFlagsBits.ReadMessageHistory];
+
+// Open the squad's private chat: a thread in the LFG channel or a text channel beside the voice channel
+async function createCompanionChannel(session, guild, voiceChannel) {
+    const { companionMode = 'thread' } = getGuildSettings(guild.id);
+    if (companionMode === 'off') return null;
+
+    try {
+        const reason = `LFG Bot - Squad chat for ${session.gamemode} session`;
+
+        if (companionMode === 'channel') {
+            if (!voiceChannel) return null;
+
+            const textChannel = await guild.channels.create({
+                name: `💬-${session.gamemode}-${session.id.slice(-6)}`,
+                type: ChannelType.GuildText,
+                parent: voiceChannel.parentId,
+                permissionOverwrites: [
+                    {
+                        id: guild.roles.everyone.id,
+                        deny: [PermissionFlagsBits.ViewChannel]
+                    },
+                    {
+                        id: client.user.id,
+                        allow: COMPANION_PERMISSIONS
+                    },
+                    ...session.currentPlayers.map(player => ({
+                        id: player.id,
+                        allow: COMPANION_PERMISSIONS
+                    }))
+                ],
+                reason
+            });
+
+            console.log(`✅ Created squad text channel: ${textChannel.name} (${textChannel.id})`);
+            return textChannel;
+        }
+
+        const lfgChannel = guild.channels.cache.get(session.channelId);
+        if (!lfgChannel || lfgChannel.type !== ChannelType.GuildText) return null;
+
+        const thread = await lfgChannel.threads.create({
+            name: `🎮 ${session.gamemode} #${session.id.slice(-6)}`,
+            type: ChannelType.PrivateThread,
+            invitable: false,
+            autoArchiveDuration: ThreadAutoArchiveDuration.OneDay,
+            reason
+        });
+
+        for (const player of session.currentPlayers) {
+            await thread.members.add(player.id).catch(console.error);
+        }
+
+        console.log(`✅ Created squad thread: ${thread.name} (${thread.id})`);
+        return thread;
+    } catch (error) {
+        console.error('Error creating squad chat:', error);
+        return null;
+    }
+}
+
+// Add current squad members to the squad chat and take everyone else out
+async function syncCompanionChannel(session) {
+    if (!session.companionChannelId) return false;
+
+    try {
+        const companion = await client.channels.fetch(session.companionChannelId).catch(() => null);
+        if (!companion) return false;
+
+        const squadIds = new Set(session.currentPlayers.map(player => player.id));
+
+        if (companion.isThread()) {
+            const members = await companion.members.fetch();
+            for (const memberId of members.keys()) {
+                if (!squadIds.has(memberId) && memberId !== client.user.id) {
+                    await companion.members.remove(memberId);
+                }
+            }
+            for (const playerId of squadIds) {
+                if (!members.has(playerId)) {
+                    await companion.members.add(playerId);
+                }
+            }
+            return true;
+        }
+
+        for (const overwrite of [...companion.permissionOverwrites.cache.values()]) {
+            if (overwrite.type !== OverwriteType.Member || squadIds.has(overwrite.id) || overwrite.id === client.user.id) continue;
+            await companion.permissionOverwrites.delete(overwrite.id, 'LFG Bot - Player removed from squad');
+        }
+        for (const playerId of squadIds) {
+            if (companion.permissionOverwrites.cache.has(playerId)) continue;
+            await companion.permissionOverwrites.edit(playerId, {
+                ViewChannel: true,
+                SendMessages: true,
+                ReadMessageHistory: true
+            }, { reason: 'LFG Bot - Squad membership changed' });
+        }
+        return true;
+    } catch (error) {
+        console.error('Error syncing squad chat members:', error);
+        return false;
+    }
+}
+
+const MAX_TRANSCRIPT_MESSAGES = 5000;
+
+// Post the squad chat to the configured log channel as a text file
+async function postCompanionTranscript(session, companion, reason) {
+    const { logChannelId } = getGuildSettings(session.guildId);
+    if (!logChannelId) return;
+
+    const logChannel = companion.guild.channels.cache.get(logChannelId);
+    if (!logChannel) return;
+
+    // Page backwards through the whole chat, up to the cap
+    const messages = [];
+    let before;
+    let truncated = false;
+    while (true) {
+        const page = await companion.messages.fetch({ limit: 100, before });
+        messages.push(...page.values());
+        if (page.size < 100) break;
+        if (messages.length >= MAX_TRANSCRIPT_MESSAGES) {
+            truncated = true;
+            break;
+        }
+        before = page.last().id;
+    }
+    if (messages.length === 0) return;
+
+    const lines = messages.reverse().map(message => {
+        const attachments = message.attachments.size > 0 ? ` [${message.attachments.map(attachment => attachment.url).join(' ')}]` : '';
+        return `[${message.createdAt.toISOString()}] ${message.author.username}: ${message.content}${attachments}`;
+    });
+    const locale = getGuildLocale(session.guildId);
+    if (truncated) {
+        lines.unshift(t(locale, 'squad.transcriptTruncated', { count: messages.length }));
+    }
+
+    await logChannel.send({
+        content: t(locale, 'squad.transcript', {
+            game: getGameDisplayName(session.guildId, session.game),
+            mode: session.gamemode,
+            session: session.id.slice(-6),
+            reason
+        }),
+        files: [new AttachmentBuilder(Buffer.from(lines.join('\n'), 'utf8'), { name: `transcript-${session.id.slice(-6)}.txt` })],
+        allowedMentions: { parse: [] }
+    });
+}
+
+// Threads are locked and archived, text channels deleted; the transcript goes out first
+async function closeCompanionChannel(session, reason) {
+    if (!session.companionChannelId) return;
+
+    try {
+        const companion = await client.channels.fetch(session.companionChannelId).catch(() => null);
+        if (!companion) return;
+
+        await postCompanionTranscript(session, companion, reason).catch(error => {
+            console.error('Error posting squad chat transcript:', error);
+        });
+
+        if (companion.isThread()) {
+            await companion.setLocked(true, `LFG Bot - Session ${reason}`);
+            await companion.setArchived(true, `LFG Bot - Session ${reason}`);
+        } else {
+            await companion.delete(`LFG Bot - Session ${reason}`);
+        }
+
+        console.log(`🧹 Closed squad chat for session #${session.id.slice(-6)}`);
+    } catch (error) {
+        console.error('Error closing squad chat:', error);
+    }
+}
+
+async function deleteSessionMessage(session) {
+    try {
+        const guild = client.guilds.cache.get(session.guildId);
+        const channel = guild?.channels.cache.get(session.channelId);
+        if (channel && session.messageId) {
+            const message = await channel.messages.fetch(session.messageId).catch(() => null);
+            if (message) {
+                await message.delete().catch(console.error);
+            }
+        }
+    } catch (error) {
+        console.error('Error deleting session message:', error);
+    }
+}
+
+// Ping the game's role and DM subscribers about a newly posted session
+async function notifyNewSession(session, channel) {
+    if (session.visibility === SessionVisibility.INVITE) return;
+
+    const gameDisplayName = getGameDisplayName(session.guildId, session.game);
+    const openSlots = session.playersNeeded - session.currentPlayers.length;
+    const startTime = session.startTime ? Math.floor(new Date(session.startTime).getTime() / 1000) : null;
+    const messageLink = `https://discord.com/channels/${session.guildId}/${session.channelId}/${session.messageId}`;
+    const now = Date.now();
+
+    // The role ping follows the guild language, each DM its recipient's
+    const describeAlert = locale => ({
+        game: gameDisplayName,
+        mode: session.gamemode,
+        when: startTime ? t(locale, 'alerts.when', { time: startTime }) : '',
+        slots: formatOpenSlots(openSlots, locale),
+        link: messageLink
+    });
+
+    const role = getGameRole(session.guildId, session.game, session.gamemode);
+    if (role && channel) {
+        const lastPing = rolePingCooldowns.get(role.roleId) || 0;
+        if (now - lastPing >= NOTIFY_COOLDOWN) {
+            rolePingCooldowns.set(role.roleId, now);
+            const guildLocale = getGuildLocale(session.guildId);
+            await channel.send({
+                content: t(guildLocale, 'alerts.rolePing', { ...describeAlert(guildLocale), role: role.roleId }),
+                allowedMentions: { roles: [role.roleId] }
+            }).catch(console.error);
+        } else {
+            console.log(`🔔 Role ping for ${gameDisplayName} skipped (cooldown)`);
+        }
+    }
+
+    const playerIds = session.currentPlayers.map(player => player.id);
+    const subscribers = (await storage.getSubscribers(session.guildId, session.game, session.gamemode))
+        .filter(userId => !playerIds.includes(userId) && !getActiveBan(session.guildId, userId))
+        .filter(userId => now - (dmAlertCooldowns.get(userId) || 0) >= NOTIFY_COOLDOWN)
+        .slice(0, MAX_DM_ALERTS);
+
+    const guild = client.guilds.cache.get(session.guildId);
+    for (const userId of subscribers) {
+        dmAlertCooldowns.set(userId, now);
+        const locale = getRecipientLocale(userId, session.guildId);
+        try {
+            const user = await client.users.fetch(userId);
+            await user.send(t(locale, 'alerts.dm', { ...describeAlert(locale), guild: guild?.name || t(locale, 'common.yourServer') }));
+        } catch (error) {
+            console.error(`Could not DM session alert to ${userId}:`, error.message);
+        }
+    }
+
+    if (subscribers.length > 0) {
+        console.log(`🔔 Sent ${subscribers.length} DM alerts for session #${session.id.slice(-6)}`);
+    }
+}
+
+// DM every RSVP shortly before a scheduled session starts
+async function sendScheduledReminders(session) {
+    await storage.updateSession(session.id, { reminderSent: true });
+    session.reminderSent = true;
+
+    const guild = client.guilds.cache.get(session.guildId);
+    const gameDisplayName = getGameDisplayName(session.guildId, session.game);
+    const start = Math.floor(new Date(session.startTime).getTime() / 1000);
+    const unreachable = [];
+
+    for (const player of session.currentPlayers) {
+        const locale = getRecipientLocale(player.id, session.guildId);
+        try {
+            const user = await client.users.fetch(player.id);
+            await user.send(t(locale, 'reminder.dm', {
+                game: gameDisplayName,
+                mode: session.gamemode,
+                guild: guild?.name || t(locale, 'common.yourServer'),
+                start
+            }));
+        } catch (error) {
+            unreachable.push(player.id);
+        }
+    }
+
+    // Fall back to a channel ping for players with DMs closed
+    if (unreachable.length > 0) {
+        const channel = guild?.channels.cache.get(session.channelId);
+        if (channel) {
+            const mentions = unreachable.map(id => `<@${id}>`).join(' ');
+            await channel.send(t(getGuildLocale(session.guildId), 'reminder.channel', { session: session.id.slice(-6), start, mentions })).catch(console.error);
+        }
+    }
+
+    console.log(`⏰ Sent reminders for scheduled session ${session.id.slice(-6)} (${session.currentPlayers.length} RSVPs)`);
+}
+
+// Matchmaking queue: solo players are grouped into squads automatically
+const QUEUE_ENTRY_LIFETIME = 30 * 60 * 1000; // 30 minutes
+const QUEUE_WAIT_SAMPLES = 10;
+
+function getQueueKey(guildId, game, gamemode) {
+    return `${guildId}:${game}:${gamemode}`;
+}
+
+function removeFromQueue(userId) {
+    const key = userQueueKeys.get(userId);
+    if (!key) return null;
+
+    userQueueKeys.delete(userId);
+    const queue = matchmakingQueues.get(key) || [];
+    const entry = queue.find(queued => queued.id === userId) || null;
+    const remaining = queue.filter(queued => queued.id !== userId);
+
+    if (remaining.length > 0) {
+        matchmakingQueues.set(key, remaining);
+    } else {
+        matchmakingQueues.delete(key);
+    }
+    return entry;
+}
+
+// Drop queued players who joined a session some other way
+function pruneQueue(key) {
+    const queue = matchmakingQueues.get(key) || [];
+    for (const entry of queue) {
+        if (userActiveSessions.has(entry.id)) {
+            removeFromQueue(entry.id);
+        }
+    }
+    return matchmakingQueues.get(key) || [];
+}
+
+function recordQueueWait(key, waitedMs) {
+    const samples = queueWaitHistory.get(key) || [];
+    samples.push(waitedMs);
+    queueWaitHistory.set(key, samples.slice(-QUEUE_WAIT_SAMPLES));
+}
+
+// Average recent wait for this game/mode, minus the time already spent in line
+function estimateQueueWait(key, entry) {
+    const samples = queueWaitHistory.get(key);
+    if (!samples || samples.length === 0) return null;
+
+    const average = samples.reduce((sum, sample) => sum + sample, 0) / samples.length;
+    return Math.max(average - (Date.now() - entry.joinedAt), 0);
+}
+
+function formatQueueWait(estimateMs, locale = DEFAULT_LOCALE) {
+    if (estimateMs === null) return t(locale, 'queue.waitUnknown');
+    if (estimateMs < 60 * 1000) return t(locale, 'queue.waitUnderMinute');
+    return t(locale, 'queue.waitMinutes', { minutes: Math.round(estimateMs / 60000) });
+}
+
+// Form a squad once enough players want the same game, mode and size
+async function tryFormQueuedSquad(guild, key, size, fallbackChannelId) {
+    const queue = pruneQueue(key);
+    const candidates = queue.filter(entry => entry.size === size);
+    if (candidates.length < size) return null;
+
+    const settings = getGuildSettings(guild.id);
+    const channel = guild.channels.cache.get(settings.lfgChannelId) || guild.channels.cache.get(fallbackChannelId);
+    if (!channel) {
+        console.error(`Matchmaking: no channel to post squad for ${key}`);
+        return null;
+    }
+
+    const squad = candidates.slice(0, size);
+    for (const entry of squad) {
+        removeFromQueue(entry.id);
+        recordQueueWait(key, Date.now() - entry.joinedAt);
+    }
+
+    const { game, gamemode } = squad[0];
+    const gameDisplayName = getGameDisplayName(guild.id, game);
+    const sessionId = generateSessionId();
+    const session = {
+        id: sessionId,
+        creatorId: squad[0].id,
+        guildId: guild.id,
+        channelId: channel.id,
+        game,
+        gamemode,
+        playersNeeded: size,
+        info: t(getGuildLocale(guild.id), 'queue.formedInfo'),
+        currentPlayers: squad.map(entry => ({ id: entry.id, username: entry.username })),
+        confirmedPlayers: squad.map(entry => entry.id),
+        status: SessionStatus.OPEN,
+        createdAt: new Date(),
+        expiresAt: getExpirationTime(new Date(), guild.id),
+        startTime: null,
+        timezone: null,
+        reminderSent: false,
+        waitlist: [],
+        requirements: {},
+        participants: [],
+        filledAt: null,
+        locked: false,
+        visibility: SessionVisibility.PUBLIC,
+        pendingPlayers: [],
+        invitedUsers: [],
+        voiceChannelId: null,
+        companionChannelId: null,
+        extensions: 0,
+        expiryWarningSent: false
+    };
+
+    let message = null;
+    try {
+        await loadSquadDetails(session);
+        message = await channel.send({
+            embeds: [createLFGEmbed(session, gameDisplayName)],
+            components: createSessionButtons(session)
+        });
+
+        session.messageId = message.id;
+        console.log(`🤝 Matchmaking formed session #${sessionId.slice(-6)}: ${size} players for ${gameDisplayName} ${gamemode}`);
+
+        // Queued players picked their squad size up front, so no ready check
+        await sessionService.register(session, { skipReadyCheck: true });
+    } catch (error) {
+        // A squad that couldn't be stored never went live: take the post down and keep everyone's place in line
+        if (error instanceof StorageError && !activeSessions.has(session.id)) {
+            await message?.delete().catch(console.error);
+            matchmakingQueues.set(key, [...squad, ...(matchmakingQueues.get(key) || [])]);
+            for (const entry of squad) {
+                userQueueKeys.set(entry.id, key);
+            }
+        }
+        throw error;
+    }
+
+    for (const player of session.currentPlayers) {
+        const locale = getRecipientLocale(player.id, session.guildId);
+        try {
+            const user = await client.users.fetch(player.id);
+            await user.send(t(locale, 'squad.found', {
+                game: gameDisplayName,
+                mode: session.gamemode,
+                guild: guild.name,
+                voice: session.voiceChannelId ? t(locale, 'squad.foundVoice', { channel: session.voiceChannelId }) : ''
+            }));
+        } catch (error) {
+            console.error(`Could not DM matched player ${player.username}:`, error.message);
+        }
+    }
+
+    return session;
+}
+
+// Command handlers
+async function handleLFGCommand(interaction) {
+    let locale = DEFAULT_LOCALE;
+    try {
+        // Sessions go to the configured LFG channel when one is set
+        const settings = getGuildSettings(interaction.guild.id);
+        const lfgChannel = settings.lfgChannelId
+            ? interaction.guild.channels.cache.get(settings.lfgChannelId)
+            : null;
+        const postElsewhere = Boolean(lfgChannel) && lfgChannel.id !== interaction.channel.id;
+
+        await interaction.deferReply({ ephemeral: postElsewhere });
+        locale = await getUserLocale(interaction);
+
+        if (postElsewhere && settings.lfgChannelMode === 'restrict') {
+            return await interaction.editReply({
+                content: t(locale, 'lfg.wrongChannel', { channel: lfgChannel.id }),
+                ephemeral: true
+            });
+        }
+
+        const game = interaction.options.getString('game');
+        const gamemode = interaction.options.getString('gamemode');
+        const playersNeeded = interaction.options.getInteger('players') ?? settings.defaultPlayers ?? DEFAULT_PLAYERS_NEEDED;
+        const info = interaction.options.getString('info');
+        const startTimeInput = interaction.options.getString('start_time');
+        const timezone = interaction.options.getString('timezone') || 'UTC';
+        const games = await getGuildGames(interaction.guild.id);
+
+        // Validate game against this server's catalog
+        if (!games[game]) {
+            return await interaction.editReply({
+                content: t(locale, 'lfg.unknownGame', { games: Object.values(games).map(g => g.display).join(', ') || t(locale, 'lfg.noGames') }),
+                ephemeral: true
+            });
+        }
+
+        const gameDisplayName = games[game].display;
+
+        // Validate the scheduled start time, if any
+        let startTime = null;
+        if (startTimeInput) {
+            if (!isValidTimeZone(timezone)) {
+                return await interaction.editReply({
+                    content: t(locale, 'lfg.unknownTimeZone', { timezone }),
+                    ephemeral: true
+                });
+            }
+
+            startTime = parseStartTime(startTimeInput, timezone);
+            if (!startTime) {
+                return await interaction.editReply({
+                    content: t(locale, 'lfg.invalidStartFormat'),
+                    ephemeral: true
+                });
+            }
+
+            const timeUntilStart = startTime.getTime() - Date.now();
+            if (timeUntilStart < 60 * 1000 || timeUntilStart > MAX_SCHEDULE_AHEAD) {
+                return await interaction.editReply({
+                    content: t(locale, 'lfg.invalidStartRange'),
+                    ephemeral: true
+                });
+            }
+
+            const scheduledCount = Array.from(activeSessions.values()).filter(session =>
+                session.status === SessionStatus.SCHEDULED && session.creatorId === interaction.user.id
+            ).length;
+            if (scheduledCount >= MAX_SCHEDULED_PER_USER) {
+                return await interaction.editReply({
+                    content: t(locale, 'lfg.tooManyScheduled', { max: MAX_SCHEDULED_PER_USER }),
+                    ephemeral: true
+                });
+            }
+        } else if (userActiveSessions.has(interaction.user.id)) {
+            // Check if user already has an active session
+            return await interaction.editReply({
+                content: t(locale, 'lfg.alreadyActive'),
+                ephemeral: true
+            });
+        }
+
+        // Validate gamemode
+        if (!games[game].modes.includes(gamemode)) {
+            return await interaction.editReply({
+                content: t(locale, 'lfg.invalidMode', { game: gameDisplayName, modes: games[game].modes.join(', ') }),
+                ephemeral: true
+            });
+        }
+
+        // Validate join requirements; rank limits are stored as plain tiers
+        const requirements = {};
+        for (const [option, field] of [['min_rank', 'minRank'], ['max_rank', 'maxRank']]) {
+            const rank = interaction.options.getString(option);
+            if (!rank) continue;
+
+            const tier = GAME_RANKS[game] ? matchRankTier(game, rank.trim()) : null;
+            if (!tier) {
+                return await interaction.editReply({
+                    content: GAME_RANKS[game]
+                        ? t(locale, 'lfg.unknownRank', { game: gameDisplayName, ranks: GAME_RANKS[game].join(', ') })
+                        : t(locale, 'lfg.rankUnsupported', { game: gameDisplayName }),
+                    ephemeral: true
+                });
+            }
+            requirements[field] = tier;
+        }
+
+        if (requirements.minRank && requirements.maxRank &&
+            GAME_RANKS[game].indexOf(requirements.minRank) > GAME_RANKS[game].indexOf(requirements.maxRank)) {
+            return await interaction.editReply({
+                content: t(locale, 'lfg.invalidRankRange'),
+                ephemeral: true
+            });
+        }
+
+        for (const field of ['region', 'platform', 'language']) {
+            const value = interaction.options.getString(field);
+            if (value) requirements[field] = value;
+        }
+        if (interaction.options.getBoolean('mic_required')) {
+            requirements.micRequired = true;
+        }
+
+        const visibility = interaction.options.getString('visibility') || SessionVisibility.PUBLIC;
+
+        const minReputation = interaction.options.getInteger('min_reputation');
+        if (minReputation !== null) {
+            if (!settings.minReputationEnabled) {
+                return await interaction.editReply({
+                    content: t(locale, 'lfg.reputationOff'),
+                    ephemeral: true
+                });
+            }
+            requirements.minReputation = minReputation;
+        }
+
+        // Create session object
+        const sessionId = generateSessionId();
+        const session = {
+            id: sessionId,
+            creatorId: interaction.user.id,
+            guildId: interaction.guild.id,
+            channelId: postElsewhere ? lfgChannel.id : interaction.channel.id,
+            game,
+            gamemode,
+            playersNeeded,
+            info,
+            currentPlayers: [{ id: interaction.user.id, username: interaction.user.username }],
+            confirmedPlayers: [],
+            status: startTime ? SessionStatus.SCHEDULED : SessionStatus.OPEN,
+            createdAt: new Date(),
+            expiresAt: getExpirationTime(startTime || new Date(), interaction.guild.id),
+            startTime,
+            timezone: startTime ? timezone : null,
+            reminderSent: false,
+            waitlist: [],
+            requirements,
+            participants: [],
+            filledAt: null,
+            locked: false,
+            visibility,
+            pendingPlayers: [],
+            invitedUsers: [],
+            voiceChannelId: null,
+            companionChannelId: null,
+            extensions: 0,
+            expiryWarningSent: false
+        };
+
+        // Create embed and buttons
+        await loadSquadDetails(session);
+        const embed = createLFGEmbed(session, gameDisplayName);
+        const components = createSessionButtons(session);
+
+        let response;
+        if (postElsewhere) {
+            response = await lfgChannel.send({
+                embeds: [embed],
+                components
+            });
+
+            await interaction.editReply({
+                content: t(locale, 'lfg.created', { game: gameDisplayName, channel: lfgChannel.id }),
+                ephemeral: true
+            });
+        } else {
+            response = await interaction.editReply({
+                embeds: [embed],
+                components
+            });
+        }
+
+        // Store session data
+        session.messageId = response.id;
+        try {
+            await sessionService.register(session);
+        } catch (error) {
+            // A session that couldn't be stored never went live, so its post comes down again
+            if (error instanceof StorageError && !activeSessions.has(session.id)) {
+                if (postElsewhere) {
+                    await response.delete().catch(console.error);
+                }
+                await interaction.editReply({
+                    content: getStorageFailureMessage(error, interaction),
+                    embeds: [],
+                    components: []
+                }).catch(console.error);
+            }
+            throw error;
+        }
+
+        // The session is live either way, so a failed alert doesn't fail the command
+        await notifyNewSession(session, postElsewhere ? lfgChannel : interaction.channel).catch(console.error);
+
+        if (visibility === SessionVisibility.INVITE) {
+            await interaction.followUp({
+                content: t(locale, 'lfg.inviteOnly'),
+                ephemeral: true
+            }).catch(console.error);
+        }
+
+        if (startTime) {
+            console.log(`📅 LFG Scheduled: ${interaction.user.username} wants ${playersNeeded} for ${gameDisplayName} ${gamemode} at ${startTime.toISOString()} (Session #${sessionId.slice(-6)})`);
+            return;
+        }
+
+        console.log(`🚀 LFG Created: ${interaction.user.username} wants ${playersNeeded} for ${gameDisplayName} ${gamemode} (Session #${sessionId.slice(-6)})`);
+
+    } catch (error) {
+        console.error('Error in handleLFGCommand:', error);
+        recordInteractionError(interaction);
+        
+        if (!interaction.replied) {
+            await interaction.editReply({
+                content: getStorageFailureMessage(error, interaction) || t(locale, 'lfg.failed'),
+                ephemeral: true
+            }).catch(console.error);
+        }
+    }
+}
+
+async function handleQuickJoinCommand(interaction) {
+    let locale = DEFAULT_LOCALE;
+    try {
+        await interaction.deferReply({ ephemeral: true });
+        locale = await getUserLocale(interaction);
+
+        const game = interaction.options.getString('game');
+        const preferredGamemode = interaction.options.getString('gamemode');
+        const games = await getGuildGames(interaction.guild.id);
+
+        if (!games[game]) {
+            return await interaction.editReply({
+                content: t(locale, 'lfg.unknownGame', { games: Object.values(games).map(g => g.display).join(', ') || t(locale, 'lfg.noGames') }),
+                ephemeral: true
+            });
+        }
+
+        const gameDisplayName = games[game].display;
+
+        // Check if user already has an active session
+        if (userActiveSessions.has(interaction.user.id)) {
+            return await interaction.editReply({
+                content: t(locale, 'join.alreadyActive'),
+                ephemeral: true
+            });
+        }
+
+        // Find available sessions for the game
+        const availableSessions = Array.from(activeSessions.values()).filter(session => 
+            session.game === game && 
+            session.status === SessionStatus.OPEN && 
+            !session.locked &&
+            (session.visibility === SessionVisibility.PUBLIC || isInvited(session, interaction.user.id)) &&
+            session.currentPlayers.length < session.playersNeeded &&
+            session.guildId === interaction.guild.id
+        );
+
+        if (availableSessions.length === 0) {
+            return await interaction.editReply({
+                content: t(locale, 'quickjoin.none', { game: gameDisplayName }),
+                ephemeral: true
+            });
+        }
+
+        // Only sessions whose requirements the player meets, best fit first
+        const profile = await getUserProfile(interaction.user.id);
+        const reputation = await getReputation(interaction.guild.id, interaction.user.id);
+        await loadUserProfiles([...new Set(availableSessions.flatMap(session => session.currentPlayers.map(player => player.id)))]);
+        const compatibleSessions = availableSessions
+            .filter(session => getRequirementMismatches(session, profile, reputation).length === 0)
+            .map(session => ({ session, score: scoreSessionFit(session, profile, preferredGamemode) }))
+            .sort((a, b) => b.score - a.score || new Date(a.session.createdAt) - new Date(b.session.createdAt));
+
+        if (compatibleSessions.length === 0) {
+            return await interaction.editReply({
+                content: t(locale, 'quickjoin.noMatch', { game: gameDisplayName, count: availableSessions.length }),
+                ephemeral: true
+            });
+        }
+
+        const targetSession = compatibleSessions[0].session;
+
+        // Add user to session
+        await sessionService.addPlayer(targetSession, interaction.user);
+
+        await interaction.editReply({
+            content: t(locale, 'quickjoin.joined', {
+                game: gameDisplayName,
+                summary: t(locale, 'common.sessionSummary', {
+                    game: gameDisplayName,
+                    mode: targetSession.gamemode,
+                    players: targetSession.currentPlayers.length,
+                    needed: targetSession.playersNeeded,
+                    session: targetSession.id.slice(-6)
+                })
+            }),
+            ephemeral: true
+        });
+        
+        console.log(`🚀 Quick Join: ${interaction.user.username} joined ${gameDisplayName} session #${targetSession.id.slice(-6)}`);
+        
+    } catch (error) {
+        console.error('Error in handleQuickJoinCommand:', error);
+        recordInteractionError(interaction);
+        
+        if (!interaction.replied) {
+            await interaction.editReply({
+                content: getStorageFailureMessage(error, interaction) || t(locale, 'quickjoin.failed'),
+                ephemeral: true
+            }).catch(console.error);
+        }
+    }
+}
+
+async function handleEndLFGCommand(interaction) {
+    let locale = DEFAULT_LOCALE;
+    try {
+        await interaction.deferReply({ ephemeral: true });
+        locale = await getUserLocale(interaction);
+
+        // Fall back to the creator's next scheduled session when nothing is live
+        const nextScheduled = Array.from(activeSessions.values())
+            .filter(session => session.status === SessionStatus.SCHEDULED && session.creatorId === interaction.user.id)
+            .sort((a, b) => new Date(a.startTime) - new Date(b.startTime))[0];
+        const userSessionId = userActiveSessions.get(interaction.user.id) || nextScheduled?.id;
+        
+        if (!userSessionId) {
+            return await interaction.editReply({
+                content: t(locale, 'endlfg.none'),
+                ephemeral: true
+            });
+        }
+
+        const session = activeSessions.get(userSessionId);
+        if (!session) {
+            await storage.removeUserSession(interaction.user.id);
+            userActiveSessions.delete(interaction.user.id);
+            return await interaction.editReply({
+                content: t(locale, 'endlfg.staleReference'),
+                ephemeral: true
+            });
+        }
+
+        // Only session creator can end the session
+        if (session.creatorId !== interaction.user.id) {
+            return await interaction.editReply({
+                content: t(locale, 'endlfg.notCreator', { leave: t(locale, 'buttons.leave') }),
+                ephemeral: true
+            });
+        }
+
+        // Clean up session, its message and voice channel
+        await sessionService.end(session, { reason: 'ended by creator' });
+
+        await interaction.editReply({
+            content: t(locale, 'endlfg.ended', { session: session.id.slice(-6) }),
+            ephemeral: true
+        });
+
+        console.log(`🛑 Session ended: ${interaction.user.username} terminated session #${session.id.slice(-6)}`);
+
+    } catch (error) {
+        console.error('Error in handleEndLFGCommand:', error);
+        recordInteractionError(interaction);
+        
+        if (!interaction.replied) {
+            await interaction.editReply({
+                content: getStorageFailureMessage(error, interaction) || t(locale, 'endlfg.failed'),
+                ephemeral: true
+            }).catch(console.error);
+        }
+    }
+}
+
+async function handleHelpCommand(interaction) {
+    let locale = DEFAULT_LOCALE;
+    try {
+        await interaction.deferReply({ ephemeral: true });
+        locale = await getUserLocale(interaction);
+
+        const games = interaction.guild ? await getGuildGames(interaction.guild.id) : GAMES;
+        const supportedGames = Object.values(games).map(game => game.display).join(' • ') || t(locale, 'help.noGames');
+
+        const sections = ['lfg', 'quickjoin', 'endlfg', 'profile', 'lfglist', 'notify', 'stats', 'lfgsetup', 'lfgadmin'];
+        const helpEmbed = new EmbedBuilder()
+            .setTitle(t(locale, 'help.title'))
+            .setDescription(t(locale, 'help.description'))
+            .setColor(0x00ff88)
+            .addFields(
+                ...sections.map(section => ({
+                    name: t(locale, `help.${section}Name`),
+                    value: t(locale, `help.${section}`),
+                    inline: false
+                })),
+                {
+                    name: t(locale, 'help.gamesName'),
+                    value: supportedGames.slice(0, 1024),
+                    inline: false
+                },
+                ...['leader', 'features', 'how'].map(section => ({
+                    name: t(locale, `help.${section}Name`),
+                    value: t(locale, `help.${section}`),
+                    inline: false
+                }))
+            )
+            .setFooter({ text: t(locale, 'help.footer') })
+            .setTimestamp();
+
+        await interaction.editReply({
+            embeds: [helpEmbed],
+            ephemeral: true
+        });
+
+    } catch (error) {
+        console.error('Error in handleHelpCommand:', error);
+        recordInteractionError(interaction);
+        
+        if (!interaction.replied) {
+            await interaction.editReply({
+                content: getStorageFailureMessage(error, interaction) || t(locale, 'help.failed'),
+                ephemeral: true
+            }).catch(console.error);
+        }
+    }
+}
+
+async function handleQueueCommand(interaction) {
+    let locale = DEFAULT_LOCALE;
+    try {
+        await interaction.deferReply({ ephemeral: true });
+        locale = await getUserLocale(interaction);
+
+        const subcommand = interaction.options.getSubcommand();
+        const guildId = interaction.guild.id;
+
+        if (subcommand === 'leave') {
+            const entry = removeFromQueue(interaction.user.id);
+            return await interaction.editReply({
+                content: entry
+                    ? t(locale, 'queue.left', { game: getGameDisplayName(guildId, entry.game), mode: entry.gamemode })
+                    : t(locale, 'queue.notQueued'),
+                ephemeral: true
+            });
+        }
+
+        if (subcommand === 'status') {
+            const statusEmbed = new EmbedBuilder()
+                .setTitle(t(locale, 'queue.title'))
+                .setColor(0x00ff88)
+                .setTimestamp();
+
+            const userKey = userQueueKeys.get(interaction.user.id);
+            if (userKey) {
+                const queue = pruneQueue(userKey);
+                const entry = queue.find(queued => queued.id === interaction.user.id);
+                if (entry) {
+                    const sameSize = queue.filter(queued => queued.size === entry.size);
+                    statusEmbed.addFields(
+                        { name: t(locale, 'queue.yourQueue'), value: `${getGameDisplayName(guildId, entry.game)} - ${entry.gamemode}`, inline: true },
+                        { name: t(locale, 'queue.players'), value: `${sameSize.length}/${entry.size}`, inline: true },
+                        { name: t(locale, 'queue.estimatedWait'), value: formatQueueWait(estimateQueueWait(userKey, entry), locale), inline: true },
+                        { name: t(locale, 'queue.queued'), value: `<t:${Math.floor(entry.joinedAt / 1000)}:R>`, inline: true }
+                    );
+                }
+            }
+
+            // Overview of every queue in this server
+            const overview = [];
+            for (const key of matchmakingQueues.keys()) {
+                if (!key.startsWith(`${guildId}:`)) continue;
+                const queue = pruneQueue(key);
+                const sizes = [...new Set(queue.map(entry => entry.size))].sort((a, b) => a - b);
+                for (const size of sizes) {
+                    const count = queue.filter(entry => entry.size === size).length;
+                    overview.push(t(locale, 'queue.overviewLine', { game: getGameDisplayName(guildId, queue[0].game), mode: queue[0].gamemode, size, count }));
+                }
+            }
+
+            statusEmbed.addFields({
+                name: t(locale, 'queue.openQueues'),
+                value: overview.slice(0, 20).join('\n') || t(locale, 'queue.empty')
+            });
+
+            return await interaction.editReply({
+                embeds: [statusEmbed],
+                ephemeral: true
+            });
+        }
+
+        // join
+        const game = interaction.options.getString('game');
+        const gamemode = interaction.options.getString('gamemode');
+        const size = interaction.options.getInteger('size');
+        const games = await getGuildGames(guildId);
+
+        if (!games[game]) {
+            return await interaction.editReply({
+                content: t(locale, 'lfg.unknownGame', { games: Object.values(games).map(g => g.display).join(', ') || t(locale, 'lfg.noGames') }),
+                ephemeral: true
+            });
+        }
+
+        if (!games[game].modes.includes(gamemode)) {
+            return await interaction.editReply({
+                content: t(locale, 'lfg.invalidMode', { game: games[game].display, modes: games[game].modes.join(', ') }),
+                ephemeral: true
+            });
+        }
+
+        if (userActiveSessions.has(interaction.user.id)) {
+            return await interaction.editReply({
+                content: t(locale, 'queue.alreadyActive'),
+                ephemeral: true
+            });
+        }
+
+        if (userQueueKeys.has(interaction.user.id)) {
+            return await interaction.editReply({
+                content: t(locale, 'queue.alreadyQueued'),
+                ephemeral: true
+            });
+        }
+
+        const key = getQueueKey(guildId, game, gamemode);
+        const entry = {
+            id: interaction.user.id,
+            username: interaction.user.username,
+            game,
+            gamemode,
+            size,
+            joinedAt: Date.now()
+        };
+
+        matchmakingQueues.set(key, [...(matchmakingQueues.get(key) || []), entry]);
+        userQueueKeys.set(interaction.user.id, key);
+
+        console.log(`🤝 Queue: ${interaction.user.username} queued for ${games[game].display} ${gamemode} (${size}-stack)`);
+
+        const session = await tryFormQueuedSquad(interaction.guild, key, size, interaction.channel.id);
+        if (session) {
+            return await interaction.editReply({
+                content: t(locale, 'queue.found', {
+                    game: games[game].display,
+                    mode: gamemode,
+                    players: session.currentPlayers.length,
+                    needed: session.playersNeeded,
+                    voice: session.voiceChannelId ? t(locale, 'queue.foundVoice', { channel: session.voiceChannelId }) : ''
+                }),
+                ephemeral: true
+            });
+        }
+
+        const waiting = (matchmakingQueues.get(key) || []).filter(queued => queued.size === size).length;
+        await interaction.editReply({
+            content: t(locale, 'queue.joined', {
+                game: games[game].display,
+                mode: gamemode,
+                waiting,
+                size,
+                wait: formatQueueWait(estimateQueueWait(key, entry), locale)
+            }),
+            ephemeral: true
+        });
+
+    } catch (error) {
+        console.error('Error in handleQueueCommand:', error);
+        recordInteractionError(interaction);
+
+        if (!interaction.replied) {
+            await interaction.editReply({
+                content: getStorageFailureMessage(error, interaction) || t(locale, 'queue.failed'),
+                ephemeral: true
+            }).catch(console.error);
+        }
+    }
+}
+
+async function handleProfileCommand(interaction) {
+    let locale = DEFAULT_LOCALE;
+    try {
+        await interaction.deferReply({ ephemeral: true });
+        locale = await getUserLocale(interaction);
+
+        const subcommand = interaction.options.getSubcommand();
+        const guildId = interaction.guild?.id;
+        const games = guildId ? await getGuildGames(guildId) : GAMES;
+
+        if (subcommand === 'set') {
+            const game = interaction.options.getString('game');
+            const rank = interaction.options.getString('rank')?.trim();
+            const updates = {};
+
+            for (const field of ['platform', 'region', 'language']) {
+                const value = interaction.options.getString(field);
+                if (value) updates[field] = value;
+            }
+
+            const mic = interaction.options.getBoolean('mic');
+            if (mic !== null) updates.mic = mic;
+
+            // 'auto' clears the override so the Discord client language applies again
+            const botLanguage = interaction.options.getString('bot_language');
+            if (botLanguage) updates.locale = botLanguage === 'auto' ? null : botLanguage;
+
+            if (rank || game) {
+                if (!rank || !game) {
+                    return await interaction.editReply({
+                        content: t(locale, 'profile.missingOption'),
+                        ephemeral: true
+                    });
+                }
+                if (!games[game] && !GAME_RANKS[game]) {
+                    return await interaction.editReply({
+                        content: t(locale, 'profile.unknownGame'),
+                        ephemeral: true
+                    });
+                }
+
+                const ranks = { ...((await getUserProfile(interaction.user.id))?.ranks || {}) };
+                if (rank.toLowerCase() === 'none') {
+                    delete ranks[game];
+                } else {
+                    const normalizedRank = normalizeRank(game, rank);
+                    if (!normalizedRank) {
+                        return await interaction.editReply({
+                            content: t(locale, 'profile.unknownRank', {
+                                game: getGameDisplayName(guildId, game),
+                                ranks: GAME_RANKS[game].join(', '),
+                                example: `${GAME_RANKS[game][2]} 2`
+                            }),
+                            ephemeral: true
+                        });
+                    }
+                    ranks[game] = normalizedRank;
+                }
+                updates.ranks = ranks;
+            }
+
+            if (Object.keys(updates).length === 0) {
+                return await interaction.editReply({
+                    content: t(locale, 'profile.nothingToUpdate'),
+                    ephemeral: true
+                });
+            }
+
+            await updateUserProfile(interaction.user.id, updates);
+            console.log(`🪪 Profile updated: ${interaction.user.username} (${Object.keys(updates).join(', ')})`);
+
+            // A new bot_language applies to this reply already
+            locale = await getUserLocale(interaction);
+        }
+
+        const user = (subcommand === 'view' && interaction.options.getUser('user')) || interaction.user;
+        const profile = await getUserProfile(user.id);
+
+        const profileEmbed = new EmbedBuilder()
+            .setTitle(t(locale, 'profile.title', { user: user.username }))
+            .setColor(0x00ff88)
+            .addFields(
+                { name: t(locale, 'profile.platform'), value: PLATFORMS[profile?.platform] || t(locale, 'common.notSet'), inline: true },
+                { name: t(locale, 'profile.region'), value: REGIONS[profile?.region] || t(locale, 'common.notSet'), inline: true },
+                { name: t(locale, 'profile.language'), value: LANGUAGES[profile?.language] || t(locale, 'common.notSet'), inline: true },
+                {
+                    name: t(locale, 'profile.mic'),
+                    value: profile?.mic === true ? t(locale, 'common.yes') : profile?.mic === false ? t(locale, 'common.no') : t(locale, 'common.notSet'),
+                    inline: true
+                },
+                { name: t(locale, 'profile.botLanguage'), value: SUPPORTED_LOCALES[profile?.locale] || t(locale, 'profile.automatic'), inline: true }
+            )
+            .setTimestamp()
+            .setFooter({ text: t(locale, 'embed.footer') });
+
+        const rankLines = Object.entries(profile?.ranks || {})
+            .map(([game, rank]) => `🎮 ${getGameDisplayName(guildId, game)}: **${rank}**`);
+        profileEmbed.addFields({
+            name: t(locale, 'profile.ranks'),
+            value: rankLines.join('\n').slice(0, 1024) || t(locale, user.id === interaction.user.id ? 'profile.noRanksSelf' : 'profile.noRanks')
+        });
+
+        await interaction.editReply({
+            content: subcommand === 'set' ? t(locale, 'profile.updated') : undefined,
+            embeds: [profileEmbed],
+            ephemeral: true
+        });
+
+    } catch (error) {
+        console.error('Error in handleProfileCommand:', error);
+        recordInteractionError(interaction);
+        
+        if (!interaction.replied) {
+            await interaction.editReply({
+                content: getStorageFailureMessage(error, interaction) || t(locale, 'profile.failed'),
+                ephemeral: true
+            }).catch(console.error);
+        }
+    }
+}
+
+function formatOpenSlots(count, locale) {
+    return count === 1 ? t(locale, 'common.slotOpen') : t(locale, 'common.slotsOpen', { count });
+}
+
+function formatSessionCount(count, locale) {
+    return count === 1 ? t(locale, 'common.sessionCountOne') : t(locale, 'common.sessionCount', { count });
+}
+
+// Leaderboard periods start at a rolling week or the current calendar month (UTC)
+function getLeaderboardStart(period) {
+    const now = new Date();
+    if (period === 'week') return new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
+    if (period === 'month') return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+    return null;
+}
+
+async function handleNotifyCommand(interaction) {
+    let locale = DEFAULT_LOCALE;
+    try {
+        await interaction.deferReply({ ephemeral: true });
+        locale = await getUserLocale(interaction);
+
+        const subcommand = interaction.options.getSubcommand();
+        const guildId = interaction.guild.id;
+        const games = await getGuildGames(guildId);
+        const member = interaction.member;
+
+        if (subcommand === 'list') {
+            const roles = guildGameRoles.get(guildId) || [];
+            const subscriptions = await storage.getUserSubscriptions(guildId, interaction.user.id);
+            const describe = (gameKey, gamemode) => `${getGameDisplayName(guildId, gameKey)}${gamemode ? ` ${gamemode}` : ''}`;
+
+            const notifyEmbed = new EmbedBuilder()
+                .setTitle(t(locale, 'notify.title'))
+                .setColor(0x00ff88)
+                .addFields(
+                    {
+                        name: t(locale, 'notify.rolePings'),
+                        value: roles.filter(role => member.roles.cache.has(role.roleId))
+                            .map(role => `<@&${role.roleId}> - ${describe(role.gameKey, role.gamemode)}`)
+                            .join('\n') || t(locale, 'common.none')
+                    },
+                    {
+                        name: t(locale, 'notify.dmAlerts'),
+                        value: subscriptions.map(sub => describe(sub.gameKey, sub.gamemode)).join('\n') || t(locale, 'common.none')
+                    },
+                    {
+                        name: t(locale, 'notify.availableRoles'),
+                        value: roles.map(role => `<@&${role.roleId}> - ${describe(role.gameKey, role.gamemode)}`).join('\n').slice(0, 1024) || t(locale, 'notify.noRoles')
+                    }
+                )
+                .setTimestamp();
+
+            return await interaction.editReply({
+                embeds: [notifyEmbed],
+                ephemeral: true
+            });
+        }
+
+        const gameKey = interaction.options.getString('game');
+        const game = games[gameKey];
+        if (!game) {
+            return await interaction.editReply({
+                content: t(locale, 'lfg.unknownGame', { games: Object.values(games).map(g => g.display).join(', ') || t(locale, 'lfg.noGames') }),
+                ephemeral: true
+            });
+        }
+
+        if (subcommand === 'unsubscribe') {
+            const roleIds = (guildGameRoles.get(guildId) || [])
+                .filter(role => role.gameKey === gameKey && member.roles.cache.has(role.roleId))
+                .map(role => role.roleId);
+            if (roleIds.length > 0) {
+                await member.roles.remove(roleIds, 'LFG Bot - /notify unsubscribe');
+            }
+            const removedSubscriptions = await storage.removeSubscriptions(guildId, interaction.user.id, gameKey);
+
+            await interaction.editReply({
+                content: roleIds.length > 0 || removedSubscriptions > 0
+                    ? t(locale, 'notify.unsubscribed', { game: game.display })
+                    : t(locale, 'notify.nothingToRemove', { game: game.display }),
+                ephemeral: true
+            });
+            console.log(`🔔 Notify: ${interaction.user.username} unsubscribed from ${game.display}`);
+            return;
+        }
+
+        const gamemode = interaction.options.getString('gamemode') || '';
+        const method = interaction.options.getString('method') || 'role';
+        const target = gamemode ? `${game.display} ${gamemode}` : game.display;
+
+        if (gamemode && !game.modes.includes(gamemode)) {
+            return await interaction.editReply({
+                content: t(locale, 'lfg.invalidMode', { game: game.display, modes: game.modes.join(', ') }),
+                ephemeral: true
+            });
+        }
+
+        if (method === 'dm') {
+            await storage.addSubscription(guildId, interaction.user.id, gameKey, gamemode);
+            await interaction.editReply({
+                content: t(locale, 'notify.dmOn', { target, minutes: NOTIFY_COOLDOWN / 60000 }),
+                ephemeral: true
+            });
+            console.log(`🔔 Notify: ${interaction.user.username} subscribed to ${target} DM alerts`);
+            return;
+        }
+
+        const role = getGameRole(guildId, gameKey, gamemode);
+        if (!role) {
+            return await interaction.editReply({
+                content: t(locale, 'notify.noRole', { target }),
+                ephemeral: true
+            });
+        }
+
+        try {
+            await member.roles.add(role.roleId, 'LFG Bot - /notify subscribe');
+        } catch (error) {
+            console.error('Error adding game role:', error);
+            return await interaction.editReply({
+                content: t(locale, 'notify.roleFailed'),
+                ephemeral: true
+            });
+        }
+
+        await interaction.editReply({
+            content: t(locale, 'notify.subscribed', { role: role.roleId, target }),
+            ephemeral: true
+        });
+        console.log(`🔔 Notify: ${interaction.user.username} took the role for ${target}`);
+
+    } catch (error) {
+        console.error('Error in handleNotifyCommand:', error);
+        recordInteractionError(interaction);
+
+        if (!interaction.replied) {
+            await interaction.editReply({
+                content: getStorageFailureMessage(error, interaction) || t(locale, 'notify.failed'),
+                ephemeral: true
+            }).catch(console.error);
+        }
+    }
+}
+
+async function handleStatsCommand(interaction) {
+    let locale = DEFAULT_LOCALE;
+    try {
+        await interaction.deferReply({ ephemeral: true });
+        locale = await getUserLocale(interaction);
+
+        const user = interaction.options.getUser('user') || interaction.user;
+        const guildId = interaction.guild.id;
+        await getGuildGames(guildId);
+
+        const stats = await storage.getUserStats(guildId, user.id);
+        const fillRate = stats.hosted > 0
+            ? t(locale, 'stats.fillRate', { percent: Math.round((stats.hostedFilled / stats.hosted) * 100), filled: stats.hostedFilled, hosted: stats.hosted })
+            : t(locale, 'stats.noHosted');
+        const favoriteGames = stats.favoriteGames
+            .map((entry, index) => `${index + 1}. ${getGameDisplayName(guildId, entry.game)} - ${formatSessionCount(entry.sessions, locale)}`)
+            .join('\n');
+
+        const statsEmbed = new EmbedBuilder()
+            .setTitle(t(locale, 'stats.title', { user: user.username }))
+            .setColor(0x00ff88)
+            .addFields(
+                { name: t(locale, 'stats.played'), value: String(stats.played), inline: true },
+                { name: t(locale, 'stats.hosted'), value: String(stats.hosted), inline: true },
+                { name: t(locale, 'stats.fillRateTitle'), value: fillRate, inline: true },
+                { name: t(locale, 'stats.favoriteGames'), value: favoriteGames || t(locale, 'stats.noPlayed') }
+            )
+            .setTimestamp()
+            .setFooter({ text: t(locale, 'embed.footer') });
+
+        await interaction.editReply({
+            embeds: [statsEmbed],
+            ephemeral: true
+        });
+
+    } catch (error) {
+        console.error('Error in handleStatsCommand:', error);
+        recordInteractionError(interaction);
+        
+        if (!interaction.replied) {
+            await interaction.editReply({
+                content: getStorageFailureMessage(error, interaction) || t(locale, 'stats.failed'),
+                ephemeral: true
+            }).catch(console.error);
+        }
+    }
+}
+
+async function handleLeaderboardCommand(interaction) {
+    // The leaderboard is posted publicly, so it uses the guild language
+    const locale = getGuildLocale(interaction.guild.id);
+    try {
+        await interaction.deferReply();
+
+        const guildId = interaction.guild.id;
+        const game = interaction.options.getString('game');
+        const period = interaction.options.getString('period') || 'month';
+        const games = await getGuildGames(guildId);
+
+        if (game && !games[game]) {
+            return await interaction.editReply({
+                content: t(locale, 'lfg.unknownGame', { games: Object.values(games).map(g => g.display).join(', ') || t(locale, 'lfg.noGames') })
+            });
+        }
+
+        const leaders = await storage.getLeaderboard(guildId, { game, since: getLeaderboardStart(period) });
+        const medals = ['🥇', '🥈', '🥉'];
+        const lines = leaders.map((entry, index) =>
+            `${medals[index] || `**${index + 1}.**`} <@${entry.userId}> - ${formatSessionCount(entry.sessions, locale)}`
+        );
+
+        const leaderboardEmbed = new EmbedBuilder()
+            .setTitle(t(locale, 'leaderboard.title', { game: game ? getGameDisplayName(guildId, game) : 'LFG', period: t(locale, `leaderboard.${period}`) }))
+            .setDescription(lines.join('\n') || t(locale, 'leaderboard.empty'))
+            .setColor(0x00ff88)
+            .setTimestamp()
+            .setFooter({ text: t(locale, 'leaderboard.footer') });
+
+        await interaction.editReply({
+            embeds: [leaderboardEmbed],
+            allowedMentions: { parse: [] }
+        });
+
+    } catch (error) {
+        console.error('Error in handleLeaderboardCommand:', error);
+        recordInteractionError(interaction);
+        
+        if (!interaction.replied) {
+            await interaction.editReply({
+                content: getStorageFailureMessage(error, interaction) || t(locale, 'leaderboard.failed')
+            }).catch(console.error);
+        }
+    }
+}
+
+async function handleLFGSetupCommand(interaction) {
+    let locale = DEFAULT_LOCALE;
+    try {
+        await interaction.deferReply({ ephemeral: true });
+        locale = await getUserLocale(interaction);
+
+        if (!isLFGAdmin(interaction)) {
+            return await interaction.editReply({
+                content: t(locale, 'common.accessDenied'),
+                ephemeral: true
+            });
+        }
+
+        const guildId = interaction.guild.id;
+        const subcommand = interaction.options.getSubcommand();
+
+        switch (subcommand) {
+            case 'channel': {
+                const channel = interaction.options.getChannel('channel');
+                const botPermissions = channel.permissionsFor(interaction.guild.members.me);
+                if (!botPermissions?.has([PermissionFlagsBits.ViewChannel, PermissionFlagsBits.SendMessages, PermissionFlagsBits.EmbedLinks])) {
+                    return await interaction.editReply({
+                        content: t(locale, 'setup.missingEmbedPermissions', { channel: channel.id }),
+                        ephemeral: true
+                    });
+                }
+
+                const mode = interaction.options.getString('mode') || getGuildSettings(guildId).lfgChannelMode || 'redirect';
+                await updateGuildSettings(guildId, { lfgChannelId: channel.id, lfgChannelMode: mode });
+                await interaction.editReply({
+                    content: t(locale, 'setup.channelSet', {
+                        channel: channel.id,
+                        mode: t(locale, mode === 'restrict' ? 'setup.channelRestrict' : 'setup.channelRedirect')
+                    }),
+                    ephemeral: true
+                });
+                break;
+            }
+            case 'voice': {
+                const category = interaction.options.getChannel('category');
+                await updateGuildSettings(guildId, { voiceCategoryId: category?.id || null });
+                await interaction.editReply({
+                    content: category
+                        ? t(locale, 'setup.voiceCategorySet', { category: category.name })
+                        : t(locale, 'setup.voiceCategoryCleared'),
+                    ephemeral: true
+                });
+                break;
+            }
+            case 'voicelayout': {
+                const nameTemplate = interaction.options.getString('name_template');
+                const bitrate = interaction.options.getInteger('bitrate');
+                const region = interaction.options.getString('region');
+                const isPrivate = interaction.options.getBoolean('private');
+
+                const updates = {};
+                if (nameTemplate !== null) updates.voiceNameTemplate = nameTemplate.trim().toLowerCase() === 'default' ? null : nameTemplate.trim();
+                if (bitrate !== null) updates.voiceBitrate = bitrate;
+                if (region !== null) updates.voiceRegion = region === 'auto' ? null : region;
+                if (isPrivate !== null) updates.voicePrivate = isPrivate;
+
+                const settings = Object.keys(updates).length > 0
+                    ? await updateGuildSettings(guildId, updates)
+                    : getGuildSettings(guildId);
+
+                const maxBitrate = Math.floor(interaction.guild.maximumBitrate / 1000);
+                const bitrateLabel = settings.voiceBitrate
+                    ? t(locale, settings.voiceBitrate > maxBitrate ? 'setup.bitrateCapped' : 'setup.bitrate', { kbps: settings.voiceBitrate, max: maxBitrate })
+                    : t(locale, 'setup.bitrateDefault');
+
+                await interaction.editReply({
+                    content: `${t(locale, Object.keys(updates).length > 0 ? 'setup.voiceLayoutUpdated' : 'setup.voiceLayoutTitle')}\n\n` +
+                        t(locale, 'setup.voiceLayout', {
+                            template: settings.voiceNameTemplate || DEFAULT_VOICE_NAME_TEMPLATE,
+                            bitrate: bitrateLabel,
+                            region: VOICE_REGIONS[settings.voiceRegion] || t(locale, 'setup.regionAutomatic'),
+                            access: t(locale, settings.voicePrivate === false ? 'setup.voicePublic' : 'setup.voicePrivate')
+                        }),
+                    ephemeral: true
+                });
+                break;
+            }
+            case 'timing': {
+                const updates = {};
+                const lifetime = interaction.options.getInteger('lifetime');
+                const cleanup = interaction.options.getInteger('cleanup');
+                const maxExtensions = interaction.options.getInteger('max_extensions');
+                if (lifetime !== null) updates.sessionLifetime = lifetime;
+                if (cleanup !== null) updates.emptyChannelCleanup = cleanup;
+                if (maxExtensions !== null) updates.maxExtensions = maxExtensions;
+
+                if (Object.keys(updates).length > 0) {
+                    await updateGuildSettings(guildId, updates);
+                }
+
+                await interaction.editReply({
+                    content: `${t(locale, Object.keys(updates).length > 0 ? 'setup.timingUpdated' : 'setup.timingTitle')}\n\n` +
+                        t(locale, 'setup.timing', {
+                            lifetime: formatDelay(getSessionLifetime(guildId), locale),
+                            cleanup: formatDelay(getEmptyChannelCleanupDelay(guildId), locale),
+                            extensions: getMaxExtensions(guildId),
+                            minutes: SESSION_EXTENSION / 60000
+                        }),
+                    ephemeral: true
+                });
+                break;
+            }
+            case 'defaults': {
+                const players = interaction.options.getInteger('players');
+                await updateGuildSettings(guildId, { defaultPlayers: players });
+                await interaction.editReply({
+                    content: t(locale, 'setup.defaultsUpdated', { players }),
+                    ephemeral: true
+                });
+                break;
+            }
+            case 'language': {
+                const guildLocale = interaction.options.getString('locale');
+                await updateGuildSettings(guildId, { locale: guildLocale });
+                await interaction.editReply({
+                    content: t(locale, 'setup.languageSet', { language: SUPPORTED_LOCALES[guildLocale] }),
+                    ephemeral: true
+                });
+                break;
+            }
+            case 'modrole': {
+                const role = interaction.options.getRole('role');
+                await updateGuildSettings(guildId, { modRoleId: role?.id || null });
+                await interaction.editReply({
+                    content: role
+                        ? t(locale, 'setup.modRoleSet', { role: role.id })
+                        : t(locale, 'setup.modRoleCleared'),
+                    ephemeral: true
+                });
+                break;
+            }
+            case 'companion': {
+                const mode = interaction.options.getString('mode');
+                await updateGuildSettings(guildId, { companionMode: mode });
+                const descriptions = {
+                    thread: 'setup.companionThread',
+                    channel: 'setup.companionChannel',
+                    off: 'setup.companionOff'
+                };
+                await interaction.editReply({
+                    content: t(locale, 'setup.companionUpdated', { description: t(locale, descriptions[mode]) }),
+                    ephemeral: true
+                });
+                break;
+            }
+            case 'logchannel': {
+                const channel = interaction.options.getChannel('channel');
+                if (channel && !channel.permissionsFor(interaction.guild.members.me)?.has([PermissionFlagsBits.ViewChannel, PermissionFlagsBits.SendMessages, PermissionFlagsBits.AttachFiles])) {
+                    return await interaction.editReply({
+                        content: t(locale, 'setup.missingFilePermissions', { channel: channel.id }),
+                        ephemeral: true
+                    });
+                }
+
+                await updateGuildSettings(guildId, { logChannelId: channel?.id || null });
+                await interaction.editReply({
+                    content: channel
+                        ? t(locale, 'setup.logChannelSet', { channel: channel.id })
+                        : t(locale, 'setup.logChannelCleared'),
+                    ephemeral: true
+                });
+                break;
+            }
+            case 'reputation': {
+                const enabled = interaction.options.getBoolean('enabled');
+                await updateGuildSettings(guildId, { minReputationEnabled: enabled });
+                await interaction.editReply({
+                    content: enabled
+                        ? t(locale, 'setup.reputationEnabled')
+                        : t(locale, 'setup.reputationDisabled'),
+                    ephemeral: true
+                });
+                break;
+            }
+            case 'reset': {
+                await storage.deleteGuildSettings(guildId);
+                guildSettingsCache.delete(guildId);
+                await interaction.editReply({
+                    content: t(locale, 'setup.reset'),
+                    ephemeral: true
+                });
+                break;
+            }
+            default: {
+                const settings = getGuildSettings(guildId);
+                const settingsEmbed = new EmbedBuilder()
+                    .setTitle(t(locale, 'setup.title'))
+                    .setColor(0x00ff88)
+                    .addFields(
+                        {
+                            name: t(locale, 'setup.lfgChannel'),
+                            value: settings.lfgChannelId ? `<#${settings.lfgChannelId}>` : t(locale, 'setup.anyChannel'),
+                            inline: true
+                        },
+                        {
+                            name: t(locale, 'setup.channelMode'),
+                            value: t(locale, settings.lfgChannelMode === 'restrict' ? 'setup.modeRestrict' : 'setup.modeRedirect'),
+                            inline: true
+                        },
+                        {
+                            name: t(locale, 'setup.voiceCategory'),
+                            value: settings.voiceCategoryId ? `<#${settings.voiceCategoryId}>` : t(locale, 'setup.perGameCategories'),
+                            inline: true
+                        },
+                        {
+                            name: t(locale, 'setup.voiceLayoutField'),
+                            value: t(locale, 'setup.voiceLayoutSummary', {
+                                template: settings.voiceNameTemplate || DEFAULT_VOICE_NAME_TEMPLATE,
+                                bitrate: settings.voiceBitrate ? t(locale, 'setup.bitrate', { kbps: settings.voiceBitrate }) : t(locale, 'setup.defaultBitrate'),
+                                region: VOICE_REGIONS[settings.voiceRegion] || t(locale, 'setup.automaticRegion'),
+                                access: t(locale, settings.voicePrivate === false ? 'setup.public' : 'setup.private')
+                            }),
+                            inline: true
+                        },
+                        {
+                            name: t(locale, 'setup.timingField'),
+                            value: t(locale, 'setup.timingSummary', {
+                                lifetime: formatDelay(getSessionLifetime(guildId), locale),
+                                cleanup: formatDelay(getEmptyChannelCleanupDelay(guildId), locale),
+                                extensions: getMaxExtensions(guildId)
+                            }),
+                            inline: true
+                        },
+                        {
+                            name: t(locale, 'setup.defaultPlayers'),
+                            value: String(settings.defaultPlayers ?? DEFAULT_PLAYERS_NEEDED),
+                            inline: true
+                        },
+                        {
+                            name: t(locale, 'setup.language'),
+                            value: SUPPORTED_LOCALES[getGuildLocale(guildId)],
+                            inline: true
+                        },
+                        {
+                            name: t(locale, 'setup.modRole'),
+                            value: settings.modRoleId ? `<@&${settings.modRoleId}>` : t(locale, 'setup.manageServerOnly'),
+                            inline: true
+                        },
+                        {
+                            name: t(locale, 'setup.reputation'),
+                            value: t(locale, settings.minReputationEnabled ? 'setup.allowed' : 'common.off'),
+                            inline: true
+                        },
+                        {
+                            name: t(locale, 'setup.squadChat'),
+                            value: t(locale, { thread: 'setup.privateThread', channel: 'setup.textChannel', off: 'common.off' }[settings.companionMode || 'thread']),
+                            inline: true
+                        },
+                        {
+                            name: t(locale, 'setup.transcriptLog'),
+                            value: settings.logChannelId ? `<#${settings.logChannelId}>` : t(locale, 'common.off'),
+                            inline: true
+                        }
+                    )
+                    .setTimestamp();
+
+                await interaction.editReply({
+                    embeds: [settingsEmbed],
+                    ephemeral: true
+                });
+                return;
+            }
+        }
+
+        console.log(`⚙️ Settings: ${interaction.user.username} ran /lfgsetup ${subcommand} in guild ${guildId}`);
+
+    } catch (error) {
+        console.error('Error in handleLFGSetupCommand:', error);
+        recordInteractionError(interaction);
+
+        if (!interaction.replied) {
+            await interaction.editReply({
+                content: getStorageFailureMessage(error, interaction) || t(locale, 'setup.failed'),
+                ephemeral: true
+            }).catch(console.error);
+        }
+    }
+}
+
+async function handleLFGApiCommand(interaction) {
+    let locale = DEFAULT_LOCALE;
+    try {
+        await interaction.deferReply({ ephemeral: true });
+        locale = await getUserLocale(interaction);
+
+        if (!isLFGAdmin(interaction)) {
+            return await interaction.editReply({
+                content: t(locale, 'common.accessDenied'),
+                ephemeral: true
+            });
+        }
+
+        const guildId = interaction.guild.id;
+        const subcommand = interaction.options.getSubcommand();
+        const tokens = getGuildApiTokens(guildId);
+
+        switch (subcommand) {
+            case 'create': {
+                const name = interaction.options.getString('name').trim();
+                if (tokens.some(token => token.name === name)) {
+                    return await interaction.editReply({
+                        content: t(locale, 'api.nameUsed', { name }),
+                        ephemeral: true
+                    });
+                }
+                if (tokens.length >= MAX_API_TOKENS_PER_GUILD) {
+                    return await interaction.editReply({
+                        content: t(locale, 'api.tooMany', { max: MAX_API_TOKENS_PER_GUILD }),
+                        ephemeral: true
+                    });
+                }
+
+                const token = await createApiToken(guildId, name, interaction.user.id);
+
+                const baseUrl = process.env.PUBLIC_URL || process.env.RENDER_EXTERNAL_URL || '';
+                const endpoints = [
+                    ['sessions', 'api.endpointSessions'],
+                    ['sessions/<id>', 'api.endpointSession'],
+                    ['history', 'api.endpointHistory'],
+                    ['games', 'api.endpointGames']
+                ].map(([path, key]) => `• \`GET ${baseUrl}/api/guilds/${guildId}/${path}\` - ${t(locale, key)}`);
+                await interaction.editReply({
+                    content: t(locale, 'api.created', { token, endpoints: endpoints.join('\n') }),
+                    ephemeral: true
+                });
+                console.log(`🔑 API token "${name}" created for guild ${guildId} by ${interaction.user.username}`);
+                break;
+            }
+            case 'revoke': {
+                const name = interaction.options.getString('name').trim();
+                const revoked = await revokeApiToken(guildId, name);
+                await interaction.editReply({
+                    content: revoked
+                        ? t(locale, 'api.revoked', { name })
+                        : t(locale, 'api.notFound', { name }),
+                    ephemeral: true
+                });
+                if (revoked) {
+                    console.log(`🔑 API token "${name}" revoked for guild ${guildId} by ${interaction.user.username}`);
+                }
+                break;
+            }
+            default: {
+                const lines = tokens
+                    .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+                    .map(token => t(locale, 'api.tokenLine', {
+                        name: token.name,
+                        user: token.createdBy,
+                        created: Math.floor(new Date(token.createdAt).getTime() / 1000)
+                    }));
+                await interaction.editReply({
+                    content: lines.length > 0
+                        ? t(locale, 'api.list', { count: lines.length, max: MAX_API_TOKENS_PER_GUILD, tokens: lines.join('\n') })
+                        : t(locale, 'api.none'),
+                    ephemeral: true
+                });
+            }
+        }
+
+    } catch (error) {
+        console.error('Error in handleLFGApiCommand:', error);
+        recordInteractionError(interaction);
+
+        if (!interaction.replied) {
+            await interaction.editReply({
+                content: getStorageFailureMessage(error, interaction) || t(locale, 'api.failed'),
+                ephemeral: true
+            }).catch(console.error);
+        }
+    }
+}
+
+async function handleLFGAdminCommand(interaction) {
+    let locale = DEFAULT_LOCALE;
+    try {
+        await interaction.deferReply({ ephemeral: true });
+        locale = await getUserLocale(interaction);
+
+        const group = interaction.options.getSubcommandGroup(false);
+        const subcommand = interaction.options.getSubcommand();
+
+        // The game catalog is server configuration; everything else is moderation
+        if (group === 'game' ? !isLFGAdmin(interaction) : !isLFGModerator(interaction)) {
+            return await interaction.editReply({
+                content: t(locale, group === 'game' ? 'common.accessDenied' : 'common.modAccessDenied'),
+                ephemeral: true
+            });
+        }
+
+        if (group === 'game') {
+            await handleGameCatalogCommand(interaction, subcommand, locale);
+        } else {
+            await handleModerationCommand(interaction, subcommand, locale);
+        }
+
+    } catch (error) {
+        console.error('Error in handleLFGAdminCommand:', error);
+        recordInteractionError(interaction);
+
+        if (!interaction.replied) {
+            await interaction.editReply({
+                content: getStorageFailureMessage(error, interaction) || t(locale, 'admin.failed'),
+                ephemeral: true
+            }).catch(console.error);
+        }
+    }
+}
+
+async function handleModerationCommand(interaction, subcommand, locale) {
+    const guildId = interaction.guild.id;
+
+    switch (subcommand) {
+        case 'list': {
+            const sessions = Array.from(activeSessions.values())
+                .filter(session => session.guildId === guildId)
+                .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+
+            const lines = sessions.map(session =>
+                `**#${session.id.slice(-6)}** • ${getGameDisplayName(guildId, session.game)} ${session.gamemode} • ${session.currentPlayers.length}/${session.playersNeeded} • ${formatSessionStatus(session.status, locale) || session.status} • <@${session.creatorId}> • <t:${Math.floor(new Date(session.createdAt).getTime() / 1000)}:R>`
+            );
+
+            let description = '';
+            for (const line of lines) {
+                if (description.length + line.length + 1 > 4000) {
+                    description += `\n${t(locale, 'admin.more', { count: lines.length - description.split('\n').length })}`;
+                    break;
+                }
+                description += `${description ? '\n' : ''}${line}`;
+            }
+
+            const listEmbed = new EmbedBuilder()
+                .setTitle(t(locale, 'admin.listTitle', { count: sessions.length }))
+                .setDescription(description || t(locale, 'admin.listEmpty'))
+                .setColor(0x00ff88)
+                .setTimestamp();
+
+            return await interaction.editReply({
+                embeds: [listEmbed],
+                ephemeral: true
+            });
+        }
+        case 'end': {
+            const session = findGuildSession(guildId, interaction.options.getString('session'));
+            if (!session) {
+                return await interaction.editReply({
+                    content: t(locale, 'admin.sessionNotFound'),
+                    ephemeral: true
+                });
+            }
+
+            // The notice goes to the session channel, so it uses the guild language
+            const reason = interaction.options.getString('reason');
+            const guildLocale = getGuildLocale(guildId);
+            await sessionService.end(session, {
+                reason: `ended by moderator ${interaction.user.username}`,
+                notice: t(guildLocale, 'admin.endedNotice', {
+                    session: session.id.slice(-6),
+                    players: session.currentPlayers.map(player => `<@${player.id}>`).join(' ')
+                }) + (reason ? t(guildLocale, 'common.reason', { reason }) : '')
+            });
+
+            await interaction.editReply({
+                content: t(locale, 'admin.ended', { session: session.id.slice(-6) }),
+                ephemeral: true
+            });
+            break;
+        }
+        case 'kick': {
+            const user = interaction.options.getUser('user');
+            const session = activeSessions.get(userActiveSessions.get(user.id));
+            if (!session || session.guildId !== guildId) {
+                return await interaction.editReply({
+                    content: t(locale, 'admin.notInSession', { user: user.id }),
+                    ephemeral: true
+                });
+            }
+
+            await sessionService.removePlayers(session, [user.id], { reason: 'squad.removedByModerator', announce: true });
+            await interaction.editReply({
+                content: t(locale, 'admin.kicked', { user: user.id, session: session.id.slice(-6) }),
+                ephemeral: true
+            });
+            break;
+        }
+        case 'ban': {
+            const user = interaction.options.getUser('user');
+            const duration = interaction.options.getString('duration');
+            const reason = interaction.options.getString('reason');
+
+            if (user.id === interaction.user.id || user.bot) {
+                return await interaction.editReply({
+                    content: t(locale, 'admin.invalidUser'),
+                    ephemeral: true
+                });
+            }
+
+            const ban = {
+                guildId,
+                userId: user.id,
+                reason,
+                bannedBy: interaction.user.id,
+                expiresAt: BAN_DURATIONS[duration] ? new Date(Date.now() + BAN_DURATIONS[duration]) : null,
+                createdAt: new Date()
+            };
+            await banUser(ban);
+
+            // Take them out of everything they're part of on this server
+            removeFromQueue(user.id);
+            for (const session of Array.from(activeSessions.values())) {
+                if (session.guildId !== guildId) continue;
+                if (session.waitlist.some(player => player.id === user.id)) {
+                    await sessionService.removeFromWaitlist(session, user.id);
+                }
+                if (session.currentPlayers.some(player => player.id === user.id)) {
+                    await sessionService.removePlayers(session, [user.id], { reason: 'squad.removedByModerator', announce: true });
+                }
+            }
+
+            await interaction.editReply({
+                content: t(locale, 'admin.banned', {
+                    user: user.id,
+                    expires: formatBanExpiry(ban, locale),
+                    reason: reason ? t(locale, 'common.reason', { reason }) : ''
+                }),
+                ephemeral: true
+            });
+            break;
+        }
+        case 'unban': {
+            const user = interaction.options.getUser('user');
+            const removed = await unbanUser(guildId, user.id);
+            await interaction.editReply({
+                content: removed
+                    ? t(locale, 'admin.unbanned', { user: user.id })
+                    : t(locale, 'admin.notBanned', { user: user.id }),
+                ephemeral: true
+            });
+            break;
+        }
+        case 'bans': {
+            const bans = Array.from(guildBans.get(guildId)?.keys() || [])
+                .map(userId => getActiveBan(guildId, userId))
+                .filter(Boolean);
+
+            const bansEmbed = new EmbedBuilder()
+                .setTitle(t(locale, 'admin.bansTitle', { count: bans.length }))
+                .setDescription(bans
+                    .map(ban => t(locale, 'admin.banLine', { user: ban.userId, expires: formatBanExpiry(ban, locale), by: ban.bannedBy }) + (ban.reason ? ` • ${ban.reason}` : ''))
+                    .join('\n')
+                    .slice(0, 4000) || t(locale, 'admin.noBans'))
+                .setColor(0xff4444)
+                .setTimestamp();
+
+            return await interaction.editReply({
+                embeds: [bansEmbed],
+                ephemeral: true
+            });
+        }
+    }
+
+    console.log(`🛡️ Moderation: ${interaction.user.username} ran /lfgadmin ${subcommand} in guild ${guildId}`);
+}
+
+async function handleGameCatalogCommand(interaction, subcommand, locale) {
+    const guildId = interaction.guild.id;
+    const games = await getGuildGames(guildId);
+
+    if (subcommand === 'add') {
+        const display = interaction.options.getString('name').trim();
+        const modes = parseModeList(interaction.options.getString('modes'));
+        const gameKey = toGameKey(display);
+
+        if (!gameKey) {
+            return await interaction.editReply({
+                content: t(locale, 'catalog.invalidName'),
+                ephemeral: true
+            });
+        }
+
+        if (modes.length === 0 || modes.length > 25) {
+            return await interaction.editReply({
+                content: t(locale, 'catalog.invalidModes'),
+                ephemeral: true
+            });
+        }
+
+        const existed = Boolean(games[gameKey]);
+        await storage.upsertGuildGame(guildId, gameKey, display, modes);
+        games[gameKey] = { display, modes };
+
+        await interaction.editReply({
+            content: t(locale, existed ? 'catalog.updated' : 'catalog.added', { game: display, modes: modes.join(', ') }),
+            ephemeral: true
+        });
+
+        console.log(`🛠️ Game catalog: ${interaction.user.username} ${existed ? 'updated' : 'added'} ${display} in guild ${guildId}`);
+        return;
+    }
+
+    const gameKey = interaction.options.getString('game');
+    const game = games[gameKey];
+
+    if (!game) {
+        return await interaction.editReply({
+            content: t(locale, 'lfg.unknownGame', { games: Object.values(games).map(g => g.display).join(', ') || t(locale, 'lfg.noGames') }),
+            ephemeral: true
+        });
+    }
+
+    if (subcommand === 'remove') {
+        await storage.removeGuildGame(guildId, gameKey);
+        delete games[gameKey];
+
+        await interaction.editReply({
+            content: t(locale, 'catalog.removed', { game: game.display }),
+            ephemeral: true
+        });
+
+        console.log(`🛠️ Game catalog: ${interaction.user.username} removed ${game.display} in guild ${guildId}`);
+        return;
+    }
+
+    if (subcommand === 'role') {
+        const role = interaction.options.getRole('role');
+        const gamemode = interaction.options.getString('gamemode') || '';
+
+        if (gamemode && !game.modes.includes(gamemode)) {
+            return await interaction.editReply({
+                content: t(locale, 'lfg.invalidMode', { game: game.display, modes: game.modes.join(', ') }),
+                ephemeral: true
+            });
+        }
+
+        if (role && (role.managed || role.id === interaction.guild.id)) {
+            return await interaction.editReply({
+                content: t(locale, 'catalog.invalidRole'),
+                ephemeral: true
+            });
+        }
+
+        await setGameRole(guildId, gameKey, gamemode, role?.id || null);
+
+        const target = gamemode ? `${game.display} ${gamemode}` : game.display;
+        await interaction.editReply({
+            content: role
+                ? t(locale, 'catalog.roleSet', { target, role: role.id })
+                : t(locale, 'catalog.roleRemoved', { target }),
+            ephemeral: true
+        });
+
+        console.log(`🛠️ Game catalog: ${interaction.user.username} ${role ? 'mapped' : 'unmapped'} the role for ${target} in guild ${guildId}`);
+        return;
+    }
+
+    if (subcommand === 'modes') {
+        const modesOption = interaction.options.getString('modes');
+
+        if (!modesOption) {
+            return await interaction.editReply({
+                content: t(locale, 'catalog.modes', { game: game.display, modes: game.modes.join(', ') || t(locale, 'lfg.noGames') }),
+                ephemeral: true
+            });
+        }
+
+        const modes = parseModeList(modesOption);
+        if (modes.length === 0 || modes.length > 25) {
+            return await interaction.editReply({
+                content: t(locale, 'catalog.invalidModes'),
+                ephemeral: true
+            });
+        }
+
+        await storage.upsertGuildGame(guildId, gameKey, game.display, modes);
+        game.modes = modes;
+
+        await interaction.editReply({
+            content: t(locale, 'catalog.modesUpdated', { game: game.display, modes: modes.join(', ') }),
+            ephemeral: true
+        });
+
+        console.log(`🛠️ Game catalog: ${interaction.user.username} updated modes for ${game.display} in guild ${guildId}`);
+    }
+}
+
+// Session browser: filters and page live in the component customIds
+// ("<prefix>_<page>_<game|*>_<mode index|*>_<min open slots>") so pages survive restarts
+const LFG_LIST_PAGE_SIZE = 5;
+
+function encodeListState(prefix, state) {
+    return `${prefix}_${state.page}_${state.game || '*'}_${state.mode ?? '*'}_${state.slots}`;
+}
+
+function decodeListState(customId) {
+    const [, page, game, mode, slots] = customId.split('_');
+    return {
+        page: Number(page) || 0,
+        game: game === '*' ? null : game,
+        mode: mode === '*' ? null : Number(mode),
+        slots: Number(slots) || 0
+    };
+}
+
+// Sessions a user could join right now (or RSVP to), oldest first
+function getBrowsableSessions(guildId, userId, games, state) {
+    const modeName = state.game && state.mode !== null ? games[state.game]?.modes[state.mode] : null;
+
+    return Array.from(activeSessions.values())
+        .filter(session =>
+            session.guildId === guildId &&
+            [SessionStatus.OPEN, SessionStatus.SCHEDULED].includes(session.status) &&
+            !session.locked &&
+            (session.visibility !== SessionVisibility.INVITE || isInvited(session, userId)) &&
+            (!state.game || session.game === state.game) &&
+            (!modeName || session.gamemode === modeName) &&
+            session.playersNeeded - session.currentPlayers.length >= Math.max(state.slots, 1)
+        )
+        .sort((a, b) => new Date(a.startTime || a.createdAt) - new Date(b.startTime || b.createdAt));
+}
+
+function renderSessionList(guildId, userId, games, state, locale = DEFAULT_LOCALE) {
+    const sessions = getBrowsableSessions(guildId, userId, games, state);
+    const pageCount = Math.max(Math.ceil(sessions.length / LFG_LIST_PAGE_SIZE), 1);
+    const page = Math.min(Math.max(state.page, 0), pageCount - 1);
+    const current = { ...state, page };
+    const pageSessions = sessions.slice(page * LFG_LIST_PAGE_SIZE, (page + 1) * LFG_LIST_PAGE_SIZE);
+
+    const listEmbed = new EmbedBuilder()
+        .setTitle(t(locale, 'list.title', { count: sessions.length }))
+        .setColor(0x00ff88)
+        .setFooter({ text: t(locale, 'list.footer', { page: page + 1, pages: pageCount, footer: t(locale, 'embed.footer') }) })
+        .setTimestamp();
+
+    if (pageSessions.length === 0) {
+        listEmbed.setDescription(t(locale, 'list.empty'));
+    }
+
+    for (const session of pageSessions) {
+        const openSlots = session.playersNeeded - session.currentPlayers.length;
+        const details = [
+            t(locale, 'list.slots', { players: session.currentPlayers.length, needed: session.playersNeeded, open: openSlots, creator: session.creatorId }),
+            session.status === SessionStatus.SCHEDULED
+                ? t(locale, 'list.starts', { time: Math.floor(new Date(session.startTime).getTime() / 1000) })
+                : t(locale, 'list.posted', { time: Math.floor(new Date(session.createdAt).getTime() / 1000) }),
+            formatRequirements(session.requirements || {}, locale),
+            formatSessionVisibility(session.visibility, locale),
+            session.info ? `📝 ${session.info.slice(0, 100)}` : null
+        ].filter(Boolean).join('\n');
+
+        listEmbed.addFields({
+            name: `🎮 ${getGameDisplayName(guildId, session.game)} - ${session.gamemode} • #${session.id.slice(-6)}`,
+            value: details
+        });
+    }
+
+    const gameOptions = [
+        { label: t(locale, 'list.allGames'), value: '*', default: !state.game },
+        ...Object.entries(games).slice(0, 24).map(([key, game]) => ({ label: game.display.slice(0, 100), value: key, default: state.game === key }))
+    ];
+    const modes = state.game ? games[state.game]?.modes || [] : [];
+    const modeOptions = [
+        { label: t(locale, 'list.allModes'), value: '*', default: state.mode === null },
+        ...modes.slice(0, 24).map((mode, index) => ({ label: mode.slice(0, 100), value: String(index), default: state.mode === index }))
+    ];
+    const slotOptions = [0, 1, 2, 3, 4].map(slots => ({
+        label: slots === 0 ? t(locale, 'list.anySlots') : t(locale, slots === 1 ? 'list.minSlot' : 'list.minSlots', { count: slots }),
+        value: String(slots),
+        default: state.slots === slots
+    }));
+
+    const components = [
+        new ActionRowBuilder().addComponents(
+            new StringSelectMenuBuilder()
+                .setCustomId(encodeListState('lfglistgame', current))
+                .setPlaceholder(t(locale, 'list.gamePlaceholder'))
+                .addOptions(gameOptions)
+        ),
+        new ActionRowBuilder().addComponents(
+            new StringSelectMenuBuilder()
+                .setCustomId(encodeListState('lfglistmode', current))
+                .setPlaceholder(t(locale, state.game ? 'list.modePlaceholder' : 'list.modePlaceholderDisabled'))
+                .addOptions(modeOptions)
+                .setDisabled(!state.game)
+        ),
+        new ActionRowBuilder().addComponents(
+            new StringSelectMenuBuilder()
+                .setCustomId(encodeListState('lfglistslots', current))
+                .setPlaceholder(t(locale, 'list.slotsPlaceholder'))
+                .addOptions(slotOptions)
+        )
+    ];
+
+    if (pageSessions.length > 0) {
+        components.push(new ActionRowBuilder().addComponents(
+            pageSessions.map(session =>
+                new ButtonBuilder()
+                    .setCustomId(`join_${session.id}`)
+                    .setLabel(t(locale, session.status === SessionStatus.SCHEDULED ? 'list.rsvp' : 'list.join', { session: session.id.slice(-6) }))
+                    .setStyle(ButtonStyle.Success)
+            )
+        ));
+    }
+
+    // Prev/next/refresh carry different pages or a marker so their customIds stay unique
+    components.push(new ActionRowBuilder().addComponents(
+        new ButtonBuilder()
+            .setCustomId(encodeListState('lfglist', { ...current, page: page - 1 }))
+            .setLabel(t(locale, 'buttons.previous'))
+            .setStyle(ButtonStyle.Secondary)
+            .setEmoji('◀️')
+            .setDisabled(page === 0),
+        new ButtonBuilder()
+            .setCustomId(`${encodeListState('lfglist', current)}_refresh`)
+            .setLabel(t(locale, 'buttons.refresh'))
+            .setStyle(ButtonStyle.Secondary)
+            .setEmoji('🔄'),
+        new ButtonBuilder()
+            .setCustomId(encodeListState('lfglist', { ...current, page: page + 1 }))
+            .setLabel(t(locale, 'buttons.next'))
+            .setStyle(ButtonStyle.Secondary)
+            .setEmoji('▶️')
+            .setDisabled(page >= pageCount - 1)
+    ));
+
+    return { embeds: [listEmbed], components };
+}
+
+async function handleLFGListCommand(interaction) {
+    let locale = DEFAULT_LOCALE;
+    try {
+        await interaction.deferReply({ ephemeral: true });
+        locale = await getUserLocale(interaction);
+
+        const games = await getGuildGames(interaction.guild.id);
+        const game = interaction.options.getString('game');
+
+        if (game && !games[game]) {
+            return await interaction.editReply({
+                content: t(locale, 'lfg.unknownGame', { games: Object.values(games).map(g => g.display).join(', ') || t(locale, 'lfg.noGames') }),
+                ephemeral: true
+            });
+        }
+
+        await interaction.editReply({
+            ...renderSessionList(interaction.guild.id, interaction.user.id, games, { page: 0, game, mode: null, slots: 0 }, locale),
+            ephemeral: true
+        });
+
+    } catch (error) {
+        console.error('Error in handleLFGListCommand:', error);
+        recordInteractionError(interaction);
+
+        if (!interaction.replied) {
+            await interaction.editReply({
+                content: getStorageFailureMessage(error, interaction) || t(locale, 'list.failed'),
+                ephemeral: true
+            }).catch(console.error);
+        }
+    }
+}
+
+// Page buttons and filter menus of the session browser
+async function handleLFGListComponent(interaction) {
+    let locale = DEFAULT_LOCALE;
+    try {
+        locale = await getUserLocale(interaction);
+        const games = await getGuildGames(interaction.guild.id);
+        const [prefix] = interaction.customId.split('_');
+        const state = decodeListState(interaction.customId);
+
+        if (prefix === 'lfglistgame') {
+            const game = interaction.values[0];
+            state.game = game === '*' || !games[game] ? null : game;
+            state.mode = null;
+            state.page = 0;
+        } else if (prefix === 'lfglistmode') {
+            state.mode = interaction.values[0] === '*' ? null : Number(interaction.values[0]);
+            state.page = 0;
+        } else if (prefix === 'lfglistslots') {
+            state.slots = Number(interaction.values[0]) || 0;
+            state.page = 0;
+        }
+
+        await interaction.update(renderSessionList(interaction.guild.id, interaction.user.id, games, state, locale));
+
+    } catch (error) {
+        console.error('Error in handleLFGListComponent:', error);
+        recordInteractionError(interaction);
+
+        if (!interaction.replied) {
+            await interaction.reply({
+                content: getStorageFailureMessage(error, interaction) || t(locale, 'list.updateFailed'),
+                ephemeral: true
+            }).catch(console.error);
+        }
+    }
+}
+
+// Button interaction handlers
+async function handleJoinButton(interaction, sessionId) {
+    let locale = DEFAULT_LOCALE;
+    try {
+        await interaction.deferReply({ ephemeral: true });
+        locale = await getUserLocale(interaction);
+
+        const session = activeSessions.get(sessionId);
+        if (!session) {
+            return await interaction.editReply({
+                content: t(locale, 'common.sessionNotFound'),
+                ephemeral: true
+            });
+        }
+
+        if (session.locked) {
+            return await interaction.editReply({
+                content: t(locale, 'common.locked'),
+                ephemeral: true
+            });
+        }
+
+        const mismatches = getRequirementMismatches(
+            session,
+            await getUserProfile(interaction.user.id),
+            await getReputation(session.guildId, interaction.user.id),
+            locale
+        );
+        if (mismatches.length > 0) {
+            return await interaction.editReply({
+                content: t(locale, 'common.requirementsNotMet', { reasons: mismatches.map(reason => `• ${reason}`).join('\n') }),
+                ephemeral: true
+            });
+        }
+
+        if (session.visibility === SessionVisibility.INVITE && !isInvited(session, interaction.user.id)) {
+            return await interaction.editReply({
+                content: t(locale, 'join.inviteOnly'),
+                ephemeral: true
+            });
+        }
+
+        if (session.visibility === SessionVisibility.APPROVAL && !isInvited(session, interaction.user.id)) {
+            return await handleJoinRequest(interaction, session, locale);
+        }
+
+        if (session.status === SessionStatus.SCHEDULED) {
+            return await handleRSVP(interaction, session, locale);
+        }
+
+        // Check if user already has an active session
+        if (userActiveSessions.has(interaction.user.id)) {
+            return await interaction.editReply({
+                content: t(locale, 'join.alreadyActive'),
+                ephemeral: true
+            });
+        }
+
+        // Check if session is full
+        if (session.currentPlayers.length >= session.playersNeeded) {
+            return await interaction.editReply({
+                content: t(locale, 'join.full'),
+                ephemeral: true
+            });
+        }
+
+        // Check if user is already in this session
+        if (session.currentPlayers.some(player => player.id === interaction.user.id)) {
+            return await interaction.editReply({
+                content: t(locale, 'common.alreadyInSession'),
+                ephemeral: true
+            });
+        }
+
+        // Add user to session (a full squad moves on to the ready check)
+        await sessionService.addPlayer(session, interaction.user);
+
+        const gameDisplayName = getGameDisplayName(session.guildId, session.game);
+        await interaction.editReply({
+            content: t(locale, 'join.success', {
+                summary: t(locale, 'common.sessionSummary', {
+                    game: gameDisplayName,
+                    mode: session.gamemode,
+                    players: session.currentPlayers.length,
+                    needed: session.playersNeeded,
+                    session: sessionId.slice(-6)
+                })
+            }),
+            ephemeral: true
+        });
+
+        console.log(`🚀 Player joined: ${interaction.user.username} joined session #${sessionId.slice(-6)} (${session.currentPlayers.length}/${session.playersNeeded})`);
+
+    } catch (error) {
+        console.error('Error in handleJoinButton:', error);
+        recordInteractionError(interaction);
+        
+        if (!interaction.replied) {
+            await interaction.editReply({
+                content: getStorageFailureMessage(error, interaction) || t(locale, 'join.failed'),
+                ephemeral: true
+            }).catch(console.error);
+        }
+    }
+}
+
+async function handleLeaveButton(interaction, sessionId) {
+    let locale = DEFAULT_LOCALE;
+    try {
+        await interaction.deferReply({ ephemeral: true });
+        locale = await getUserLocale(interaction);
+
+        const session = activeSessions.get(sessionId);
+        if (!session) {
+            return await interaction.editReply({
+                content: t(locale, 'common.sessionNotFound'),
+                ephemeral: true
+            });
+        }
+
+        // Leaving while a join request is pending withdraws the request
+        if (session.pendingPlayers?.some(player => player.id === interaction.user.id)) {
+            await sessionService.resolveJoinRequest(session, interaction.user.id);
+            await refreshSessionMessage(session);
+            return await interaction.editReply({
+                content: t(locale, 'leave.requestWithdrawn'),
+                ephemeral: true
+            });
+        }
+
+        // Check if user is in this session
+        if (!session.currentPlayers.some(player => player.id === interaction.user.id)) {
+            return await interaction.editReply({
+                content: t(locale, 'common.notInSession'),
+                ephemeral: true
+            });
+        }
 
-    if (session.info) {
-        embed.addFields({ name: '📝 Additional Info', value: session.info });
+        const wasScheduled = session.status === SessionStatus.SCHEDULED;
+        const { ended } = await sessionService.removePlayers(session, [interaction.user.id], {
+            reason: wasScheduled ? 'squad.cancelledRsvp' : 'squad.left'
+        });
+
+        if (ended) {
+            await interaction.editReply({
+                content: t(locale, wasScheduled ? 'leave.rsvpCancelledEnded' : 'leave.endedEmpty'),
+                ephemeral: true
+            });
+
+            console.log(`🚪 Session deleted: ${interaction.user.username} left empty session #${sessionId.slice(-6)}`);
+            return;
+        }
+
+        await interaction.editReply({
+            content: t(locale, wasScheduled ? 'leave.rsvpCancelled' : 'leave.success', { session: sessionId.slice(-6) }),
+            ephemeral: true
+        });
+
+        console.log(`🚪 Player left: ${interaction.user.username} left session #${sessionId.slice(-6)} (${session.currentPlayers.length}/${session.playersNeeded})`);
+
+    } catch (error) {
+        console.error('Error in handleLeaveButton:', error);
+        recordInteractionError(interaction);
+        
+        if (!interaction.replied) {
+            await interaction.editReply({
+                content: getStorageFailureMessage(error, interaction) || t(locale, 'leave.failed'),
+                ephemeral: true
+            }).catch(console.error);
+        }
     }
+}
 
-    // Add current players list
-    if (session.currentPlayers.length > 0) {
-        const playersList = session.currentPlayers.map((player, index) => 
-            `${index === 0 ? '👑' : '🎮'} <@${player.id}>`
-        ).join('\n');
-        embed.addFields({ name: '🏆 Current Squad', value: playersList });
+async function handleWaitlistButton(interaction, sessionId) {
+    let locale = DEFAULT_LOCALE;
+    try {
+        await interaction.deferReply({ ephemeral: true });
+        locale = await getUserLocale(interaction);
+
+        const session = activeSessions.get(sessionId);
+        if (!session) {
+            return await interaction.editReply({
+                content: t(locale, 'common.sessionNotFound'),
+                ephemeral: true
+            });
+        }
+
+        if (session.currentPlayers.length < session.playersNeeded) {
+            return await interaction.editReply({
+                content: t(locale, 'waitlist.hasSlots'),
+                ephemeral: true
+            });
+        }
+
+        if (session.currentPlayers.some(player => player.id === interaction.user.id)) {
+            return await interaction.editReply({
+                content: t(locale, 'common.alreadyInSession'),
+                ephemeral: true
+            });
+        }
+
+        const position = session.waitlist.findIndex(player => player.id === interaction.user.id);
+        if (position !== -1) {
+            return await interaction.editReply({
+                content: t(locale, 'waitlist.alreadyOn', { position: position + 1 }),
+                ephemeral: true
+            });
+        }
+
+        if (session.locked) {
+            return await interaction.editReply({
+                content: t(locale, 'common.locked'),
+                ephemeral: true
+            });
+        }
+
+        const mismatches = getRequirementMismatches(
+            session,
+            await getUserProfile(interaction.user.id),
+            await getReputation(session.guildId, interaction.user.id),
+            locale
+        );
+        if (mismatches.length > 0) {
+            return await interaction.editReply({
+                content: t(locale, 'common.requirementsNotMet', { reasons: mismatches.map(reason => `• ${reason}`).join('\n') }),
+                ephemeral: true
+            });
+        }
+
+        // Waitlisted players are promoted without asking, so private squads only take invitees
+        if (session.visibility !== SessionVisibility.PUBLIC && !isInvited(session, interaction.user.id)) {
+            return await interaction.editReply({
+                content: t(locale, 'waitlist.private'),
+                ephemeral: true
+            });
+        }
+
+        if (session.waitlist.length >= MAX_WAITLIST_SIZE) {
+            return await interaction.editReply({
+                content: t(locale, 'waitlist.full'),
+                ephemeral: true
+            });
+        }
+
+        const waitlistPosition = await sessionService.addToWaitlist(session, interaction.user);
+
+        await interaction.editReply({
+            content: t(locale, 'waitlist.added', { position: waitlistPosition }),
+            ephemeral: true
+        });
+
+        console.log(`📋 Waitlist: ${interaction.user.username} joined waitlist for session #${sessionId.slice(-6)} (${session.waitlist.length} waiting)`);
+
+    } catch (error) {
+        console.error('Error in handleWaitlistButton:', error);
+        recordInteractionError(interaction);
+
+        if (!interaction.replied) {
+            await interaction.editReply({
+                content: getStorageFailureMessage(error, interaction) || t(locale, 'waitlist.failed'),
+                ephemeral: true
+            }).catch(console.error);
+        }
     }
+}
 
-    return embed;
+async function handleLeaveWaitlistButton(interaction, sessionId) {
+    let locale = DEFAULT_LOCALE;
+    try {
+        await interaction.deferReply({ ephemeral: true });
+        locale = await getUserLocale(interaction);
+
+        const session = activeSessions.get(sessionId);
+        if (!session) {
+            return await interaction.editReply({
+                content: t(locale, 'common.sessionNotFound'),
+                ephemeral: true
+            });
+        }
+
+        const position = session.waitlist.findIndex(player => player.id === interaction.user.id);
+        if (position === -1) {
+            return await interaction.editReply({
+                content: t(locale, 'waitlist.notOn'),
+                ephemeral: true
+            });
+        }
+
+        await sessionService.removeFromWaitlist(session, interaction.user.id);
+
+        await interaction.editReply({
+            content: t(locale, 'waitlist.left', { session: sessionId.slice(-6) }),
+            ephemeral: true
+        });
+
+        console.log(`📋 Waitlist: ${interaction.user.username} left waitlist for session #${sessionId.slice(-6)}`);
+
+    } catch (error) {
+        console.error('Error in handleLeaveWaitlistButton:', error);
+        recordInteractionError(interaction);
+
+        if (!interaction.replied) {
+            await interaction.editReply({
+                content: getStorageFailureMessage(error, interaction) || t(locale, 'waitlist.leaveFailed'),
+                ephemeral: true
+            }).catch(console.error);
+        }
+    }
 }
 
-// Permission checking utility
-async function checkBotPermissions(guild, channel) {
-    const botMember = guild.members.me;
-    
-    if (!botMember.permissions.has(PermissionFlagsBits.ManageChannels)) {
-        return { hasPermission: false, message: 'Bot needs "Manage Channels" permission to create voice channels.' };
+// RSVP to a scheduled session - players are only claimed when it starts
+async function handleRSVP(interaction, session, locale = DEFAULT_LOCALE) {
+    if (session.currentPlayers.some(player => player.id === interaction.user.id)) {
+        return await interaction.editReply({
+            content: t(locale, 'rsvp.already'),
+            ephemeral: true
+        });
     }
-    
-    if (!botMember.permissions.has(PermissionFlagsBits.Connect)) {
-        return { hasPermission: false, message: 'Bot needs "Connect" permission for voice channel access.' };
+
+    if (session.currentPlayers.length >= session.playersNeeded) {
+        return await interaction.editReply({
+            content: t(locale, 'rsvp.full'),
+            ephemeral: true
+        });
     }
-    
-    return { hasPermission: true };
+
+    await sessionService.addPlayer(session, interaction.user);
+
+    const start = Math.floor(new Date(session.startTime).getTime() / 1000);
+    await interaction.editReply({
+        content: t(locale, 'rsvp.confirmed', { game: getGameDisplayName(session.guildId, session.game), mode: session.gamemode, start }),
+        ephemeral: true
+    });
+
+    console.log(`📅 RSVP: ${interaction.user.username} RSVP'd to session #${session.id.slice(-6)} (${session.currentPlayers.length}/${session.playersNeeded})`);
 }
 
-// Voice channel creation with improved error handling
-async function createVoiceChannel(session, guild) {
+async function handleReadyButton(interaction, sessionId) {
+    let locale = DEFAULT_LOCALE;
     try {
-        const permissionCheck = await checkBotPermissions(guild);
-        if (!permissionCheck.hasPermission) {
-            console.error(`Permission error: ${permissionCheck.message}`);
-            return null;
+        await interaction.deferReply({ ephemeral: true });
+        locale = await getUserLocale(interaction);
+
+        const session = activeSessions.get(sessionId);
+        if (!session || session.status !== SessionStatus.CONFIRMING) {
+            return await interaction.editReply({
+                content: t(locale, 'ready.noCheck'),
+                ephemeral: true
+            });
         }
 
-        // Find or create game category
-        let gameCategory = guild.channels.cache.find(
-            c => c.type === ChannelType.GuildCategory && 
-            c.name.toLowerCase() === `${GAMES[session.game].display.toLowerCase()}-lfg`
-        );
+        if (!session.currentPlayers.some(player => player.id === interaction.user.id)) {
+            return await interaction.editReply({
+                content: t(locale, 'common.notInSession'),
+                ephemeral: true
+            });
+        }
 
-        if (!gameCategory) {
-            gameCategory = await guild.channels.create({
-                name: `${GAMES[session.game].display}-LFG`,
-                type: ChannelType.GuildCategory,
-                reason: 'LFG Bot - Game category for organized sessions'
+        if (session.confirmedPlayers.includes(interaction.user.id)) {
+            return await interaction.editReply({
+                content: t(locale, 'ready.already'),
+                ephemeral: true
             });
         }
 
-        // Create voice channel
-        const voiceChannel = await guild.channels.create({
-            name: `🎮 ${session.gamemode} #${session.id.slice(-6)}`,
-            type: ChannelType.GuildVoice,
-            parent: gameCategory.id,
-            userLimit: session.playersNeeded,
-            permissionOverwrites: [
-                {
-                    id: guild.roles.everyone.id,
-                    deny: [PermissionFlagsBits.Connect, PermissionFlagsBits.ViewChannel]
-                },
-                ...session.currentPlayers.map(player => ({
-                    id: player.id,
-                    allow: [PermissionFlagsBits.Connect, PermissionFlagsBits.ViewChannel, PermissionFlagsBits.Speak]
-                }))
-            ],
-            reason: `LFG Bot - Voice channel for ${session.gamemode} session`
+        const allConfirmed = await sessionService.confirm(session, interaction.user.id);
+
+        await interaction.editReply({
+            content: allConfirmed
+                ? t(locale, 'ready.allConfirmed')
+                : t(locale, 'ready.confirmed', { ready: session.confirmedPlayers.length, total: session.currentPlayers.length }),
+            ephemeral: true
         });
 
-        console.log(`✅ Created voice channel: ${voiceChannel.name} (${voiceChannel.id})`);
-        return voiceChannel;
+        console.log(`✅ Ready: ${interaction.user.username} confirmed session #${sessionId.slice(-6)} (${session.confirmedPlayers.length}/${session.currentPlayers.length})`);
+
     } catch (error) {
-        console.error('Error creating voice channel:', error);
-        return null;
+        console.error('Error in handleReadyButton:', error);
+        recordInteractionError(interaction);
+
+        if (!interaction.replied) {
+            await interaction.editReply({
+                content: getStorageFailureMessage(error, interaction) || t(locale, 'ready.failed'),
+                ephemeral: true
+            }).catch(console.error);
+        }
     }
 }
 
-// Channel cleanup system
-async function cleanupEmptyChannel(channelId, guildId) {
+async function handleNotReadyButton(interaction, sessionId) {
+    let locale = DEFAULT_LOCALE;
     try {
-        const guild = client.guilds.cache.get(guildId);
-        if (!guild) return;
+        await interaction.deferReply({ ephemeral: true });
+        locale = await getUserLocale(interaction);
 
-        const channel = guild.channels.cache.get(channelId);
-        if (!channel || channel.members.size > 0) {
-            emptyChannelTimeouts.delete(channelId);
-            return;
+        const session = activeSessions.get(sessionId);
+        if (!session || session.status !== SessionStatus.CONFIRMING) {
+            return await interaction.editReply({
+                content: t(locale, 'ready.noCheck'),
+                ephemeral: true
+            });
         }
 
-        console.log(`🧹 Deleting empty voice channel: ${channel.name}`);
-        await channel.delete('LFG Bot - Channel empty for 1 minute');
-        emptyChannelTimeouts.delete(channelId);
+        if (!session.currentPlayers.some(player => player.id === interaction.user.id)) {
+            return await interaction.editReply({
+                content: t(locale, 'common.notInSession'),
+                ephemeral: true
+            });
+        }
 
-        // Check if category is now empty and delete it
-        if (channel.parent && channel.parent.children.cache.size === 0) {
-            console.log(`🧹 Deleting empty category: ${channel.parent.name}`);
-            await channel.parent.delete('LFG Bot - Category empty after channel cleanup');
+        await sessionService.removePlayers(session, [interaction.user.id], { reason: 'squad.notReady', announce: true });
+
+        await interaction.editReply({
+            content: t(locale, 'ready.notReady', { session: sessionId.slice(-6) }),
+            ephemeral: true
+        });
+
+        console.log(`❌ Not ready: ${interaction.user.username} dropped out of session #${sessionId.slice(-6)}`);
+
+    } catch (error) {
+        console.error('Error in handleNotReadyButton:', error);
+        recordInteractionError(interaction);
+
+        if (!interaction.replied) {
+            await interaction.editReply({
+                content: getStorageFailureMessage(error, interaction) || t(locale, 'ready.notReadyFailed'),
+                ephemeral: true
+            }).catch(console.error);
+        }
+    }
+}
+
+// Creator control panel: the Manage button and everything it opens
+function getManagedSession(interaction, sessionId, locale) {
+    const session = activeSessions.get(sessionId);
+    if (!session) {
+        return { error: t(locale, 'common.sessionNotFound') };
+    }
+    if (session.creatorId !== interaction.user.id) {
+        return { error: t(locale, 'manage.notOwner') };
+    }
+    return { session };
+}
+
+function describeManagePanel(session, locale) {
+    const inviteNote = session.visibility !== SessionVisibility.PUBLIC
+        ? t(locale, session.visibility === SessionVisibility.APPROVAL ? 'manage.invitesApproval' : 'manage.invitesOnly')
+            + (session.invitedUsers?.length ? t(locale, 'manage.invitedCount', { count: session.invitedUsers.length }) : '')
+        : '';
+    const extensionsLeft = Math.max(getMaxExtensions(session.guildId) - (session.extensions || 0), 0);
+    return t(locale, 'manage.panel', {
+        session: session.id.slice(-6),
+        minutes: SESSION_EXTENSION / 60000,
+        left: extensionsLeft,
+        invites: inviteNote
+    });
+}
+
+async function handleManageButton(interaction, sessionId) {
+    let locale = DEFAULT_LOCALE;
+    try {
+        locale = await getUserLocale(interaction);
+        const { session, error } = getManagedSession(interaction, sessionId, locale);
+        if (error) {
+            return await interaction.reply({ content: error, ephemeral: true });
         }
+
+        await interaction.reply({
+            content: describeManagePanel(session, locale),
+            components: createManagePanel(session, locale),
+            ephemeral: true
+        });
+
     } catch (error) {
-        console.error('Error during channel cleanup:', error);
-        emptyChannelTimeouts.delete(channelId);
+        console.error('Error in handleManageButton:', error);
+        recordInteractionError(interaction);
+
+        if (!interaction.replied) {
+            await interaction.reply({
+                content: getStorageFailureMessage(error, interaction) || t(locale, 'manage.failed'),
+                ephemeral: true
+            }).catch(console.error);
+        }
     }
 }
 
-// Session timeout handler
-function scheduleSessionTimeout(session) {
-    const timeoutId = setTimeout(async () => {
-        try {
-            console.log(`⏰ Session ${session.id.slice(-6)} expired, cleaning up...`);
-            
-            activeSessions.delete(session.id);
-            session.currentPlayers.forEach(player => {
-                userActiveSessions.delete(player.id);
-            });
-            
-            await storage.deleteSession(session.id);
-            
-            // Delete the original message if it exists
-            if (session.messageId && session.channelId) {
-                try {
-                    const guild = client.guilds.cache.get(session.guildId);
-                    const channel = guild?.channels.cache.get(session.channelId);
-                    if (channel) {
-                        const message = await channel.messages.fetch(session.messageId).catch(() => null);
-                        if (message) {
-                            await message.delete().catch(console.error);
-                        }
-                    }
-                } catch (error) {
-                    console.error('Error deleting expired session message:', error);
-                }
-            }
-            
-            console.log(`🗑️ Cleaned up expired session ${session.id.slice(-6)}`);
-        } catch (error) {
-            console.error('Error in session timeout:', error);
+async function handleLockButton(interaction, sessionId) {
+    let locale = DEFAULT_LOCALE;
+    try {
+        locale = await getUserLocale(interaction);
+        const { session, error } = getManagedSession(interaction, sessionId, locale);
+        if (error) {
+            return await interaction.update({ content: error, components: [] });
         }
-    }, 30 * 60 * 1000); // 30 minutes
 
-    session.timeoutId = timeoutId;
-    return timeoutId;
+        await sessionService.setLocked(session, !session.locked);
+        await interaction.update({
+            content: `${t(locale, session.locked ? 'manage.locked' : 'manage.unlocked')}\n\n${describeManagePanel(session, locale)}`,
+            components: createManagePanel(session, locale)
+        });
+
+        console.log(`🔒 Manage: ${interaction.user.username} ${session.locked ? 'locked' : 'unlocked'} session #${sessionId.slice(-6)}`);
+
+    } catch (error) {
+        console.error('Error in handleLockButton:', error);
+        recordInteractionError(interaction);
+
+        if (!interaction.replied) {
+            await interaction.reply({
+                content: getStorageFailureMessage(error, interaction) || t(locale, 'manage.lockFailed'),
+                ephemeral: true
+            }).catch(console.error);
+        }
+    }
 }
 
-// Command handlers
-async function handleLFGCommand(interaction) {
+async function handleExtendButton(interaction, sessionId, source) {
+    let locale = DEFAULT_LOCALE;
     try {
-        await interaction.deferReply();
+        locale = await getUserLocale(interaction);
+        const fromPanel = source === 'panel';
+        const { session, error } = getManagedSession(interaction, sessionId, locale);
+        if (error) {
+            return fromPanel
+                ? await interaction.update({ content: error, components: [] })
+                : await interaction.reply({ content: error, ephemeral: true });
+        }
 
-        const game = interaction.options.getString('game');
-        const gamemode = interaction.options.getString('gamemode');
-        const playersNeeded = interaction.options.getInteger('players');
-        const info = interaction.options.getString('info');
-        const gameDisplayName = GAMES[game].display;
+        let refusal = null;
+        if (session.status === SessionStatus.SCHEDULED) {
+            refusal = t(locale, 'manage.notStarted');
+        } else if ((session.extensions || 0) >= getMaxExtensions(session.guildId)) {
+            refusal = t(locale, 'manage.noExtensions', { max: getMaxExtensions(session.guildId) });
+        }
 
-        // Check if user already has an active session
-        if (userActiveSessions.has(interaction.user.id)) {
-            return await interaction.editReply({
-                content: '❌ **You already have an active LFG session!**\n\nUse `/endlfg` to end your current session before creating a new one.',
-                ephemeral: true
-            });
+        if (refusal) {
+            return fromPanel
+                ? await interaction.update({ content: `${refusal}\n\n${describeManagePanel(session, locale)}`, components: createManagePanel(session, locale) })
+                : await interaction.reply({ content: refusal, ephemeral: true });
         }
 
-        // Validate gamemode
-        if (!GAMES[game].modes.includes(gamemode)) {
-            return await interaction.editReply({
-                content: `❌ **Invalid game mode!**\n\nAvailable modes for ${gameDisplayName}: ${GAMES[game].modes.join(', ')}`,
-                ephemeral: true
+        await sessionService.extend(session);
+        const expires = Math.floor(new Date(session.expiresAt).getTime() / 1000);
+
+        if (fromPanel) {
+            await interaction.update({
+                content: `${t(locale, 'manage.extended', { expires })}\n\n${describeManagePanel(session, locale)}`,
+                components: createManagePanel(session, locale)
+            });
+        } else {
+            // The warning is a public channel post, so it stays in the guild language
+            await interaction.update({
+                content: t(getGuildLocale(session.guildId), 'manage.extendedBy', { session: session.id.slice(-6), user: interaction.user.id, expires }),
+                components: [],
+                allowedMentions: { parse: [] }
             });
         }
 
-        // Create session object
-        const sessionId = generateSessionId();
-        const session = {
-            id: sessionId,
-            creatorId: interaction.user.id,
-            guildId: interaction.guild.id,
-            channelId: interaction.channel.id,
-            game,
-            gamemode,
-            playersNeeded,
-            info,
-            currentPlayers: [{ id: interaction.user.id, username: interaction.user.username }],
-            confirmedPlayers: [],
-            status: 'waiting',
-            createdAt: new Date(),
-            expiresAt: getExpirationTime(),
-            voiceChannelId: null
-        };
+        console.log(`⏳ Manage: ${interaction.user.username} extended session #${sessionId.slice(-6)} (${session.extensions}/${getMaxExtensions(session.guildId)})`);
 
-        // Create embed and buttons
-        const embed = createLFGEmbed(session, gameDisplayName);
-        const row = new ActionRowBuilder()
-            .addComponents(
-                new ButtonBuilder()
-                    .setCustomId(`join_${sessionId}`)
-                    .setLabel('Join Squad')
-                    .setStyle(ButtonStyle.Success)
-                    .setEmoji('🎮'),
-                new ButtonBuilder()
-                    .setCustomId(`leave_${sessionId}`)
-                    .setLabel('Leave Squad')
-                    .setStyle(ButtonStyle.Secondary)
-                    .setEmoji('🚪')
-            );
+    } catch (error) {
+        console.error('Error in handleExtendButton:', error);
+        recordInteractionError(interaction);
 
-        const response = await interaction.editReply({
-            embeds: [embed],
-            components: [row]
-        });
+        if (!interaction.replied) {
+            await interaction.reply({
+                content: getStorageFailureMessage(error, interaction) || t(locale, 'manage.extendFailed'),
+                ephemeral: true
+            }).catch(console.error);
+        }
+    }
+}
 
-        // Store session data
-        session.messageId = response.id;
-        activeSessions.set(sessionId, session);
-        userActiveSessions.set(interaction.user.id, sessionId);
-        
-        // Save to database
-        await storage.createSession(session);
-        await storage.setUserSession(interaction.user.id, sessionId);
-        
-        // Schedule session timeout
-        scheduleSessionTimeout(session);
+async function handleEditButton(interaction, sessionId) {
+    let locale = DEFAULT_LOCALE;
+    try {
+        locale = await getUserLocale(interaction);
+        const { session, error } = getManagedSession(interaction, sessionId, locale);
+        if (error) {
+            return await interaction.update({ content: error, components: [] });
+        }
 
-        console.log(`🚀 LFG Created: ${interaction.user.username} wants ${playersNeeded} for ${gameDisplayName} ${gamemode} (Session #${sessionId.slice(-6)})`);
+        await interaction.showModal(createEditSessionModal(session, locale));
 
     } catch (error) {
-        console.error('Error in handleLFGCommand:', error);
-        
+        console.error('Error in handleEditButton:', error);
+        recordInteractionError(interaction);
+
         if (!interaction.replied) {
-            await interaction.editReply({
-                content: '❌ **LFG creation failed!**\n\nSomething went wrong while creating your session. Please try again.',
+            await interaction.reply({
+                content: getStorageFailureMessage(error, interaction) || t(locale, 'manage.editOpenFailed'),
                 ephemeral: true
             }).catch(console.error);
         }
     }
 }
 
-async function handleQuickJoinCommand(interaction) {
+async function handleEditModal(interaction, sessionId) {
+    let locale = DEFAULT_LOCALE;
     try {
         await interaction.deferReply({ ephemeral: true });
+        locale = await getUserLocale(interaction);
 
-        const game = interaction.options.getString('game');
-        const preferredGamemode = interaction.options.getString('gamemode');
-        const gameDisplayName = GAMES[game].display;
+        const { session, error } = getManagedSession(interaction, sessionId, locale);
+        if (error) {
+            return await interaction.editReply({ content: error, ephemeral: true });
+        }
 
-        // Check if user already has an active session
-        if (userActiveSessions.has(interaction.user.id)) {
+        const games = await getGuildGames(session.guildId);
+        const gameModes = games[session.game]?.modes || [];
+        const gamemodeInput = interaction.fields.getTextInputValue('gamemode').trim();
+        const gamemode = gameModes.find(mode => mode.toLowerCase() === gamemodeInput.toLowerCase());
+        const playersNeeded = Number(interaction.fields.getTextInputValue('players').trim());
+        const info = interaction.fields.getTextInputValue('info').trim() || null;
+
+        if (!gamemode) {
             return await interaction.editReply({
-                content: '❌ **You already have an active LFG session!**\n\nLeave your current session before joining another one.',
+                content: t(locale, 'lfg.invalidMode', { game: getGameDisplayName(session.guildId, session.game), modes: gameModes.join(', ') }),
                 ephemeral: true
             });
         }
 
-        // Find available sessions for the game
-        const availableSessions = Array.from(activeSessions.values()).filter(session => 
-            session.game === game && 
-            session.status === 'waiting' && 
-            session.currentPlayers.length < session.playersNeeded &&
-            session.guildId === interaction.guild.id
-        );
-
-        if (availableSessions.length === 0) {
+        if (!Number.isInteger(playersNeeded) || playersNeeded < 2 || playersNeeded > 10) {
             return await interaction.editReply({
-                content: `❌ **No available ${gameDisplayName} sessions found!**\n\nTry:\n• Using \`/lfg\` to create your own session\n• Checking other game modes\n• Waiting for someone else to create a session`,
+                content: t(locale, 'manage.invalidPlayers'),
                 ephemeral: true
             });
         }
 
-        // Prioritize preferred gamemode if specified
-        let targetSession;
-        if (preferredGamemode) {
-            targetSession = availableSessions.find(session => session.gamemode === preferredGamemode);
-        }
-        
-        if (!targetSession) {
-            targetSession = availableSessions[0]; // Get first available session
+        if (playersNeeded < session.currentPlayers.length) {
+            return await interaction.editReply({
+                content: t(locale, 'manage.squadTooBig', { count: session.currentPlayers.length }),
+                ephemeral: true
+            });
         }
 
-        // Add user to session
-        targetSession.currentPlayers.push({
-            id: interaction.user.id,
-            username: interaction.user.username
-        });
-
-        userActiveSessions.set(interaction.user.id, targetSession.id);
-        await storage.setUserSession(interaction.user.id, targetSession.id);
-
-        // Update the original message
-        const embed = createLFGEmbed(targetSession, GAMES[targetSession.game].display);
-        
-        try {
-            const guild = client.guilds.cache.get(targetSession.guildId);
-            const channel = guild?.channels.cache.get(targetSession.channelId);
-            if (channel && targetSession.messageId) {
-                const message = await channel.messages.fetch(targetSession.messageId);
-                await message.edit({ embeds: [embed] });
-            }
-        } catch (error) {
-            console.error('Error updating original LFG message:', error);
-        }
+        await sessionService.updateDetails(session, { gamemode, playersNeeded, info });
 
         await interaction.editReply({
-            content: `✅ **Successfully joined ${gameDisplayName} session!**\n\n🎮 **Game:** ${GAMES[targetSession.game].display}\n🎯 **Mode:** ${targetSession.gamemode}\n👥 **Players:** ${targetSession.currentPlayers.length}/${targetSession.playersNeeded}\n🆔 **Session:** #${targetSession.id.slice(-6)}`,
+            content: t(locale, 'manage.updated', {
+                mode: gamemode,
+                players: session.currentPlayers.length,
+                needed: playersNeeded,
+                info: info ? t(locale, 'manage.updatedInfo', { info }) : ''
+            }),
             ephemeral: true
         });
 
-        // Update session in storage
-        await storage.updateSession(targetSession.id, {
-            currentPlayers: targetSession.currentPlayers,
-            updatedAt: new Date()
-        });
+        console.log(`✏️ Manage: ${interaction.user.username} edited session #${sessionId.slice(-6)}`);
 
-        // Check if session is now full and start voice channel creation
-        if (targetSession.currentPlayers.length >= targetSession.playersNeeded) {
-            console.log(`🎯 Quick Join filled session ${targetSession.id.slice(-6)}! Starting voice channel creation...`);
-            targetSession.status = 'full';
-            await storage.updateSession(targetSession.id, {
-                status: 'completed',
-                updatedAt: new Date()
-            });
-            
-            // Clear session timeout if exists
-            if (targetSession.timeoutId) {
-                clearTimeout(targetSession.timeoutId);
-                targetSession.timeoutId = null;
-            }
-        }
-        
-        console.log(`🚀 Quick Join: ${interaction.user.username} joined ${gameDisplayName} session #${targetSession.id.slice(-6)}`);
-        
     } catch (error) {
-        console.error('Error in handleQuickJoinCommand:', error);
-        
+        console.error('Error in handleEditModal:', error);
+        recordInteractionError(interaction);
+
         if (!interaction.replied) {
             await interaction.editReply({
-                content: '❌ **Quick Join failed!**\n\nSomething went wrong while trying to join a session. Please try again or use `/lfg` to create your own session.',
+                content: getStorageFailureMessage(error, interaction) || t(locale, 'manage.editFailed'),
                 ephemeral: true
             }).catch(console.error);
         }
     }
 }
 
-async function handleEndLFGCommand(interaction) {
+async function handleKickSelect(interaction, sessionId) {
+    let locale = DEFAULT_LOCALE;
     try {
-        await interaction.deferReply({ ephemeral: true });
+        locale = await getUserLocale(interaction);
+        const { session, error } = getManagedSession(interaction, sessionId, locale);
+        if (error) {
+            return await interaction.update({ content: error, components: [] });
+        }
 
-        const userSessionId = userActiveSessions.get(interaction.user.id);
-        
-        if (!userSessionId) {
-            return await interaction.editReply({
-                content: '❌ **No active session found!**\n\nYou don\'t have any active LFG sessions to end.',
-                ephemeral: true
+        const targetId = interaction.values[0];
+        if (!session.currentPlayers.some(player => player.id === targetId) || targetId === session.creatorId) {
+            return await interaction.update({
+                content: `${t(locale, 'manage.notInSquad')}\n\n${describeManagePanel(session, locale)}`,
+                components: createManagePanel(session, locale)
             });
         }
 
-        const session = activeSessions.get(userSessionId);
-        if (!session) {
-            userActiveSessions.delete(interaction.user.id);
-            await storage.removeUserSession(interaction.user.id);
-            return await interaction.editReply({
-                content: '❌ **Session not found!**\n\nYour session reference was invalid and has been cleared.',
+        const { ended } = await sessionService.removePlayers(session, [targetId], { reason: 'squad.removedByLeader', announce: true });
+
+        await interaction.update({
+            content: ended
+                ? t(locale, 'manage.kickedEnded', { user: targetId })
+                : `${t(locale, 'manage.kicked', { user: targetId })}\n\n${describeManagePanel(session, locale)}`,
+            components: ended ? [] : createManagePanel(session, locale)
+        });
+
+        console.log(`👢 Manage: ${interaction.user.username} kicked ${targetId} from session #${sessionId.slice(-6)}`);
+
+    } catch (error) {
+        console.error('Error in handleKickSelect:', error);
+        recordInteractionError(interaction);
+
+        if (!interaction.replied) {
+            await interaction.reply({
+                content: getStorageFailureMessage(error, interaction) || t(locale, 'manage.kickFailed'),
                 ephemeral: true
+            }).catch(console.error);
+        }
+    }
+}
+
+async function handleTransferSelect(interaction, sessionId) {
+    let locale = DEFAULT_LOCALE;
+    try {
+        locale = await getUserLocale(interaction);
+        const { session, error } = getManagedSession(interaction, sessionId, locale);
+        if (error) {
+            return await interaction.update({ content: error, components: [] });
+        }
+
+        const newOwner = session.currentPlayers.find(player => player.id === interaction.values[0]);
+        if (!newOwner || newOwner.id === session.creatorId) {
+            return await interaction.update({
+                content: `${t(locale, 'manage.notInSquad')}\n\n${describeManagePanel(session, locale)}`,
+                components: createManagePanel(session, locale)
             });
         }
 
-        // Only session creator can end the session
-        if (session.creatorId !== interaction.user.id) {
-            return await interaction.editReply({
-                content: '❌ **Access denied!**\n\nOnly the session creator can end the session. Use the "Leave Squad" button to leave instead.',
+        await sessionService.transferOwnership(session, newOwner.id);
+
+        // The panel belongs to the new leader now
+        await interaction.update({
+            content: t(locale, 'manage.transferred', { user: newOwner.id, session: session.id.slice(-6) }),
+            components: []
+        });
+
+        console.log(`👑 Manage: ${interaction.user.username} transferred session #${sessionId.slice(-6)} to ${newOwner.username}`);
+
+    } catch (error) {
+        console.error('Error in handleTransferSelect:', error);
+        recordInteractionError(interaction);
+
+        if (!interaction.replied) {
+            await interaction.reply({
+                content: getStorageFailureMessage(error, interaction) || t(locale, 'manage.transferFailed'),
                 ephemeral: true
-            });
+            }).catch(console.error);
         }
+    }
+}
 
-        // Clean up session
-        activeSessions.delete(userSessionId);
-        
-        // Remove all players from user sessions
-        session.currentPlayers.forEach(player => {
-            userActiveSessions.delete(player.id);
+// Approval-required sessions: queue the request and ask the creator
+async function handleJoinRequest(interaction, session, locale) {
+    const userId = interaction.user.id;
+
+    if (session.currentPlayers.some(player => player.id === userId)) {
+        return await interaction.editReply({
+            content: t(locale, 'common.alreadyInSession'),
+            ephemeral: true
         });
+    }
 
-        // Clear timeout if exists
-        if (session.timeoutId) {
-            clearTimeout(session.timeoutId);
+    if (session.pendingPlayers.some(player => player.id === userId)) {
+        return await interaction.editReply({
+            content: t(locale, 'join.requestPending'),
+            ephemeral: true
+        });
+    }
+
+    if (session.status !== SessionStatus.SCHEDULED && userActiveSessions.has(userId)) {
+        return await interaction.editReply({
+            content: t(locale, 'join.alreadyActive'),
+            ephemeral: true
+        });
+    }
+
+    if (isSessionFull(session)) {
+        return await interaction.editReply({
+            content: t(locale, 'join.requestFull'),
+            ephemeral: true
+        });
+    }
+
+    if (session.pendingPlayers.length >= MAX_PENDING_REQUESTS) {
+        return await interaction.editReply({
+            content: t(locale, 'join.tooManyRequests'),
+            ephemeral: true
+        });
+    }
+
+    await sessionService.requestJoin(session, interaction.user);
+
+    const creatorLocale = getRecipientLocale(session.creatorId, session.guildId);
+    const prompt = {
+        content: t(creatorLocale, 'join.requestPrompt', {
+            user: userId,
+            game: getGameDisplayName(session.guildId, session.game),
+            mode: session.gamemode,
+            session: session.id.slice(-6)
+        }),
+        components: [
+            new ActionRowBuilder()
+                .addComponents(
+                    new ButtonBuilder()
+                        .setCustomId(`approve_${session.id}_${userId}`)
+                        .setLabel(t(creatorLocale, 'buttons.accept'))
+                        .setStyle(ButtonStyle.Success)
+                        .setEmoji('✅'),
+                    new ButtonBuilder()
+                        .setCustomId(`deny_${session.id}_${userId}`)
+                        .setLabel(t(creatorLocale, 'buttons.deny'))
+                        .setStyle(ButtonStyle.Danger)
+                        .setEmoji('✖️')
+                )
+        ]
+    };
+
+    // DM the creator; fall back to pinging them next to the session
+    try {
+        const creator = await client.users.fetch(session.creatorId);
+        await creator.send(prompt);
+    } catch (error) {
+        console.error('Could not DM join request to session creator:', error.message);
+        const channel = interaction.guild.channels.cache.get(session.channelId);
+        await channel?.send({ ...prompt, content: `<@${session.creatorId}> ${prompt.content}` }).catch(console.error);
+    }
+
+    await interaction.editReply({
+        content: t(locale, 'join.requestSent'),
+        ephemeral: true
+    });
+
+    console.log(`✋ Join request: ${interaction.user.username} asked to join session #${session.id.slice(-6)}`);
+}
+
+async function handleJoinDecision(interaction, sessionId, targetId, action) {
+    let locale = DEFAULT_LOCALE;
+    try {
+        locale = await getUserLocale(interaction);
+        const session = activeSessions.get(sessionId);
+        if (!session) {
+            return await interaction.update({ content: t(locale, 'common.sessionNotFound'), components: [] });
         }
 
-        // Delete from database
-        await storage.deleteSession(userSessionId);
-        
-        // Delete original message
-        try {
-            const guild = client.guilds.cache.get(session.guildId);
-            const channel = guild?.channels.cache.get(session.channelId);
-            if (channel && session.messageId) {
-                const message = await channel.messages.fetch(session.messageId).catch(() => null);
-                if (message) {
-                    await message.delete().catch(console.error);
-                }
-            }
-        } catch (error) {
-            console.error('Error deleting session message:', error);
+        if (session.creatorId !== interaction.user.id) {
+            return await interaction.reply({
+                content: t(locale, 'decision.notOwner'),
+                ephemeral: true
+            });
         }
 
-        // Delete voice channel if it exists
-        if (session.voiceChannelId) {
+        if (!session.pendingPlayers.some(player => player.id === targetId)) {
+            return await interaction.update({ content: t(locale, 'decision.alreadyAnswered', { user: targetId }), components: [] });
+        }
+
+        const targetLocale = getRecipientLocale(targetId, session.guildId);
+        const requestDetails = {
+            game: getGameDisplayName(session.guildId, session.game),
+            mode: session.gamemode,
+            session: session.id.slice(-6)
+        };
+        const notify = async (message) => {
             try {
-                const guild = client.guilds.cache.get(session.guildId);
-                const voiceChannel = guild?.channels.cache.get(session.voiceChannelId);
-                if (voiceChannel) {
-                    await voiceChannel.delete('LFG session ended by creator');
-                }
+                const user = await client.users.fetch(targetId);
+                await user.send(message);
             } catch (error) {
-                console.error('Error deleting voice channel:', error);
+                console.error('Could not DM join decision:', error.message);
             }
+        };
+
+        if (action === 'deny') {
+            await sessionService.resolveJoinRequest(session, targetId);
+            await refreshSessionMessage(session);
+            await notify(t(targetLocale, 'decision.deniedDm', requestDetails));
+            await interaction.update({ content: t(locale, 'decision.denied', { user: targetId }), components: [] });
+            console.log(`✋ Join request: ${interaction.user.username} denied ${targetId} for session #${sessionId.slice(-6)}`);
+            return;
         }
 
-        await interaction.editReply({
-            content: `✅ **LFG session ended successfully!**\n\nSession #${session.id.slice(-6)} has been terminated and all resources cleaned up.`,
-            ephemeral: true
+        if (isSessionFull(session)) {
+            return await interaction.reply({
+                content: t(locale, 'decision.full'),
+                ephemeral: true
+            });
+        }
+
+        const request = await sessionService.resolveJoinRequest(session, targetId);
+
+        if (getActiveBan(session.guildId, targetId) ||
+            (session.status !== SessionStatus.SCHEDULED && userActiveSessions.has(targetId))) {
+            await refreshSessionMessage(session);
+            return await interaction.update({ content: t(locale, 'decision.cannotJoin', { user: targetId }), components: [] });
+        }
+
+        await sessionService.addPlayer(session, request);
+        await notify(t(targetLocale, 'decision.acceptedDm', requestDetails));
+        await interaction.update({
+            content: t(locale, 'decision.accepted', { user: targetId, players: session.currentPlayers.length, needed: session.playersNeeded }),
+            components: []
         });
 
-        console.log(`🛑 Session ended: ${interaction.user.username} terminated session #${session.id.slice(-6)}`);
+        console.log(`✋ Join request: ${interaction.user.username} accepted ${request.username} into session #${sessionId.slice(-6)}`);
 
     } catch (error) {
-        console.error('Error in handleEndLFGCommand:', error);
-        
+        console.error('Error in handleJoinDecision:', error);
+        recordInteractionError(interaction);
+
         if (!interaction.replied) {
-            await interaction.editReply({
-                content: '❌ **End session failed!**\n\nSomething went wrong while ending your session. Please try again.',
+            await interaction.reply({
+                content: getStorageFailureMessage(error, interaction) || t(locale, 'decision.failed'),
                 ephemeral: true
-            }).catch(console.error);
-        }
-    }
-}
-
-async function handleHelpCommand(interaction) {
-    try {
-        await interaction.deferReply({ ephemeral: true });
-
-        const helpEmbed = new EmbedBuilder()
-            .setTitle('🎮 LFG Bot - Help & Commands')
-            .setDescription('**Find your gaming squad with these premium features!**')
-            .setColor(0x00ff88)
-            .addFields(
-                {
-                    name: '🎯 `/lfg`',
-                    value: 'Create a new Looking for Group session\n• Choose your game and mode\n• Set player count (2-10)\n• Add optional session info\n• Automatic voice channel creation',
-                    inline: false
-                },
-                {
-                    name: '⚡ `/quickjoin`',
-                    value: 'Instantly join available sessions\n• Select your preferred game\n• Optional gamemode preference\n• Joins first available session\n• Perfect for quick matchmaking',
-                    inline: false
-                },
-                {
-                    name: '🛑 `/endlfg`',
-                    value: 'End your active LFG session\n• Only session creators can use\n• Cleans up voice channels\n• Removes session from database\n• Notifies all participants',
-                    inline: false
-                },
-                {
-                    name: '🎮 Supported Games',
-                    value: 'Valorant • Fortnite • Brawlhalla • The Finals\nRoblox • Minecraft • Marvel Rivals • Rocket League\nApex Legends • Call of Duty • Overwatch',
-                    inline: false
-                },
-                {
-                    name: '✨ Premium Features',
-                    value: '• **Smart Session Management** - One active session per user\n• **Auto Voice Channels** - Private channels for your squad\n• **Session Persistence** - Survives bot restarts\n• **Auto Cleanup** - Removes empty channels after 1 minute\n• **Quick Join System** - Instant matchmaking for popular games',
-                    inline: false
-                },
-                {
-                    name: '🔧 How It Works',
-                    value: '1️⃣ Create/join a session\n2️⃣ Wait for players to join\n3️⃣ Voice channel auto-created when full\n4️⃣ Game together in your private channel\n5️⃣ Channels auto-cleanup when empty',
-                    inline: false
-                }
-            )
-            .setFooter({ text: 'LFG Bot - Premium Discord gaming experience' })
-            .setTimestamp();
+            }).catch(console.error);
+        }
+    }
+}
 
-        await interaction.editReply({
-            embeds: [helpEmbed],
-            ephemeral: true
+async function handleInviteSelect(interaction, sessionId) {
+    let locale = DEFAULT_LOCALE;
+    try {
+        locale = await getUserLocale(interaction);
+        const { session, error } = getManagedSession(interaction, sessionId, locale);
+        if (error) {
+            return await interaction.update({ content: error, components: [] });
+        }
+
+        const invitees = interaction.users.filter(user =>
+            !user.bot && !session.currentPlayers.some(player => player.id === user.id)
+        );
+        await sessionService.invite(session, [...invitees.keys()]);
+
+        const messageLink = `https://discord.com/channels/${session.guildId}/${session.channelId}/${session.messageId}`;
+        for (const user of invitees.values()) {
+            const inviteeLocale = getRecipientLocale(user.id, session.guildId);
+            await user.send(t(inviteeLocale, 'manage.inviteDm', {
+                user: interaction.user.id,
+                game: getGameDisplayName(session.guildId, session.game),
+                mode: session.gamemode,
+                join: t(getGuildLocale(session.guildId), 'buttons.join'),
+                link: messageLink
+            }))
+                .catch(dmError => console.error(`Could not DM invite to ${user.username}:`, dmError.message));
+        }
+
+        await interaction.update({
+            content: `${t(locale, 'manage.invited', { users: invitees.map(user => `<@${user.id}>`).join(' ') || t(locale, 'manage.nobodyNew') })}\n\n${describeManagePanel(session, locale)}`,
+            components: createManagePanel(session, locale)
         });
 
+        console.log(`✉️ Manage: ${interaction.user.username} invited ${invitees.size} players to session #${sessionId.slice(-6)}`);
+
     } catch (error) {
-        console.error('Error in handleHelpCommand:', error);
-        
+        console.error('Error in handleInviteSelect:', error);
+        recordInteractionError(interaction);
+
         if (!interaction.replied) {
-            await interaction.editReply({
-                content: '❌ **Help command failed!**\n\nSomething went wrong while loading help. Please try again.',
+            await interaction.reply({
+                content: getStorageFailureMessage(error, interaction) || t(locale, 'manage.inviteFailed'),
                 ephemeral: true
             }).catch(console.error);
         }
     }
 }
 
-// Button interaction handlers
-async function handleJoinButton(interaction, sessionId) {
+// Endorse / no-show votes from the post-session DM; works after the session is gone
+async function handleFeedbackButton(interaction, sessionId, targetId, kind) {
+    let locale = DEFAULT_LOCALE;
     try {
         await interaction.deferReply({ ephemeral: true });
+        locale = await getUserLocale(interaction);
 
-        const session = activeSessions.get(sessionId);
-        if (!session) {
-            return await interaction.editReply({
-                content: '❌ **Session not found!**\n\nThis session may have expired or been ended.',
-                ephemeral: true
-            });
-        }
+        const participants = await storage.getSessionParticipants(sessionId);
+        const voter = participants.find(participant => participant.userId === interaction.user.id);
+        const target = participants.find(participant => participant.userId === targetId);
 
-        // Check if user already has an active session
-        if (userActiveSessions.has(interaction.user.id)) {
+        if (!voter || !target || targetId === interaction.user.id) {
             return await interaction.editReply({
-                content: '❌ **You already have an active LFG session!**\n\nLeave your current session before joining another one.',
+                content: t(locale, 'feedback.notAllowed'),
                 ephemeral: true
             });
         }
 
-        // Check if session is full
-        if (session.currentPlayers.length >= session.playersNeeded) {
+        if (getActiveBan(target.guildId, interaction.user.id)) {
             return await interaction.editReply({
-                content: '❌ **Session is full!**\n\nThis session has reached its player limit.',
+                content: t(locale, 'feedback.banned'),
                 ephemeral: true
             });
         }
 
-        // Check if user is already in this session
-        if (session.currentPlayers.some(player => player.id === interaction.user.id)) {
+        if (Date.now() - new Date(target.playedAt).getTime() > FEEDBACK_WINDOW) {
             return await interaction.editReply({
-                content: '❌ **Already in session!**\n\nYou\'re already part of this gaming session.',
+                content: t(locale, 'feedback.closed', { hours: FEEDBACK_WINDOW / 3600000 }),
                 ephemeral: true
             });
         }
 
-        // Add user to session
-        session.currentPlayers.push({
-            id: interaction.user.id,
-            username: interaction.user.username
-        });
-
-        userActiveSessions.set(interaction.user.id, sessionId);
-        await storage.setUserSession(interaction.user.id, sessionId);
-
-        // Update the embed
-        const gameDisplayName = GAMES[session.game].display;
-        const embed = createLFGEmbed(session, gameDisplayName);
-
-        await interaction.message.edit({ embeds: [embed] });
+        const reputation = await storage.recordFeedback(target.guildId, sessionId, interaction.user.id, targetId, kind);
+        reputationCache.set(`${target.guildId}:${targetId}`, reputation);
 
         await interaction.editReply({
-            content: `✅ **Successfully joined the squad!**\n\n🎮 **Game:** ${gameDisplayName}\n🎯 **Mode:** ${session.gamemode}\n👥 **Players:** ${session.currentPlayers.length}/${session.playersNeeded}\n🆔 **Session:** #${sessionId.slice(-6)}`,
+            content: t(locale, kind === 'endorse' ? 'feedback.endorsed' : 'feedback.reportedNoShow', { user: targetId }),
             ephemeral: true
         });
 
-        // Update session in storage
-        await storage.updateSession(sessionId, {
-            currentPlayers: session.currentPlayers,
-            updatedAt: new Date()
-        });
-
-        // Check if session is now full
-        if (session.currentPlayers.length >= session.playersNeeded) {
-            console.log(`🎯 Session ${sessionId.slice(-6)} is now full! Starting voice channel creation...`);
-            
-            session.status = 'full';
-            await storage.updateSession(sessionId, {
-                status: 'completed',
-                updatedAt: new Date()
-            });
-            
-            // Clear session timeout if exists
-            if (session.timeoutId) {
-                clearTimeout(session.timeoutId);
-                session.timeoutId = null;
-            }
-
-            // Create voice channel
-            const guild = client.guilds.cache.get(session.guildId);
-            if (guild) {
-                const voiceChannel = await createVoiceChannel(session, guild);
-                if (voiceChannel) {
-                    session.voiceChannelId = voiceChannel.id;
-                    await storage.updateSession(sessionId, {
-                        voiceChannelId: voiceChannel.id,
-                        updatedAt: new Date()
-                    });
-
-                    // Update embed to show voice channel created
-                    const finalEmbed = createLFGEmbed(session, gameDisplayName)
-                        .addFields({ 
-                            name: '🔊 Voice Channel', 
-                            value: `<#${voiceChannel.id}>`, 
-                            inline: true 
-                        });
-
-                    await interaction.message.edit({ 
-                        embeds: [finalEmbed],
-                        components: [] // Remove buttons when session is complete
-                    });
-
-                    // Notify all players in the channel
-                    const channel = guild.channels.cache.get(session.channelId);
-                    if (channel) {
-                        const playerMentions = session.currentPlayers.map(player => `<@${player.id}>`).join(' ');
-                        await channel.send(`🎉 **Squad assembled!** ${playerMentions}\n\n🔊 Your private voice channel is ready: <#${voiceChannel.id}>\n🎮 Have fun gaming together!`);
-                    }
-                }
-            }
-        }
-
-        console.log(`🚀 Player joined: ${interaction.user.username} joined session #${sessionId.slice(-6)} (${session.currentPlayers.length}/${session.playersNeeded})`);
+        console.log(`⭐ Feedback: ${interaction.user.username} ${kind === 'endorse' ? 'endorsed' : 'reported no-show for'} ${targetId} (session #${sessionId.slice(-6)}, score ${reputation.score})`);
 
     } catch (error) {
-        console.error('Error in handleJoinButton:', error);
-        
+        console.error('Error in handleFeedbackButton:', error);
+        recordInteractionError(interaction);
+
         if (!interaction.replied) {
             await interaction.editReply({
-                content: '❌ **Join failed!**\n\nSomething went wrong while joining the session. Please try again.',
+                content: getStorageFailureMessage(error, interaction) || t(locale, 'feedback.failed'),
                 ephemeral: true
             }).catch(console.error);
         }
     }
 }
 
-async function handleLeaveButton(interaction, sessionId) {
-    try {
-        await interaction.deferReply({ ephemeral: true });
+// Read-only REST API (tokenHash -> api_tokens row); each token only reads its own guild
+const apiTokenCache = new Map();
 
-        const session = activeSessions.get(sessionId);
-        if (!session) {
-            return await interaction.editReply({
-                content: '❌ **Session not found!**\n\nThis session may have expired or been ended.',
-                ephemeral: true
-            });
-        }
+const MAX_API_TOKENS_PER_GUILD = 5;
+const API_HISTORY_LIMIT = 100;
+const API_COUNTS_WINDOW = 7 * 24 * 60 * 60 * 1000; // 7 days
 
-        // Check if user is in this session
-        const playerIndex = session.currentPlayers.findIndex(player => player.id === interaction.user.id);
-        if (playerIndex === -1) {
-            return await interaction.editReply({
-                content: '❌ **Not in session!**\n\nYou\'re not part of this gaming session.',
-                ephemeral: true
-            });
-        }
+function hashApiToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
 
-        // Remove user from session
-        const removedPlayer = session.currentPlayers.splice(playerIndex, 1)[0];
-        userActiveSessions.delete(interaction.user.id);
-        await storage.removeUserSession(interaction.user.id);
+function getGuildApiTokens(guildId) {
+    return Array.from(apiTokenCache.values()).filter(token => token.guildId === guildId);
+}
 
-        // If this was the creator and there are other players, transfer ownership
-        if (session.creatorId === interaction.user.id && session.currentPlayers.length > 0) {
-            session.creatorId = session.currentPlayers[0].id;
-            console.log(`👑 Session ownership transferred to ${session.currentPlayers[0].username}`);
-        }
+// Returns the plain token; it is shown once and never stored
+async function createApiToken(guildId, name, createdBy) {
+    const token = `lfg_${crypto.randomBytes(24).toString('hex')}`;
+    const row = { tokenHash: hashApiToken(token), guildId, name, createdBy, createdAt: new Date() };
+    await storage.createApiToken(row);
+    apiTokenCache.set(row.tokenHash, row);
+    return token;
+}
 
-        // If session is now empty, delete it
-        if (session.currentPlayers.length === 0) {
-            activeSessions.delete(sessionId);
-            
-            // Clear timeout if exists
-            if (session.timeoutId) {
-                clearTimeout(session.timeoutId);
-            }
-            
-            await storage.deleteSession(sessionId);
-            
-            // Delete the message
-            try {
-                await interaction.message.delete();
-            } catch (error) {
-                console.error('Error deleting empty session message:', error);
-            }
+async function revokeApiToken(guildId, name) {
+    const row = getGuildApiTokens(guildId).find(token => token.name === name);
+    if (!row) return false;
+    await storage.deleteApiToken(row.tokenHash);
+    apiTokenCache.delete(row.tokenHash);
+    return true;
+}
 
-            await interaction.editReply({
-                content: '✅ **Left session successfully!**\n\nSession was empty and has been automatically deleted.',
-                ephemeral: true
-            });
+function sendJson(res, status, body) {
+    if (res.headersSent) return;
+    res.writeHead(status, {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*',
+        'Cache-Control': 'no-store'
+    });
+    res.end(JSON.stringify(body));
+}
 
-            console.log(`🚪 Session deleted: ${removedPlayer.username} left empty session #${sessionId.slice(-6)}`);
-            return;
+// Public view of a session, from memory or an lfg_sessions row
+function serializeSession(session) {
+    const players = Array.isArray(session.currentPlayers) ? session.currentPlayers : [];
+    return {
+        id: session.id,
+        guildId: session.guildId,
+        game: session.game,
+        gameDisplayName: getGameDisplayName(session.guildId, session.game),
+        gamemode: session.gamemode,
+        status: normalizeSessionStatus(session.status),
+        visibility: session.visibility || SessionVisibility.PUBLIC,
+        locked: Boolean(session.locked),
+        creatorId: session.creatorId,
+        players: players.map(player => ({ id: player.id, username: player.username })),
+        playersNeeded: session.playersNeeded,
+        openSlots: Math.max(session.playersNeeded - players.length, 0),
+        waitlist: (session.waitlist || []).length,
+        info: session.info || null,
+        requirements: session.requirements || {},
+        createdAt: session.createdAt,
+        startTime: session.startTime || null,
+        expiresAt: session.expiresAt,
+        filledAt: session.filledAt || null,
+        messageUrl: session.messageId
+            ? `https://discord.com/channels/${session.guildId}/${session.channelId}/${session.messageId}`
+            : null
+    };
+}
+
+// GET /api/guilds/:guildId/sessions[/:sessionId], /history and /games with "Authorization: Bearer <token>"
+async function handleApiRequest(req, res) {
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204, {
+            'Access-Control-Allow-Origin': '*',
+            'Access-Control-Allow-Methods': 'GET, OPTIONS',
+            'Access-Control-Allow-Headers': 'Authorization'
+        });
+        return res.end();
+    }
+
+    if (req.method !== 'GET') {
+        return sendJson(res, 405, { error: 'Method not allowed' });
+    }
+
+    const url = new URL(req.url, 'http://localhost');
+    const match = url.pathname.match(/^\/api\/guilds\/(\d+)\/(sessions|history|games)(?:\/([a-z0-9]+))?\/?$/);
+    if (!match || (match[3] && match[2] !== 'sessions')) {
+        return sendJson(res, 404, { error: 'Not found' });
+    }
+    const [, guildId, resource, sessionId] = match;
+
+    const [scheme, token] = (req.headers.authorization || '').split(' ');
+    const apiToken = scheme === 'Bearer' && token ? apiTokenCache.get(hashApiToken(token)) : null;
+    if (!apiToken) {
+        return sendJson(res, 401, { error: 'Missing or invalid API token' });
+    }
+    if (apiToken.guildId !== guildId) {
+        return sendJson(res, 403, { error: 'This token does not belong to that guild' });
+    }
+
+    const game = url.searchParams.get('game');
+
+    if (resource === 'sessions' && sessionId) {
+        const active = activeSessions.get(sessionId);
+        const session = active?.guildId === guildId ? active : await storage.getSession(guildId, sessionId);
+        if (!session) {
+            return sendJson(res, 404, { error: 'Session not found' });
         }
+        return sendJson(res, 200, { session: { ...serializeSession(session), active: Boolean(active) } });
+    }
 
-        // Update the embed
-        const gameDisplayName = GAMES[session.game].display;
-        const embed = createLFGEmbed(session, gameDisplayName);
-        await interaction.message.edit({ embeds: [embed] });
+    if (resource === 'sessions') {
+        const status = url.searchParams.get('status');
+        const sessions = Array.from(activeSessions.values())
+            .filter(session => session.guildId === guildId &&
+                (!game || session.game === game) &&
+                (!status || session.status === status))
+            .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+            .map(serializeSession);
+        return sendJson(res, 200, { sessions });
+    }
 
-        // Update session in storage
-        await storage.updateSession(sessionId, {
-            currentPlayers: session.currentPlayers,
-            creatorId: session.creatorId,
-            updatedAt: new Date()
+    if (resource === 'history') {
+        const limit = Math.min(Math.max(parseInt(url.searchParams.get('limit'), 10) || 20, 1), API_HISTORY_LIMIT);
+        const sessions = await storage.getRecentSessions(guildId, { game, limit });
+        return sendJson(res, 200, {
+            sessions: sessions.map(session => ({ ...serializeSession(session), endedAt: session.updatedAt }))
         });
+    }
 
-        await interaction.editReply({
-            content: `✅ **Successfully left the squad!**\n\nYou've been removed from session #${sessionId.slice(-6)}.`,
-            ephemeral: true
-        });
+    // Per-game counts: live sessions from memory, recent outcomes from lfg_sessions
+    const since = new Date(Date.now() - API_COUNTS_WINDOW);
+    const games = await getGuildGames(guildId);
+    const counts = {};
+    const entryFor = (gameKey) => {
+        counts[gameKey] = counts[gameKey] || {
+            game: gameKey,
+            gameDisplayName: getGameDisplayName(guildId, gameKey),
+            active: { scheduled: 0, open: 0, confirming: 0, inProgress: 0, players: 0, openSlots: 0 },
+            recent: { created: 0, ended: 0, expired: 0 }
+        };
+        return counts[gameKey];
+    };
 
-        console.log(`🚪 Player left: ${removedPlayer.username} left session #${sessionId.slice(-6)} (${session.currentPlayers.length}/${session.playersNeeded})`);
+    for (const gameKey of Object.keys(games)) entryFor(gameKey);
 
-    } catch (error) {
-        console.error('Error in handleLeaveButton:', error);
-        
-        if (!interaction.replied) {
-            await interaction.editReply({
-                content: '❌ **Leave failed!**\n\nSomething went wrong while leaving the session. Please try again.',
-                ephemeral: true
-            }).catch(console.error);
+    for (const session of activeSessions.values()) {
+        if (session.guildId !== guildId) continue;
+        const { active } = entryFor(session.game);
+        const key = session.status === SessionStatus.IN_PROGRESS || session.status === SessionStatus.FULL ? 'inProgress' : session.status;
+        if (key in active) active[key]++;
+        active.players += session.currentPlayers.length;
+        active.openSlots += Math.max(session.playersNeeded - session.currentPlayers.length, 0);
+    }
+
+    for (const row of await storage.getSessionCountsByGame(guildId, since)) {
+        const { recent } = entryFor(row.game);
+        recent.created += row.sessions;
+        if (row.status === SessionStatus.ENDED) recent.ended += row.sessions;
+        if (row.status === SessionStatus.EXPIRED) recent.expired += row.sessions;
+    }
+
+    const results = Object.values(counts).filter(entry => !game || entry.game === game);
+    return sendJson(res, 200, { since: since.toISOString(), games: results });
+}
+
+// Sessions, settings, bans, role mappings, API tokens and game catalogs kept in storage
+async function loadPersistentState() {
+    // Load persistent sessions from database
+    console.log('💾 Loading persistent sessions from database...');
+    
+    const dbSessions = await storage.getActiveSessions();
+    console.log(`📋 Found ${dbSessions.length} active sessions in database`);
+    
+    // Load guild settings
+    console.log('📋 Loading guild settings...');
+    const allSettings = await storage.getAllGuildSettings();
+    for (const settings of allSettings) {
+        guildSettingsCache.set(settings.guildId, settings);
+    }
+    console.log(`📋 Loaded settings for ${guildSettingsCache.size} guilds`);
+    
+    // Load LFG bans
+    const allBans = await storage.getAllBans();
+    for (const ban of allBans) {
+        if (!guildBans.has(ban.guildId)) {
+            guildBans.set(ban.guildId, new Map());
+        }
+        guildBans.get(ban.guildId).set(ban.userId, ban);
+    }
+    console.log(`🚫 Loaded ${allBans.length} LFG bans`);
+    
+    // Load game role mappings
+    const allGameRoles = await storage.getAllGameRoles();
+    for (const role of allGameRoles) {
+        if (!guildGameRoles.has(role.guildId)) {
+            guildGameRoles.set(role.guildId, []);
+        }
+        guildGameRoles.get(role.guildId).push(role);
+    }
+    console.log(`🔔 Loaded ${allGameRoles.length} game role mappings`);
+    
+    // Load REST API tokens
+    const allApiTokens = await storage.getAllApiTokens();
+    for (const token of allApiTokens) {
+        apiTokenCache.set(token.tokenHash, token);
+    }
+    console.log(`🔑 Loaded ${allApiTokens.length} API tokens`);
+    
+    // Load per-guild game catalogs (expiry notices for restored sessions name the game)
+    for (const guildId of client.guilds.cache.keys()) {
+        await getGuildGames(guildId);
+    }
+    console.log(`🎮 Loaded game catalogs for ${guildGameCatalogs.size} guilds`);
+    
+    // Restore active sessions to memory
+    let restoredCount = 0;
+    let cleanedCount = 0;
+    
+    for (const dbSession of dbSessions) {
+        try {
+            // Restore session to memory
+            const session = {
+                id: dbSession.id,
+                creatorId: dbSession.creatorId,
+                guildId: dbSession.guildId,
+                channelId: dbSession.channelId,
+                messageId: dbSession.messageId,
+                game: dbSession.game,
+                gamemode: dbSession.gamemode,
+                playersNeeded: dbSession.playersNeeded,
+                info: dbSession.info,
+                status: normalizeSessionStatus(dbSession.status),
+                currentPlayers: Array.isArray(dbSession.currentPlayers) ? dbSession.currentPlayers : [],
+                confirmedPlayers: Array.isArray(dbSession.confirmedPlayers) ? dbSession.confirmedPlayers : [],
+                voiceChannelId: dbSession.voiceChannelId,
+                voiceChannelNumber: dbSession.voiceChannelNumber,
+                confirmationStartTime: dbSession.confirmationStartTime,
+                createdAt: dbSession.createdAt,
+                expiresAt: dbSession.expiresAt,
+                startTime: dbSession.startTime,
+                timezone: dbSession.timezone,
+                reminderSent: dbSession.reminderSent,
+                waitlist: Array.isArray(dbSession.waitlist) ? dbSession.waitlist : [],
+                requirements: dbSession.requirements || {},
+                participants: Array.isArray(dbSession.participants) ? dbSession.participants : [],
+                filledAt: dbSession.filledAt,
+                locked: dbSession.locked,
+                visibility: dbSession.visibility || SessionVisibility.PUBLIC,
+                pendingPlayers: Array.isArray(dbSession.pendingPlayers) ? dbSession.pendingPlayers : [],
+                invitedUsers: Array.isArray(dbSession.invitedUsers) ? dbSession.invitedUsers : [],
+                companionChannelId: dbSession.companionChannelId,
+                extensions: dbSession.extensions || 0,
+                expiryWarningSent: Boolean(dbSession.expiryWarningSent),
+                timeoutId: null,
+                expiryWarningTimeoutId: null,
+                readyCheckTimeoutId: null
+            };
+            
+            activeSessions.set(session.id, session);
+            
+            // Restore user session mappings (scheduled RSVPs are claimed at start)
+            session.currentPlayers.forEach(player => {
+                if (player.id && session.status !== SessionStatus.SCHEDULED) {
+                    userActiveSessions.set(player.id, session.id);
+                }
+            });
+            
+            // Sessions that ran out while the bot was down expire the same way the timer would expire them
+            if (await sessionService.expireIfDue(session)) {
+                cleanedCount++;
+                continue;
+            }
+            
+            // Schedule new timeout for remaining time
+            sessionService.scheduleExpiry(session);
+            
+            // Resume an interrupted ready check for its remaining time
+            if (session.status === SessionStatus.CONFIRMING) {
+                const confirmationStart = session.confirmationStartTime
+                    ? new Date(session.confirmationStartTime).getTime()
+                    : Date.now();
+                sessionService.scheduleReadyCheckTimeout(session, Math.max(confirmationStart + READY_CHECK_TIMEOUT - Date.now(), 0));
+            }
+            
+            restoredCount++;
+        } catch (error) {
+            console.error(`Error restoring session ${dbSession.id}:`, error);
+            cleanedCount++;
         }
     }
+    
+    console.log(`✅ Session restoration complete:`);
+    console.log(`   🔄 Restored: ${restoredCount} active sessions`);
+    console.log(`   🧹 Cleaned: ${cleanedCount} expired sessions`);
 }
 
 // Event handlers
@@ -1138,80 +7111,27 @@ client.on('ready', async () => {
         console.log(`🚀 ${client.user.tag} Bot is online! Logged in as ${client.user.tag}`);
         console.log(`🎮 Serving ${client.guilds.cache.size} servers with premium LFG features`);
         
-        // Load persistent sessions from database
-        console.log('💾 Loading persistent sessions from database...');
-        
-        const dbSessions = await storage.getActiveSessions();
-        console.log(`📋 Found ${dbSessions.length} active sessions in database`);
-        
-        // Load guild settings
-        console.log('📋 Loading guild settings...');
-        console.log(`📋 Loaded settings for 0 guilds`);
-        
-        // Restore active sessions to memory
-        let restoredCount = 0;
-        let cleanedCount = 0;
-        
-        for (const dbSession of dbSessions) {
-            try {
-                // Check if session has expired
-                if (new Date() > new Date(dbSession.expiresAt)) {
-                    await storage.deleteSession(dbSession.id);
-                    cleanedCount++;
-                    continue;
-                }
-                
-                // Restore session to memory
-                const session = {
-                    id: dbSession.id,
-                    creatorId: dbSession.creatorId,
-                    guildId: dbSession.guildId,
-                    channelId: dbSession.channelId,
-                    messageId: dbSession.messageId,
-                    game: dbSession.game,
-                    gamemode: dbSession.gamemode,
-                    playersNeeded: dbSession.playersNeeded,
-                    info: dbSession.info,
-                    status: dbSession.status,
-                    currentPlayers: Array.isArray(dbSession.currentPlayers) ? dbSession.currentPlayers : [],
-                    confirmedPlayers: Array.isArray(dbSession.confirmedPlayers) ? dbSession.confirmedPlayers : [],
-                    voiceChannelId: dbSession.voiceChannelId,
-                    createdAt: dbSession.createdAt,
-                    expiresAt: dbSession.expiresAt,
-                    timeoutId: null
-                };
-                
-                activeSessions.set(session.id, session);
-                
-                // Restore user session mappings
-                session.currentPlayers.forEach(player => {
-                    if (player.id) {
-                        userActiveSessions.set(player.id, session.id);
-                    }
-                });
-                
-                // Schedule new timeout for remaining time
-                const timeLeft = new Date(session.expiresAt).getTime() - Date.now();
-                if (timeLeft > 0) {
-                    scheduleSessionTimeout(session);
-                }
-                
-                restoredCount++;
-            } catch (error) {
-                console.error(`Error restoring session ${dbSession.id}:`, error);
-                cleanedCount++;
-            }
+        // Keep going without persistent data so commands still register and can report the outage
+        try {
+            await loadPersistentState();
+            healthState.restoreError = null;
+        } catch (error) {
+            console.error('❌ Could not restore persistent data:', error);
+            healthState.restoreError = error.message;
         }
         
-        console.log(`✅ Session restoration complete:`);
-        console.log(`   🔄 Restored: ${restoredCount} active sessions`);
-        console.log(`   🧹 Cleaned: ${cleanedCount} expired sessions`);
-        
         // Register slash commands
         const rest = new REST({ version: '10' }).setToken(process.env.DISCORD_TOKEN);
         
         console.log('Started refreshing application (/) commands.');
-        await rest.put(Routes.applicationCommands(client.user.id), { body: commands });
+        try {
+            await rest.put(Routes.applicationCommands(client.user.id), { body: commands });
+            healthState.commandsRegistered = true;
+            healthState.commandsError = null;
+        } catch (error) {
+            healthState.commandsError = error.message;
+            throw error;
+        }
         console.log('Successfully reloaded application (/) commands.');
         
         console.log('🎯 Bot ready and operational!');
@@ -1223,6 +7143,23 @@ client.on('ready', async () => {
 
 client.on('interactionCreate', async (interaction) => {
     try {
+        metrics.commandInvocations.inc(getInteractionMetricLabels(interaction));
+
+        // Banned users can't use any command or component (moderators keep /lfgadmin)
+        if (interaction.guild && (interaction.isChatInputCommand() || interaction.isMessageComponent() || interaction.isModalSubmit())) {
+            const ban = getActiveBan(interaction.guild.id, interaction.user.id);
+            if (ban && !(interaction.isChatInputCommand() && interaction.commandName === 'lfgadmin')) {
+                const locale = await getUserLocale(interaction);
+                return await interaction.reply({
+                    content: t(locale, 'common.banned', {
+                        expires: formatBanExpiry(ban, locale),
+                        reason: ban.reason ? t(locale, 'common.reason', { reason: ban.reason }) : ''
+                    }),
+                    ephemeral: true
+                });
+            }
+        }
+
         if (interaction.isChatInputCommand()) {
             switch (interaction.commandName) {
                 case 'lfg':
@@ -1237,9 +7174,36 @@ client.on('interactionCreate', async (interaction) => {
                 case 'help':
                     await handleHelpCommand(interaction);
                     break;
+                case 'queue':
+                    await handleQueueCommand(interaction);
+                    break;
+                case 'profile':
+                    await handleProfileCommand(interaction);
+                    break;
+                case 'lfglist':
+                    await handleLFGListCommand(interaction);
+                    break;
+                case 'notify':
+                    await handleNotifyCommand(interaction);
+                    break;
+                case 'stats':
+                    await handleStatsCommand(interaction);
+                    break;
+                case 'leaderboard':
+                    await handleLeaderboardCommand(interaction);
+                    break;
+                case 'lfgsetup':
+                    await handleLFGSetupCommand(interaction);
+                    break;
+                case 'lfgadmin':
+                    await handleLFGAdminCommand(interaction);
+                    break;
+                case 'lfgapi':
+                    await handleLFGApiCommand(interaction);
+                    break;
             }
         } else if (interaction.isButton()) {
-            const [action, sessionId] = interaction.customId.split('_');
+            const [action, sessionId, targetId] = interaction.customId.split('_');
             
             switch (action) {
                 case 'join':
@@ -1248,29 +7212,128 @@ client.on('interactionCreate', async (interaction) => {
                 case 'leave':
                     await handleLeaveButton(interaction, sessionId);
                     break;
+                case 'waitlist':
+                    await handleWaitlistButton(interaction, sessionId);
+                    break;
+                case 'unwaitlist':
+                    await handleLeaveWaitlistButton(interaction, sessionId);
+                    break;
+                case 'ready':
+                    await handleReadyButton(interaction, sessionId);
+                    break;
+                case 'notready':
+                    await handleNotReadyButton(interaction, sessionId);
+                    break;
+                case 'endorse':
+                case 'noshow':
+                    await handleFeedbackButton(interaction, sessionId, targetId, action);
+                    break;
+                case 'manage':
+                    await handleManageButton(interaction, sessionId);
+                    break;
+                case 'approve':
+                case 'deny':
+                    await handleJoinDecision(interaction, sessionId, targetId, action);
+                    break;
+                case 'lfglist':
+                    await handleLFGListComponent(interaction);
+                    break;
+                case 'lock':
+                    await handleLockButton(interaction, sessionId);
+                    break;
+                case 'edit':
+                    await handleEditButton(interaction, sessionId);
+                    break;
+                case 'extend':
+                    await handleExtendButton(interaction, sessionId, targetId);
+                    break;
+            }
+        } else if (interaction.isStringSelectMenu()) {
+            const [action, sessionId] = interaction.customId.split('_');
+            
+            switch (action) {
+                case 'kick':
+                    await handleKickSelect(interaction, sessionId);
+                    break;
+                case 'transfer':
+                    await handleTransferSelect(interaction, sessionId);
+                    break;
+                case 'lfglistgame':
+                case 'lfglistmode':
+                case 'lfglistslots':
+                    await handleLFGListComponent(interaction);
+                    break;
+            }
+        } else if (interaction.isUserSelectMenu()) {
+            const [action, sessionId] = interaction.customId.split('_');
+            
+            if (action === 'invite') {
+                await handleInviteSelect(interaction, sessionId);
+            }
+        } else if (interaction.isModalSubmit()) {
+            const [action, sessionId] = interaction.customId.split('_');
+            
+            if (action === 'editmodal') {
+                await handleEditModal(interaction, sessionId);
             }
         } else if (interaction.isAutocomplete()) {
             const focusedOption = interaction.options.getFocused(true);
+            const query = focusedOption.value.toLowerCase();
+            const games = interaction.guild ? await getGuildGames(interaction.guild.id) : GAMES;
             
-            if (focusedOption.name === 'gamemode') {
+            if (focusedOption.name === 'game') {
+                const choices = Object.entries(games)
+                    .filter(([key, game]) => key.includes(query) || game.display.toLowerCase().includes(query))
+                    .slice(0, 25)
+                    .map(([key, game]) => ({ name: game.display, value: key }));
+                
+                await interaction.respond(choices);
+            } else if (['rank', 'min_rank', 'max_rank'].includes(focusedOption.name)) {
+                const tiers = GAME_RANKS[interaction.options.getString('game')] || [];
+                const choices = (focusedOption.name === 'rank' ? ['none', ...tiers] : tiers)
+                    .filter(rank => rank.toLowerCase().includes(query))
+                    .slice(0, 25)
+                    .map(rank => ({ name: rank, value: rank }));
+                
+                await interaction.respond(choices);
+            } else if (focusedOption.name === 'session') {
+                const choices = Array.from(activeSessions.values())
+                    .filter(session => session.guildId === interaction.guild?.id)
+                    .map(session => ({
+                        name: `#${session.id.slice(-6)} - ${getGameDisplayName(session.guildId, session.game)} ${session.gamemode} (${session.currentPlayers.length}/${session.playersNeeded})`.slice(0, 100),
+                        value: session.id
+                    }))
+                    .filter(choice => choice.name.toLowerCase().includes(query))
+                    .slice(0, 25);
+                
+                await interaction.respond(choices);
+            } else if (focusedOption.name === 'timezone') {
+                const choices = ['UTC', ...Intl.supportedValuesOf('timeZone')]
+                    .filter(zone => zone.toLowerCase().includes(query))
+                    .slice(0, 25)
+                    .map(zone => ({ name: zone, value: zone }));
+                
+                await interaction.respond(choices);
+            } else if (focusedOption.name === 'gamemode') {
                 const game = interaction.options.getString('game');
-                if (game && GAMES[game]) {
-                    const choices = GAMES[game].modes
-                        .filter(mode => mode.toLowerCase().includes(focusedOption.value.toLowerCase()))
+                const choices = games[game]
+                    ? games[game].modes
+                        .filter(mode => mode.toLowerCase().includes(query))
                         .slice(0, 25)
-                        .map(mode => ({ name: mode, value: mode }));
-                    
-                    await interaction.respond(choices);
-                }
+                        .map(mode => ({ name: mode, value: mode }))
+                    : [];
+                
+                await interaction.respond(choices);
             }
         }
     } catch (error) {
         console.error('Error handling interaction:', error);
+        recordInteractionError(interaction);
         
         if (interaction.isRepliable() && !interaction.replied && !interaction.deferred) {
             try {
                 await interaction.reply({
-                    content: '❌ **Something went wrong!**\n\nPlease try again. If the problem persists, contact support.',
+                    content: getStorageFailureMessage(error, interaction) || t(getCachedUserLocale(interaction), 'common.failed'),
                     ephemeral: true
                 });
             } catch (replyError) {
@@ -1291,9 +7354,13 @@ client.on('voiceStateUpdate', (oldState, newState) => {
             // Check if channel is now empty
             if (oldState.channel.members.size === 0) {
                 // Set a timeout to delete the channel if it stays empty
-                const timeoutId = setTimeout(() => cleanupEmptyChannel(channelId, guildId), 60000); // 1 minute
+                const delay = getEmptyChannelCleanupDelay(guildId);
+                if (emptyChannelTimeouts.has(channelId)) {
+                    clearTimeout(emptyChannelTimeouts.get(channelId));
+                }
+                const timeoutId = setTimeout(() => cleanupEmptyChannel(channelId, guildId), delay);
                 emptyChannelTimeouts.set(channelId, timeoutId);
-                console.log(`⏰ Started 1-minute cleanup timer for empty voice channel: ${oldState.channel.name}`);
+                console.log(`⏰ Started ${formatDelay(delay)} cleanup timer for empty voice channel: ${oldState.channel.name}`);
             }
         }
         
@@ -1311,33 +7378,42 @@ client.on('voiceStateUpdate', (oldState, newState) => {
     }
 });
 
+client.rest.on('rateLimited', (rateLimit) => {
+    // The route carries channel, guild and message IDs, so it stays out of the labels
+    metrics.discordRateLimits.inc({ method: rateLimit.method.toUpperCase(), global: rateLimit.global });
+    console.log(`🐢 Rate limited on ${rateLimit.method.toUpperCase()} ${rateLimit.route} for ${rateLimit.timeToReset}ms${rateLimit.global ? ' (global)' : ''}`);
+});
+
+// Scheduled session runner: reminders and start times
+cron.schedule('* * * * *', async () => {
+    try {
+        const now = Date.now();
+
+        for (const session of activeSessions.values()) {
+            if (session.status !== SessionStatus.SCHEDULED || !session.startTime) continue;
+
+            const startAt = new Date(session.startTime).getTime();
+            if (now >= startAt) {
+                await sessionService.startScheduled(session);
+            } else if (!session.reminderSent && now >= startAt - SCHEDULE_REMINDER_LEAD) {
+                await sendScheduledReminders(session);
+            }
+        }
+    } catch (error) {
+        console.error('Error running scheduled sessions:', error);
+    }
+});
+
 // Periodic cleanup task
 cron.schedule('*/5 * * * *', async () => {
     try {
         console.log('🧹 Running periodic cleanup...');
         
         let cleanedSessions = 0;
-        const currentTime = new Date();
         
         // Clean up expired sessions
-        for (const [sessionId, session] of activeSessions) {
-            if (currentTime > new Date(session.expiresAt)) {
-                console.log(`🗑️ Cleaning expired session: ${sessionId.slice(-6)}`);
-                
-                // Clean up memory
-                activeSessions.delete(sessionId);
-                session.currentPlayers.forEach(player => {
-                    userActiveSessions.delete(player.id);
-                });
-                
-                // Clear timeout if exists
-                if (session.timeoutId) {
-                    clearTimeout(session.timeoutId);
-                }
-                
-                // Clean up database
-                await storage.deleteSession(sessionId);
-                
+        for (const session of [...activeSessions.values()]) {
+            if (await sessionService.expireIfDue(session)) {
                 cleanedSessions++;
             }
         }
@@ -1346,6 +7422,21 @@ cron.schedule('*/5 * * * *', async () => {
             console.log(`🧹 Periodic cleanup completed: ${cleanedSessions} expired sessions removed`);
         }
         
+        // Drop queue entries that waited too long
+        let expiredQueueEntries = 0;
+        for (const queue of [...matchmakingQueues.values()]) {
+            for (const entry of queue) {
+                if (Date.now() - entry.joinedAt > QUEUE_ENTRY_LIFETIME) {
+                    removeFromQueue(entry.id);
+                    expiredQueueEntries++;
+                }
+            }
+        }
+        
+        if (expiredQueueEntries > 0) {
+            console.log(`🧹 Periodic cleanup: ${expiredQueueEntries} stale queue entries removed`);
+        }
+        
     } catch (error) {
         console.error('Error during periodic cleanup:', error);
     }
@@ -1367,7 +7458,7 @@ const gracefulShutdown = async (signal) => {
     
     try {
         // Close database connections
-        await pool.end();
+        await storage.close();
         console.log('✅ Database connections closed');
         
         // Close HTTP server
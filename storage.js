@@ -0,0 +1,1035 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const { eq, and, gte, desc, count, sql, getTableColumns, getTableName, is, SQL } = require('drizzle-orm');
+
+// Drizzle schema definitions
+const { pgTable, text, integer, timestamp, boolean, json, primaryKey } = require('drizzle-orm/pg-core');
+
+const lfgSessions = pgTable('lfg_sessions', {
+    id: text('id').primaryKey(),
+    creatorId: text('creator_id').notNull(),
+    guildId: text('guild_id').notNull(),
+    channelId: text('channel_id').notNull(),
+    messageId: text('message_id'),
+    game: text('game').notNull(),
+    gamemode: text('gamemode').notNull(),
+    playersNeeded: integer('players_needed').notNull(),
+    info: text('info'),
+    status: text('status').notNull().default('open'),
+    currentPlayers: json('current_players').notNull().default([]),
+    confirmedPlayers: json('confirmed_players').notNull().default([]),
+    voiceChannelId: text('voice_channel_id'),
+    confirmationStartTime: timestamp('confirmation_start_time'),
+    createdAt: timestamp('created_at').notNull().defaultNow(),
+    updatedAt: timestamp('updated_at').notNull().defaultNow(),
+    expiresAt: timestamp('expires_at').notNull(),
+    startTime: timestamp('start_time'),
+    timezone: text('timezone'),
+    reminderSent: boolean('reminder_sent').notNull().default(false),
+    waitlist: json('waitlist').notNull().default([]),
+    requirements: json('requirements').notNull().default({}),
+    participants: json('participants').notNull().default([]),
+    filledAt: timestamp('filled_at'),
+    locked: boolean('locked').notNull().default(false),
+    visibility: text('visibility').notNull().default('public'),
+    pendingPlayers: json('pending_players').notNull().default([]),
+    invitedUsers: json('invited_users').notNull().default([]),
+    companionChannelId: text('companion_channel_id'),
+    voiceChannelNumber: integer('voice_channel_number'),
+    extensions: integer('extensions').notNull().default(0),
+    expiryWarningSent: boolean('expiry_warning_sent').notNull().default(false),
+    isActive: boolean('is_active').notNull().default(true)
+});
+
+const guildSettings = pgTable('guild_settings', {
+    guildId: text('guild_id').primaryKey(),
+    lfgChannelId: text('lfg_channel_id'),
+    lfgChannelMode: text('lfg_channel_mode').notNull().default('redirect'),
+    voiceCategoryId: text('voice_category_id'),
+    defaultPlayers: integer('default_players'),
+    minReputationEnabled: boolean('min_reputation_enabled').notNull().default(false),
+    modRoleId: text('mod_role_id'),
+    companionMode: text('companion_mode').notNull().default('thread'),
+    logChannelId: text('log_channel_id'),
+    voiceNameTemplate: text('voice_name_template'),
+    voiceBitrate: integer('voice_bitrate'),
+    voiceRegion: text('voice_region'),
+    voicePrivate: boolean('voice_private').notNull().default(true),
+    sessionLifetime: integer('session_lifetime'),
+    emptyChannelCleanup: integer('empty_channel_cleanup'),
+    maxExtensions: integer('max_extensions'),
+    locale: text('locale'),
+    createdAt: timestamp('created_at').notNull().defaultNow(),
+    updatedAt: timestamp('updated_at').notNull().defaultNow()
+});
+
+const userSessions = pgTable('user_sessions', {
+    userId: text('user_id').primaryKey(),
+    sessionId: text('session_id').notNull(),
+    createdAt: timestamp('created_at').notNull().defaultNow(),
+    updatedAt: timestamp('updated_at').notNull().defaultNow()
+});
+
+const guildGames = pgTable('guild_games', {
+    guildId: text('guild_id').notNull(),
+    gameKey: text('game_key').notNull(),
+    display: text('display').notNull(),
+    modes: json('modes').notNull().default([]),
+    isActive: boolean('is_active').notNull().default(true),
+    createdAt: timestamp('created_at').notNull().defaultNow(),
+    updatedAt: timestamp('updated_at').notNull().defaultNow()
+}, (table) => [
+    primaryKey({ columns: [table.guildId, table.gameKey] })
+]);
+
+const userProfiles = pgTable('user_profiles', {
+    userId: text('user_id').primaryKey(),
+    platform: text('platform'),
+    region: text('region'),
+    language: text('language'),
+    mic: boolean('mic'),
+    locale: text('locale'),
+    ranks: json('ranks').notNull().default({}),
+    createdAt: timestamp('created_at').notNull().defaultNow(),
+    updatedAt: timestamp('updated_at').notNull().defaultNow()
+});
+
+// One row per finished session, kept after the session itself is deactivated
+const sessionHistory = pgTable('session_history', {
+    sessionId: text('session_id').primaryKey(),
+    guildId: text('guild_id').notNull(),
+    creatorId: text('creator_id').notNull(),
+    game: text('game').notNull(),
+    gamemode: text('gamemode').notNull(),
+    playersNeeded: integer('players_needed').notNull(),
+    playerCount: integer('player_count').notNull(),
+    outcome: text('outcome').notNull(),
+    filled: boolean('filled').notNull(),
+    createdAt: timestamp('created_at').notNull(),
+    filledAt: timestamp('filled_at'),
+    endedAt: timestamp('ended_at').notNull().defaultNow()
+});
+
+// Everyone who played in a session once its squad assembled
+const sessionParticipants = pgTable('session_participants', {
+    sessionId: text('session_id').notNull(),
+    userId: text('user_id').notNull(),
+    guildId: text('guild_id').notNull(),
+    game: text('game').notNull(),
+    gamemode: text('gamemode').notNull(),
+    playedAt: timestamp('played_at').notNull().defaultNow()
+}, (table) => [
+    primaryKey({ columns: [table.sessionId, table.userId] })
+]);
+
+// Post-session votes: one endorsement or no-show report per voter, target and session
+const playerFeedback = pgTable('player_feedback', {
+    sessionId: text('session_id').notNull(),
+    fromUserId: text('from_user_id').notNull(),
+    toUserId: text('to_user_id').notNull(),
+    guildId: text('guild_id').notNull(),
+    kind: text('kind').notNull(),
+    createdAt: timestamp('created_at').notNull().defaultNow(),
+    updatedAt: timestamp('updated_at').notNull().defaultNow()
+}, (table) => [
+    primaryKey({ columns: [table.sessionId, table.fromUserId, table.toUserId] })
+]);
+
+// Per-guild reputation rolled up from player_feedback
+const playerReputation = pgTable('player_reputation', {
+    guildId: text('guild_id').notNull(),
+    userId: text('user_id').notNull(),
+    endorsements: integer('endorsements').notNull().default(0),
+    noShows: integer('no_shows').notNull().default(0),
+    score: integer('score').notNull().default(0),
+    updatedAt: timestamp('updated_at').notNull().defaultNow()
+}, (table) => [
+    primaryKey({ columns: [table.guildId, table.userId] })
+]);
+
+// Users barred from the bot in a guild (expiresAt null = permanent)
+const lfgBans = pgTable('lfg_bans', {
+    guildId: text('guild_id').notNull(),
+    userId: text('user_id').notNull(),
+    reason: text('reason'),
+    bannedBy: text('banned_by').notNull(),
+    expiresAt: timestamp('expires_at'),
+    createdAt: timestamp('created_at').notNull().defaultNow()
+}, (table) => [
+    primaryKey({ columns: [table.guildId, table.userId] })
+]);
+
+// Roles pinged for new sessions of a game ('' gamemode = any mode)
+const gameRoles = pgTable('game_roles', {
+    guildId: text('guild_id').notNull(),
+    gameKey: text('game_key').notNull(),
+    gamemode: text('gamemode').notNull().default(''),
+    roleId: text('role_id').notNull(),
+    createdAt: timestamp('created_at').notNull().defaultNow()
+}, (table) => [
+    primaryKey({ columns: [table.guildId, table.gameKey, table.gamemode] })
+]);
+
+// DM alerts for users who don't want role pings ('' gamemode = any mode)
+const notifySubscriptions = pgTable('notify_subscriptions', {
+    guildId: text('guild_id').notNull(),
+    userId: text('user_id').notNull(),
+    gameKey: text('game_key').notNull(),
+    gamemode: text('gamemode').notNull().default(''),
+    createdAt: timestamp('created_at').notNull().defaultNow()
+}, (table) => [
+    primaryKey({ columns: [table.guildId, table.userId, table.gameKey, table.gamemode] })
+]);
+
+// Read-only REST API tokens; only a SHA-256 hash of each token is stored
+const apiTokens = pgTable('api_tokens', {
+    tokenHash: text('token_hash').primaryKey(),
+    guildId: text('guild_id').notNull(),
+    name: text('name').notNull(),
+    createdBy: text('created_by').notNull(),
+    createdAt: timestamp('created_at').notNull().defaultNow()
+});
+
+const storageSchema = { lfgSessions, guildSettings, userSessions, guildGames, userProfiles, sessionHistory, sessionParticipants, playerFeedback, playerReputation, lfgBans, gameRoles, notifySubscriptions, apiTokens };
+
+// A no-show weighs as much as three endorsements
+function calculateReputationScore(endorsements, noShows) {
+    return endorsements - 3 * noShows;
+}
+
+// Queries run inside a storage method are labelled with that method's name
+const storageOperation = new AsyncLocalStorage();
+
+// Raised by storage operations that failed, so callers can tell the user nothing was loaded or saved
+class StorageError extends Error {
+    constructor(message, { operation = null, backend = null, cause } = {}) {
+        super(message, { cause });
+        this.name = this.constructor.name;
+        this.operation = operation;
+        this.backend = backend;
+    }
+}
+
+// The backend couldn't be reached (connection refused or timed out, tables missing)
+class StorageUnavailableError extends StorageError {}
+
+// The write collided with an existing row
+class StorageConflictError extends StorageError {}
+
+// Rows written by every backend when a session is created and when it finishes
+function buildSessionRow(session) {
+    return {
+        id: session.id,
+        creatorId: session.creatorId,
+        guildId: session.guildId,
+        channelId: session.channelId,
+        messageId: session.messageId,
+        game: session.game,
+        gamemode: session.gamemode,
+        playersNeeded: session.playersNeeded,
+        info: session.info,
+        status: session.status,
+        currentPlayers: session.currentPlayers,
+        confirmedPlayers: session.confirmedPlayers,
+        voiceChannelId: session.voiceChannelId,
+        expiresAt: session.expiresAt,
+        startTime: session.startTime,
+        timezone: session.timezone,
+        waitlist: session.waitlist,
+        requirements: session.requirements,
+        visibility: session.visibility,
+        isActive: true
+    };
+}
+
+function buildHistoryRows(session, outcome) {
+    const participants = session.participants || [];
+    const endedAt = new Date();
+
+    return {
+        history: {
+            sessionId: session.id,
+            guildId: session.guildId,
+            creatorId: session.creatorId,
+            game: session.game,
+            gamemode: session.gamemode,
+            playersNeeded: session.playersNeeded,
+            playerCount: participants.length,
+            outcome,
+            filled: Boolean(session.filledAt),
+            createdAt: new Date(session.createdAt),
+            filledAt: session.filledAt ? new Date(session.filledAt) : null,
+            endedAt
+        },
+        participants: participants.map(player => ({
+            sessionId: session.id,
+            userId: player.id,
+            guildId: session.guildId,
+            game: session.game,
+            gamemode: session.gamemode,
+            playedAt: endedAt
+        }))
+    };
+}
+
+// Postgres through Drizzle: a server over DATABASE_URL, or PGlite embedded in the process
+class PostgresStorage {
+    constructor(backend, db, connection) {
+        this.backend = backend;
+        this.db = db;
+        this.connection = connection;
+    }
+
+    async ping() {
+        await this.connection.execute('SELECT 1');
+    }
+
+    // Raw SQL for schema setup
+    async execute(text) {
+        await this.connection.execute(text);
+    }
+
+    async close() {
+        await this.connection.close();
+    }
+
+    async createSession(session) {
+        await this.db.insert(lfgSessions).values(buildSessionRow(session));
+    }
+
+    async updateSession(sessionId, updates) {
+        await this.db.update(lfgSessions)
+            .set({ ...updates, updatedAt: new Date() })
+            .where(eq(lfgSessions.id, sessionId));
+    }
+
+    async deleteSession(sessionId) {
+        await this.db.update(lfgSessions)
+            .set({ isActive: false, updatedAt: new Date() })
+            .where(eq(lfgSessions.id, sessionId));
+    }
+
+    // Includes sessions that ran out while the bot was down, so they can be expired properly
+    async getActiveSessions() {
+        const sessions = await this.db.select()
+            .from(lfgSessions)
+            .where(eq(lfgSessions.isActive, true));
+        return sessions;
+    }
+
+    async setUserSession(userId, sessionId) {
+        await this.db.insert(userSessions)
+            .values({ userId, sessionId })
+            .onConflictDoUpdate({
+                target: userSessions.userId,
+                set: { sessionId, updatedAt: new Date() }
+            });
+    }
+
+    async removeUserSession(userId) {
+        await this.db.delete(userSessions)
+            .where(eq(userSessions.userId, userId));
+    }
+
+    async getAllGuildSettings() {
+        return await this.db.select().from(guildSettings);
+    }
+
+    async upsertGuildSettings(guildId, updates) {
+        await this.db.insert(guildSettings)
+            .values({ guildId, ...updates })
+            .onConflictDoUpdate({
+                target: guildSettings.guildId,
+                set: { ...updates, updatedAt: new Date() }
+            });
+    }
+
+    async deleteGuildSettings(guildId) {
+        await this.db.delete(guildSettings)
+            .where(eq(guildSettings.guildId, guildId));
+    }
+
+    async getGuildGames(guildId) {
+        return await this.db.select()
+            .from(guildGames)
+            .where(eq(guildGames.guildId, guildId));
+    }
+
+    async seedGuildGames(guildId, games) {
+        const rows = Object.entries(games).map(([gameKey, game]) => ({
+            guildId,
+            gameKey,
+            display: game.display,
+            modes: game.modes
+        }));
+        if (rows.length === 0) return;
+        await this.db.insert(guildGames)
+            .values(rows)
+            .onConflictDoNothing();
+    }
+
+    async upsertGuildGame(guildId, gameKey, display, modes) {
+        await this.db.insert(guildGames)
+            .values({ guildId, gameKey, display, modes, isActive: true })
+            .onConflictDoUpdate({
+                target: [guildGames.guildId, guildGames.gameKey],
+                set: { display, modes, isActive: true, updatedAt: new Date() }
+            });
+    }
+
+    async removeGuildGame(guildId, gameKey) {
+        await this.db.update(guildGames)
+            .set({ isActive: false, updatedAt: new Date() })
+            .where(and(
+                eq(guildGames.guildId, guildId),
+                eq(guildGames.gameKey, gameKey)
+            ));
+    }
+
+    async getUserProfile(userId) {
+        const [profile] = await this.db.select()
+            .from(userProfiles)
+            .where(eq(userProfiles.userId, userId));
+        return profile || null;
+    }
+
+    async upsertUserProfile(userId, updates) {
+        await this.db.insert(userProfiles)
+            .values({ userId, ...updates })
+            .onConflictDoUpdate({
+                target: userProfiles.userId,
+                set: { ...updates, updatedAt: new Date() }
+            });
+    }
+
+    async recordSessionHistory(session, outcome) {
+        const { history, participants } = buildHistoryRows(session, outcome);
+
+        await this.db.insert(sessionHistory)
+            .values(history)
+            .onConflictDoNothing();
+
+        if (participants.length === 0) return;
+        await this.db.insert(sessionParticipants)
+            .values(participants)
+            .onConflictDoNothing();
+    }
+
+    async getUserStats(guildId, userId) {
+        const [played] = await this.db.select({ sessions: count() })
+            .from(sessionParticipants)
+            .where(and(
+                eq(sessionParticipants.guildId, guildId),
+                eq(sessionParticipants.userId, userId)
+            ));
+
+        const [hosted] = await this.db.select({
+            sessions: count(),
+            filled: sql`count(*) filter (where ${sessionHistory.filled})`.mapWith(Number)
+        })
+            .from(sessionHistory)
+            .where(and(
+                eq(sessionHistory.guildId, guildId),
+                eq(sessionHistory.creatorId, userId)
+            ));
+
+        const favoriteGames = await this.db.select({ game: sessionParticipants.game, sessions: count() })
+            .from(sessionParticipants)
+            .where(and(
+                eq(sessionParticipants.guildId, guildId),
+                eq(sessionParticipants.userId, userId)
+            ))
+            .groupBy(sessionParticipants.game)
+            .orderBy(desc(count()))
+            .limit(3);
+
+        return {
+            played: played?.sessions || 0,
+            hosted: hosted?.sessions || 0,
+            hostedFilled: hosted?.filled || 0,
+            favoriteGames
+        };
+    }
+
+    async getLeaderboard(guildId, { game = null, since = null, limit = 10 } = {}) {
+        const conditions = [eq(sessionParticipants.guildId, guildId)];
+        if (game) conditions.push(eq(sessionParticipants.game, game));
+        if (since) conditions.push(gte(sessionParticipants.playedAt, since));
+
+        return await this.db.select({ userId: sessionParticipants.userId, sessions: count() })
+            .from(sessionParticipants)
+            .where(and(...conditions))
+            .groupBy(sessionParticipants.userId)
+            .orderBy(desc(count()))
+            .limit(limit);
+    }
+
+    async getSessionParticipants(sessionId) {
+        return await this.db.select()
+            .from(sessionParticipants)
+            .where(eq(sessionParticipants.sessionId, sessionId));
+    }
+
+    // Save a vote (a later vote replaces an earlier one) and recompute the target's reputation
+    async recordFeedback(guildId, sessionId, fromUserId, toUserId, kind) {
+        await this.db.insert(playerFeedback)
+            .values({ sessionId, fromUserId, toUserId, guildId, kind })
+            .onConflictDoUpdate({
+                target: [playerFeedback.sessionId, playerFeedback.fromUserId, playerFeedback.toUserId],
+                set: { kind, updatedAt: new Date() }
+            });
+
+        const [totals] = await this.db.select({
+            endorsements: sql`count(*) filter (where ${playerFeedback.kind} = 'endorse')`.mapWith(Number),
+            noShows: sql`count(*) filter (where ${playerFeedback.kind} = 'noshow')`.mapWith(Number)
+        })
+            .from(playerFeedback)
+            .where(and(
+                eq(playerFeedback.guildId, guildId),
+                eq(playerFeedback.toUserId, toUserId)
+            ));
+
+        const reputation = {
+            endorsements: totals.endorsements,
+            noShows: totals.noShows,
+            score: calculateReputationScore(totals.endorsements, totals.noShows)
+        };
+        await this.db.insert(playerReputation)
+            .values({ guildId, userId: toUserId, ...reputation })
+            .onConflictDoUpdate({
+                target: [playerReputation.guildId, playerReputation.userId],
+                set: { ...reputation, updatedAt: new Date() }
+            });
+        return reputation;
+    }
+
+    async getReputation(guildId, userId) {
+        const [reputation] = await this.db.select()
+            .from(playerReputation)
+            .where(and(
+                eq(playerReputation.guildId, guildId),
+                eq(playerReputation.userId, userId)
+            ));
+        return reputation || null;
+    }
+
+    async getAllBans() {
+        return await this.db.select().from(lfgBans);
+    }
+
+    async upsertBan(ban) {
+        await this.db.insert(lfgBans)
+            .values(ban)
+            .onConflictDoUpdate({
+                target: [lfgBans.guildId, lfgBans.userId],
+                set: { reason: ban.reason, bannedBy: ban.bannedBy, expiresAt: ban.expiresAt, createdAt: new Date() }
+            });
+    }
+
+    async deleteBan(guildId, userId) {
+        await this.db.delete(lfgBans)
+            .where(and(
+                eq(lfgBans.guildId, guildId),
+                eq(lfgBans.userId, userId)
+            ));
+    }
+
+    async getAllGameRoles() {
+        return await this.db.select().from(gameRoles);
+    }
+
+    async upsertGameRole(guildId, gameKey, gamemode, roleId) {
+        await this.db.insert(gameRoles)
+            .values({ guildId, gameKey, gamemode, roleId })
+            .onConflictDoUpdate({
+                target: [gameRoles.guildId, gameRoles.gameKey, gameRoles.gamemode],
+                set: { roleId }
+            });
+    }
+
+    async deleteGameRole(guildId, gameKey, gamemode) {
+        await this.db.delete(gameRoles)
+            .where(and(
+                eq(gameRoles.guildId, guildId),
+                eq(gameRoles.gameKey, gameKey),
+                eq(gameRoles.gamemode, gamemode)
+            ));
+    }
+
+    async getUserSubscriptions(guildId, userId) {
+        return await this.db.select()
+            .from(notifySubscriptions)
+            .where(and(
+                eq(notifySubscriptions.guildId, guildId),
+                eq(notifySubscriptions.userId, userId)
+            ));
+    }
+
+    async addSubscription(guildId, userId, gameKey, gamemode) {
+        await this.db.insert(notifySubscriptions)
+            .values({ guildId, userId, gameKey, gamemode })
+            .onConflictDoNothing();
+    }
+
+    async removeSubscriptions(guildId, userId, gameKey) {
+        const removed = await this.db.delete(notifySubscriptions)
+            .where(and(
+                eq(notifySubscriptions.guildId, guildId),
+                eq(notifySubscriptions.userId, userId),
+                eq(notifySubscriptions.gameKey, gameKey)
+            ))
+            .returning();
+        return removed.length;
+    }
+
+    // Users with DM alerts for this game and either this mode or any mode
+    async getSubscribers(guildId, gameKey, gamemode) {
+        const rows = await this.db.select({ userId: notifySubscriptions.userId, gamemode: notifySubscriptions.gamemode })
+            .from(notifySubscriptions)
+            .where(and(
+                eq(notifySubscriptions.guildId, guildId),
+                eq(notifySubscriptions.gameKey, gameKey)
+            ));
+        return [...new Set(rows.filter(row => row.gamemode === '' || row.gamemode === gamemode).map(row => row.userId))];
+    }
+
+    // A guild's session row, active or not
+    async getSession(guildId, sessionId) {
+        const [session] = await this.db.select()
+            .from(lfgSessions)
+            .where(and(
+                eq(lfgSessions.guildId, guildId),
+                eq(lfgSessions.id, sessionId)
+            ));
+        return session || null;
+    }
+
+    // Most recently finished sessions of a guild, newest first
+    async getRecentSessions(guildId, { game = null, limit = 20 } = {}) {
+        const conditions = [eq(lfgSessions.guildId, guildId), eq(lfgSessions.isActive, false)];
+        if (game) conditions.push(eq(lfgSessions.game, game));
+
+        return await this.db.select()
+            .from(lfgSessions)
+            .where(and(...conditions))
+            .orderBy(desc(lfgSessions.updatedAt))
+            .limit(limit);
+    }
+
+    // Sessions created per game and final status since a date
+    async getSessionCountsByGame(guildId, since) {
+        return await this.db.select({ game: lfgSessions.game, status: lfgSessions.status, sessions: count() })
+            .from(lfgSessions)
+            .where(and(
+                eq(lfgSessions.guildId, guildId),
+                gte(lfgSessions.createdAt, since)
+            ))
+            .groupBy(lfgSessions.game, lfgSessions.status);
+    }
+
+    async getAllApiTokens() {
+        return await this.db.select().from(apiTokens);
+    }
+
+    async createApiToken(token) {
+        await this.db.insert(apiTokens).values(token);
+    }
+
+    async deleteApiToken(tokenHash) {
+        await this.db.delete(apiTokens)
+            .where(eq(apiTokens.tokenHash, tokenHash));
+    }
+}
+
+// One table of the in-memory backend; rows are copied in and out the way they round-trip through Postgres
+class MemoryTable {
+    constructor(table, keyColumns) {
+        this.name = getTableName(table);
+        this.columns = getTableColumns(table);
+        this.keyColumns = keyColumns;
+        this.rows = new Map();
+    }
+
+    copy(row) {
+        const copy = {};
+        for (const [name, column] of Object.entries(this.columns)) {
+            const value = row[name] ?? null;
+            copy[name] = value === null ? null
+                : column.dataType === 'json' ? JSON.parse(JSON.stringify(value))
+                : column.dataType === 'date' ? new Date(value)
+                : value;
+        }
+        return copy;
+    }
+
+    // Insert with schema defaults filled in. On a key collision 'ignore' keeps the existing row,
+    // an object of columns updates it and no onConflict is a conflict error.
+    insert(values, onConflict = null) {
+        const row = {};
+        for (const [name, column] of Object.entries(this.columns)) {
+            row[name] = values[name] !== undefined ? values[name]
+                : !column.hasDefault ? null
+                : is(column.default, SQL) ? new Date()
+                : column.default;
+        }
+
+        const key = this.keyColumns.map(column => row[column]).join('\u0000');
+        const existing = this.rows.get(key);
+        if (!existing) {
+            this.rows.set(key, this.copy(row));
+        } else if (onConflict === null) {
+            throw new StorageConflictError(`Duplicate key in ${this.name}`);
+        } else if (onConflict !== 'ignore') {
+            this.rows.set(key, this.copy({ ...existing, ...onConflict }));
+        }
+    }
+
+    find(predicate = () => true) {
+        return Array.from(this.rows.values()).filter(predicate).map(row => this.copy(row));
+    }
+
+    update(predicate, changes) {
+        for (const [key, row] of this.rows) {
+            if (predicate(row)) this.rows.set(key, this.copy({ ...row, ...changes }));
+        }
+    }
+
+    delete(predicate) {
+        const removed = [];
+        for (const [key, row] of this.rows) {
+            if (!predicate(row)) continue;
+            this.rows.delete(key);
+            removed.push(row);
+        }
+        return removed;
+    }
+}
+
+// count(*) grouped by the given columns, as { ...columns, sessions } rows
+function countSessionsBy(rows, columns) {
+    const groups = new Map();
+    for (const row of rows) {
+        const key = columns.map(column => row[column]).join('\u0000');
+        if (!groups.has(key)) {
+            groups.set(key, { ...Object.fromEntries(columns.map(column => [column, row[column]])), sessions: 0 });
+        }
+        groups.get(key).sessions++;
+    }
+    return Array.from(groups.values());
+}
+
+// Everything in process memory: for tests and for running the bot without a database.
+// Nothing survives a restart.
+class MemoryStorage {
+    constructor() {
+        this.backend = 'memory';
+        this.sessions = new MemoryTable(lfgSessions, ['id']);
+        this.settings = new MemoryTable(guildSettings, ['guildId']);
+        this.userSessions = new MemoryTable(userSessions, ['userId']);
+        this.games = new MemoryTable(guildGames, ['guildId', 'gameKey']);
+        this.profiles = new MemoryTable(userProfiles, ['userId']);
+        this.history = new MemoryTable(sessionHistory, ['sessionId']);
+        this.participants = new MemoryTable(sessionParticipants, ['sessionId', 'userId']);
+        this.feedback = new MemoryTable(playerFeedback, ['sessionId', 'fromUserId', 'toUserId']);
+        this.reputation = new MemoryTable(playerReputation, ['guildId', 'userId']);
+        this.bans = new MemoryTable(lfgBans, ['guildId', 'userId']);
+        this.roles = new MemoryTable(gameRoles, ['guildId', 'gameKey', 'gamemode']);
+        this.subscriptions = new MemoryTable(notifySubscriptions, ['guildId', 'userId', 'gameKey', 'gamemode']);
+        this.tokens = new MemoryTable(apiTokens, ['tokenHash']);
+    }
+
+    async ping() {}
+
+    async close() {}
+
+    async createSession(session) {
+        this.sessions.insert(buildSessionRow(session));
+    }
+
+    async updateSession(sessionId, updates) {
+        this.sessions.update(row => row.id === sessionId, { ...updates, updatedAt: new Date() });
+    }
+
+    async deleteSession(sessionId) {
+        this.sessions.update(row => row.id === sessionId, { isActive: false, updatedAt: new Date() });
+    }
+
+    async getActiveSessions() {
+        return this.sessions.find(row => row.isActive);
+    }
+
+    async setUserSession(userId, sessionId) {
+        this.userSessions.insert({ userId, sessionId }, { sessionId, updatedAt: new Date() });
+    }
+
+    async removeUserSession(userId) {
+        this.userSessions.delete(row => row.userId === userId);
+    }
+
+    async getAllGuildSettings() {
+        return this.settings.find();
+    }
+
+    async upsertGuildSettings(guildId, updates) {
+        this.settings.insert({ guildId, ...updates }, { ...updates, updatedAt: new Date() });
+    }
+
+    async deleteGuildSettings(guildId) {
+        this.settings.delete(row => row.guildId === guildId);
+    }
+
+    async getGuildGames(guildId) {
+        return this.games.find(row => row.guildId === guildId);
+    }
+
+    async seedGuildGames(guildId, games) {
+        for (const [gameKey, game] of Object.entries(games)) {
+            this.games.insert({ guildId, gameKey, display: game.display, modes: game.modes }, 'ignore');
+        }
+    }
+
+    async upsertGuildGame(guildId, gameKey, display, modes) {
+        this.games.insert(
+            { guildId, gameKey, display, modes, isActive: true },
+            { display, modes, isActive: true, updatedAt: new Date() }
+        );
+    }
+
+    async removeGuildGame(guildId, gameKey) {
+        this.games.update(row => row.guildId === guildId && row.gameKey === gameKey, { isActive: false, updatedAt: new Date() });
+    }
+
+    async getUserProfile(userId) {
+        return this.profiles.find(row => row.userId === userId)[0] || null;
+    }
+
+    async upsertUserProfile(userId, updates) {
+        this.profiles.insert({ userId, ...updates }, { ...updates, updatedAt: new Date() });
+    }
+
+    async recordSessionHistory(session, outcome) {
+        const { history, participants } = buildHistoryRows(session, outcome);
+        this.history.insert(history, 'ignore');
+        for (const participant of participants) {
+            this.participants.insert(participant, 'ignore');
+        }
+    }
+
+    async getUserStats(guildId, userId) {
+        const played = this.participants.find(row => row.guildId === guildId && row.userId === userId);
+        const hosted = this.history.find(row => row.guildId === guildId && row.creatorId === userId);
+
+        return {
+            played: played.length,
+            hosted: hosted.length,
+            hostedFilled: hosted.filter(row => row.filled).length,
+            favoriteGames: countSessionsBy(played, ['game'])
+                .sort((a, b) => b.sessions - a.sessions)
+                .slice(0, 3)
+        };
+    }
+
+    async getLeaderboard(guildId, { game = null, since = null, limit = 10 } = {}) {
+        const rows = this.participants.find(row =>
+            row.guildId === guildId
+            && (!game || row.game === game)
+            && (!since || row.playedAt >= since)
+        );
+        return countSessionsBy(rows, ['userId'])
+            .sort((a, b) => b.sessions - a.sessions)
+            .slice(0, limit);
+    }
+
+    async getSessionParticipants(sessionId) {
+        return this.participants.find(row => row.sessionId === sessionId);
+    }
+
+    async recordFeedback(guildId, sessionId, fromUserId, toUserId, kind) {
+        this.feedback.insert({ sessionId, fromUserId, toUserId, guildId, kind }, { kind, updatedAt: new Date() });
+
+        const votes = this.feedback.find(row => row.guildId === guildId && row.toUserId === toUserId);
+        const endorsements = votes.filter(row => row.kind === 'endorse').length;
+        const noShows = votes.filter(row => row.kind === 'noshow').length;
+        const reputation = { endorsements, noShows, score: calculateReputationScore(endorsements, noShows) };
+
+        this.reputation.insert({ guildId, userId: toUserId, ...reputation }, { ...reputation, updatedAt: new Date() });
+        return reputation;
+    }
+
+    async getReputation(guildId, userId) {
+        return this.reputation.find(row => row.guildId === guildId && row.userId === userId)[0] || null;
+    }
+
+    async getAllBans() {
+        return this.bans.find();
+    }
+
+    async upsertBan(ban) {
+        this.bans.insert(ban, { reason: ban.reason, bannedBy: ban.bannedBy, expiresAt: ban.expiresAt, createdAt: new Date() });
+    }
+
+    async deleteBan(guildId, userId) {
+        this.bans.delete(row => row.guildId === guildId && row.userId === userId);
+    }
+
+    async getAllGameRoles() {
+        return this.roles.find();
+    }
+
+    async upsertGameRole(guildId, gameKey, gamemode, roleId) {
+        this.roles.insert({ guildId, gameKey, gamemode, roleId }, { roleId });
+    }
+
+    async deleteGameRole(guildId, gameKey, gamemode) {
+        this.roles.delete(row => row.guildId === guildId && row.gameKey === gameKey && row.gamemode === gamemode);
+    }
+
+    async getUserSubscriptions(guildId, userId) {
+        return this.subscriptions.find(row => row.guildId === guildId && row.userId === userId);
+    }
+
+    async addSubscription(guildId, userId, gameKey, gamemode) {
+        this.subscriptions.insert({ guildId, userId, gameKey, gamemode }, 'ignore');
+    }
+
+    async removeSubscriptions(guildId, userId, gameKey) {
+        return this.subscriptions.delete(row => row.guildId === guildId && row.userId === userId && row.gameKey === gameKey).length;
+    }
+
+    async getSubscribers(guildId, gameKey, gamemode) {
+        const rows = this.subscriptions.find(row => row.guildId === guildId && row.gameKey === gameKey);
+        return [...new Set(rows.filter(row => row.gamemode === '' || row.gamemode === gamemode).map(row => row.userId))];
+    }
+
+    async getSession(guildId, sessionId) {
+        return this.sessions.find(row => row.guildId === guildId && row.id === sessionId)[0] || null;
+    }
+
+    async getRecentSessions(guildId, { game = null, limit = 20 } = {}) {
+        return this.sessions.find(row => row.guildId === guildId && !row.isActive && (!game || row.game === game))
+            .sort((a, b) => b.updatedAt - a.updatedAt)
+            .slice(0, limit);
+    }
+
+    async getSessionCountsByGame(guildId, since) {
+        return countSessionsBy(this.sessions.find(row => row.guildId === guildId && row.createdAt >= since), ['game', 'status']);
+    }
+
+    async getAllApiTokens() {
+        return this.tokens.find();
+    }
+
+    // api_tokens is also unique on (guild_id, name)
+    async createApiToken(token) {
+        if (this.tokens.find(row => row.guildId === token.guildId && row.name === token.name).length > 0) {
+            throw new StorageConflictError(`Duplicate API token name in ${this.tokens.name}`);
+        }
+        this.tokens.insert(token);
+    }
+
+    async deleteApiToken(tokenHash) {
+        this.tokens.delete(row => row.tokenHash === tokenHash);
+    }
+}
+
+// Connection-level failures: node network errors and Postgres classes 08 (connection), 53 and 57
+const UNAVAILABLE_ERROR_CODES = new Set(['ECONNREFUSED', 'ECONNRESET', 'ENOTFOUND', 'ETIMEDOUT', 'EAI_AGAIN', '42P01', '53300', '57P01', '57P03']);
+
+function toStorageError(error, operation, backend) {
+    if (error instanceof StorageError) {
+        error.operation = error.operation || operation;
+        error.backend = error.backend || backend;
+        return error;
+    }
+
+    // Drizzle wraps driver errors and keeps the Postgres error as the cause
+    const driverError = error?.cause || error;
+    const code = String(driverError?.code || '');
+    const message = `Storage operation ${operation} failed on ${backend}: ${driverError?.message || error}`;
+    const details = { operation, backend, cause: error };
+
+    if (code === '23505') return new StorageConflictError(message, details);
+    if (UNAVAILABLE_ERROR_CODES.has(code) || code.startsWith('08') || /timeout|terminated/i.test(driverError?.message || '')) {
+        return new StorageUnavailableError(message, details);
+    }
+    return new StorageError(message, details);
+}
+
+// Wrap every storage operation so its queries are labelled for the DB metrics and its failures
+// are logged and surfaced as StorageErrors
+const STORAGE_LIFECYCLE_METHODS = new Set(['constructor', 'ping', 'execute', 'close']);
+for (const StorageBackend of [PostgresStorage, MemoryStorage]) {
+    for (const name of Object.getOwnPropertyNames(StorageBackend.prototype)) {
+        if (STORAGE_LIFECYCLE_METHODS.has(name)) continue;
+        const method = StorageBackend.prototype[name];
+        StorageBackend.prototype[name] = async function (...args) {
+            try {
+                return await storageOperation.run(name, () => method.apply(this, args));
+            } catch (error) {
+                console.error(`❌ Storage ${name} failed (${this.backend}):`, error);
+                this.onFailure?.(name, this.backend);
+                throw toStorageError(error, name, this.backend);
+            }
+        };
+    }
+}
+
+// Backends: 'postgres' (a server at databaseUrl), 'pglite' (embedded, kept in dataDir) or 'memory'.
+// Every query runs through instrumentQueries(client) and every failed operation is reported to onFailure.
+function createStorage(backend, { databaseUrl, dataDir, instrumentQueries = () => {}, onFailure = () => {} } = {}) {
+    const drizzleOptions = { schema: storageSchema, logger: process.env.NODE_ENV === 'development' };
+    let storage;
+
+    switch (backend) {
+        case 'postgres': {
+            const { Pool } = require('pg');
+            const { drizzle } = require('drizzle-orm/node-postgres');
+
+            // Database configuration for Neon PostgreSQL
+            const pool = new Pool({
+                connectionString: databaseUrl,
+                max: 3, // Conservative for hosting limits
+                idleTimeoutMillis: 30000,
+                connectionTimeoutMillis: 15000
+            });
+            instrumentQueries(pool);
+            storage = new PostgresStorage(backend, drizzle(pool, drizzleOptions), {
+                execute: text => pool.query(text),
+                close: () => pool.end()
+            });
+            break;
+        }
+        case 'pglite': {
+            // Embedded Postgres (a dev dependency) for local development without a database server
+            const { PGlite } = require('@electric-sql/pglite');
+            const { drizzle } = require('drizzle-orm/pglite');
+
+            const client = new PGlite(dataDir);
+            instrumentQueries(client);
+            storage = new PostgresStorage(backend, drizzle(client, drizzleOptions), {
+                execute: text => client.exec(text),
+                close: () => client.close()
+            });
+            break;
+        }
+        case 'memory':
+            storage = new MemoryStorage();
+            break;
+        default:
+            throw new Error(`Unknown STORAGE_BACKEND "${backend}" (expected postgres, pglite or memory)`);
+    }
+
+    storage.onFailure = onFailure;
+    return storage;
+}
+
+module.exports = {
+    storageSchema,
+    storageOperation,
+    StorageError,
+    StorageUnavailableError,
+    StorageConflictError,
+    PostgresStorage,
+    MemoryStorage,
+    toStorageError,
+    createStorage
+};
@@ -0,0 +1,249 @@
+const { describe, it, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    StorageError,
+    StorageUnavailableError,
+    StorageConflictError,
+    PostgresStorage,
+    MemoryStorage,
+    createStorage
+} = require('../storage');
+
+// Failed operations are logged by the storage layer; keep the test output readable
+mock.method(console, 'error', () => {});
+
+function buildSession(overrides = {}) {
+    return {
+        id: 'session-1',
+        creatorId: 'user-1',
+        guildId: 'guild-1',
+        channelId: 'channel-1',
+        messageId: 'message-1',
+        game: 'valorant',
+        gamemode: 'Competitive',
+        playersNeeded: 2,
+        info: null,
+        status: 'open',
+        currentPlayers: [{ id: 'user-1', username: 'one' }],
+        confirmedPlayers: [],
+        voiceChannelId: null,
+        createdAt: new Date(),
+        expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+        startTime: null,
+        timezone: null,
+        waitlist: [],
+        requirements: {},
+        visibility: 'public',
+        participants: [],
+        filledAt: null,
+        ...overrides
+    };
+}
+
+// A Drizzle stand-in whose every query chain rejects with `error` once awaited
+function failingDb(error) {
+    const chain = new Proxy(function () {}, {
+        get: (target, property) => property === 'then'
+            ? (resolve, reject) => reject(error)
+            : chain,
+        apply: () => chain
+    });
+    return chain;
+}
+
+describe('MemoryStorage', () => {
+    let storage;
+
+    beforeEach(() => {
+        storage = createStorage('memory');
+    });
+
+    it('fills in schema defaults and returns active sessions, including ones past their expiry', async () => {
+        await storage.createSession(buildSession());
+        await storage.createSession(buildSession({ id: 'session-2', expiresAt: new Date(Date.now() - 1000) }));
+        await storage.createSession(buildSession({ id: 'session-3' }));
+        await storage.deleteSession('session-3');
+
+        const sessions = await storage.getActiveSessions();
+        assert.deepEqual(sessions.map(session => session.id), ['session-1', 'session-2']);
+        assert.equal(sessions[0].locked, false);
+        assert.equal(sessions[0].extensions, 0);
+        assert.deepEqual(sessions[0].pendingPlayers, []);
+        assert.ok(sessions[0].updatedAt instanceof Date);
+    });
+
+    it('hands out copies, so callers cannot change stored rows by mutating results', async () => {
+        await storage.createSession(buildSession());
+
+        const [session] = await storage.getActiveSessions();
+        session.currentPlayers.push({ id: 'user-2', username: 'two' });
+
+        const [stored] = await storage.getActiveSessions();
+        assert.equal(stored.currentPlayers.length, 1);
+    });
+
+    it('applies session updates', async () => {
+        await storage.createSession(buildSession());
+        await storage.updateSession('session-1', { status: 'in_progress', voiceChannelNumber: 3 });
+
+        const session = await storage.getSession('guild-1', 'session-1');
+        assert.equal(session.status, 'in_progress');
+        assert.equal(session.voiceChannelNumber, 3);
+    });
+
+    it('rejects a duplicate session with a conflict error naming the operation', async () => {
+        await storage.createSession(buildSession());
+
+        await assert.rejects(storage.createSession(buildSession()), error => {
+            assert.ok(error instanceof StorageConflictError);
+            assert.equal(error.operation, 'createSession');
+            assert.equal(error.backend, 'memory');
+            return true;
+        });
+    });
+
+    it('merges guild settings on upsert', async () => {
+        await storage.upsertGuildSettings('guild-1', { lfgChannelId: 'channel-1' });
+        await storage.upsertGuildSettings('guild-1', { locale: 'de' });
+
+        const [settings] = await storage.getAllGuildSettings();
+        assert.equal(settings.lfgChannelId, 'channel-1');
+        assert.equal(settings.locale, 'de');
+        assert.equal(settings.lfgChannelMode, 'redirect');
+    });
+
+    it('seeds a game catalog without overwriting games that already exist', async () => {
+        await storage.upsertGuildGame('guild-1', 'valorant', 'Valorant', ['Custom']);
+        await storage.seedGuildGames('guild-1', {
+            valorant: { display: 'Valorant', modes: ['Competitive'] },
+            apex: { display: 'Apex Legends', modes: ['Trios'] }
+        });
+        await storage.removeGuildGame('guild-1', 'apex');
+
+        const games = await storage.getGuildGames('guild-1');
+        const byKey = Object.fromEntries(games.map(game => [game.gameKey, game]));
+        assert.deepEqual(byKey.valorant.modes, ['Custom']);
+        assert.equal(byKey.apex.isActive, false);
+    });
+
+    it('turns session history into stats and a leaderboard', async () => {
+        const players = [{ id: 'user-1', username: 'one' }, { id: 'user-2', username: 'two' }];
+        await storage.recordSessionHistory(buildSession({ participants: players, filledAt: new Date() }), 'ended');
+        await storage.recordSessionHistory(buildSession({ id: 'session-2', creatorId: 'user-2', participants: [players[1]] }), 'expired');
+
+        const stats = await storage.getUserStats('guild-1', 'user-2');
+        assert.equal(stats.played, 2);
+        assert.equal(stats.hosted, 1);
+        assert.equal(stats.hostedFilled, 0);
+        assert.deepEqual(stats.favoriteGames, [{ game: 'valorant', sessions: 2 }]);
+
+        const leaders = await storage.getLeaderboard('guild-1');
+        assert.deepEqual(leaders, [{ userId: 'user-2', sessions: 2 }, { userId: 'user-1', sessions: 1 }]);
+        assert.equal((await storage.getSessionParticipants('session-1')).length, 2);
+    });
+
+    it('recalculates reputation when a vote is changed', async () => {
+        await storage.recordFeedback('guild-1', 'session-1', 'user-1', 'user-3', 'endorse');
+        await storage.recordFeedback('guild-1', 'session-1', 'user-2', 'user-3', 'endorse');
+        const reputation = await storage.recordFeedback('guild-1', 'session-1', 'user-2', 'user-3', 'noshow');
+
+        assert.deepEqual(reputation, { endorsements: 1, noShows: 1, score: -2 });
+        const stored = await storage.getReputation('guild-1', 'user-3');
+        assert.equal(stored.score, -2);
+    });
+
+    it('matches subscribers on the exact mode or on every mode of the game', async () => {
+        await storage.addSubscription('guild-1', 'user-1', 'valorant', '');
+        await storage.addSubscription('guild-1', 'user-2', 'valorant', 'Competitive');
+        await storage.addSubscription('guild-1', 'user-3', 'valorant', 'Unrated');
+        await storage.addSubscription('guild-1', 'user-2', 'valorant', 'Competitive');
+
+        assert.deepEqual(await storage.getSubscribers('guild-1', 'valorant', 'Competitive'), ['user-1', 'user-2']);
+        assert.equal(await storage.removeSubscriptions('guild-1', 'user-2', 'valorant'), 1);
+    });
+
+    it('rejects a second API token with the same name in a guild', async () => {
+        await storage.createApiToken({ tokenHash: 'hash-1', guildId: 'guild-1', name: 'dashboard', createdBy: 'user-1' });
+
+        await assert.rejects(
+            storage.createApiToken({ tokenHash: 'hash-2', guildId: 'guild-1', name: 'dashboard', createdBy: 'user-1' }),
+            StorageConflictError
+        );
+        await storage.createApiToken({ tokenHash: 'hash-3', guildId: 'guild-2', name: 'dashboard', createdBy: 'user-1' });
+        assert.equal((await storage.getAllApiTokens()).length, 2);
+    });
+
+    it('lists finished sessions and counts sessions by game and status', async () => {
+        await storage.createSession(buildSession());
+        await storage.createSession(buildSession({ id: 'session-2' }));
+        await storage.updateSession('session-2', { status: 'ended', isActive: false });
+
+        const recent = await storage.getRecentSessions('guild-1');
+        assert.deepEqual(recent.map(session => session.id), ['session-2']);
+
+        const counts = await storage.getSessionCountsByGame('guild-1', new Date(Date.now() - 60 * 1000));
+        assert.deepEqual(counts, [
+            { game: 'valorant', status: 'open', sessions: 1 },
+            { game: 'valorant', status: 'ended', sessions: 1 }
+        ]);
+    });
+});
+
+describe('storage failures', () => {
+    function failingStorage(error) {
+        const storage = new PostgresStorage('postgres', failingDb(error), {});
+        storage.onFailure = mock.fn();
+        return storage;
+    }
+
+    it('surfaces failed reads instead of returning empty results', async () => {
+        const storage = failingStorage(new Error('relation "lfg_sessions" is broken'));
+
+        await assert.rejects(storage.getActiveSessions(), error => {
+            assert.ok(error instanceof StorageError);
+            assert.equal(error.operation, 'getActiveSessions');
+            assert.equal(error.backend, 'postgres');
+            return true;
+        });
+        await assert.rejects(storage.getUserProfile('user-1'), StorageError);
+    });
+
+    it('surfaces failed writes and reports them to onFailure', async () => {
+        const storage = failingStorage(new Error('boom'));
+
+        await assert.rejects(storage.updateSession('session-1', { status: 'open' }), StorageError);
+        assert.deepEqual(storage.onFailure.mock.calls.map(call => call.arguments), [['updateSession', 'postgres']]);
+    });
+
+    it('classifies connection failures as unavailable, using the cause Drizzle wraps them in', async () => {
+        const refused = Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' });
+        const storage = failingStorage(new Error('Failed query', { cause: refused }));
+
+        await assert.rejects(storage.createSession(buildSession()), error => {
+            assert.ok(error instanceof StorageUnavailableError);
+            assert.equal(error.cause.cause, refused);
+            return true;
+        });
+    });
+
+    it('classifies unique violations as conflicts', async () => {
+        const duplicate = Object.assign(new Error('duplicate key value'), { code: '23505' });
+        const storage = failingStorage(new Error('Failed query', { cause: duplicate }));
+
+        await assert.rejects(storage.createApiToken({ tokenHash: 'hash-1' }), StorageConflictError);
+    });
+
+    it('rejects an unknown backend', () => {
+        assert.throws(() => createStorage('sqlite'), /Unknown STORAGE_BACKEND "sqlite"/);
+    });
+
+    it('reports failed memory operations to onFailure too', async () => {
+        const onFailure = mock.fn();
+        const storage = createStorage('memory', { onFailure });
+        assert.ok(storage instanceof MemoryStorage);
+
+        await storage.createSession(buildSession());
+        await assert.rejects(storage.createSession(buildSession()), StorageConflictError);
+        assert.equal(onFailure.mock.callCount(), 1);
+    });
+});